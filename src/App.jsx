@@ -1,282 +1,75 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import Editor, { useMonaco } from '@monaco-editor/react';
 import * as prettier from 'prettier';
-
-// ============================================================================
-// DIFF ALGORITHM - LCS for accurate line-level diff
-// ============================================================================
-
-function computeLCS(left, right) {
-  const m = left.length;
-  const n = right.length;
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      if (left[i - 1] === right[j - 1]) {
-        dp[i][j] = dp[i - 1][j - 1] + 1;
-      } else {
-        dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-      }
-    }
-  }
-
-  const lcs = [];
-  let i = m, j = n;
-  while (i > 0 && j > 0) {
-    if (left[i - 1] === right[j - 1]) {
-      lcs.unshift({ leftIndex: i - 1, rightIndex: j - 1, value: left[i - 1] });
-      i--;
-      j--;
-    } else if (dp[i - 1][j] > dp[i][j - 1]) {
-      i--;
-    } else {
-      j--;
-    }
-  }
-
-  return lcs;
-}
-
-function computeLineDiff(leftLines, rightLines, options = {}) {
-  const { ignoreWhitespace, ignoreCase, ignoreBlankLines } = options;
-
-  const processLine = (line) => {
-    let processed = line;
-    if (ignoreWhitespace) {
-      processed = processed.replace(/\s+/g, ' ').trim();
-    }
-    if (ignoreCase) {
-      processed = processed.toLowerCase();
-    }
-    return processed;
-  };
-
-  let leftFiltered = leftLines;
-  let rightFiltered = rightLines;
-  let leftMapping = leftLines.map((_, i) => i);
-  let rightMapping = rightLines.map((_, i) => i);
-
-  if (ignoreBlankLines) {
-    leftFiltered = [];
-    leftMapping = [];
-    leftLines.forEach((line, i) => {
-      if (line.trim()) {
-        leftFiltered.push(line);
-        leftMapping.push(i);
-      }
-    });
-    rightFiltered = [];
-    rightMapping = [];
-    rightLines.forEach((line, i) => {
-      if (line.trim()) {
-        rightFiltered.push(line);
-        rightMapping.push(i);
-      }
-    });
-  }
-
-  const leftProcessed = leftFiltered.map(processLine);
-  const rightProcessed = rightFiltered.map(processLine);
-  const lcs = computeLCS(leftProcessed, rightProcessed);
-
-  const result = [];
-  let leftIdx = 0;
-  let rightIdx = 0;
-  let lcsIdx = 0;
-
-  while (leftIdx < leftFiltered.length || rightIdx < rightFiltered.length) {
-    if (lcsIdx < lcs.length) {
-      const match = lcs[lcsIdx];
-
-      while (leftIdx < match.leftIndex) {
-        result.push({
-          type: 'deleted',
-          leftLine: leftFiltered[leftIdx],
-          leftLineNum: leftMapping[leftIdx] + 1,
-          rightLine: null,
-          rightLineNum: null,
-        });
-        leftIdx++;
-      }
-
-      while (rightIdx < match.rightIndex) {
-        result.push({
-          type: 'added',
-          leftLine: null,
-          leftLineNum: null,
-          rightLine: rightFiltered[rightIdx],
-          rightLineNum: rightMapping[rightIdx] + 1,
-        });
-        rightIdx++;
-      }
-
-      result.push({
-        type: 'unchanged',
-        leftLine: leftFiltered[leftIdx],
-        leftLineNum: leftMapping[leftIdx] + 1,
-        rightLine: rightFiltered[rightIdx],
-        rightLineNum: rightMapping[rightIdx] + 1,
-      });
-      leftIdx++;
-      rightIdx++;
-      lcsIdx++;
-    } else {
-      while (leftIdx < leftFiltered.length) {
-        result.push({
-          type: 'deleted',
-          leftLine: leftFiltered[leftIdx],
-          leftLineNum: leftMapping[leftIdx] + 1,
-          rightLine: null,
-          rightLineNum: null,
-        });
-        leftIdx++;
-      }
-
-      while (rightIdx < rightFiltered.length) {
-        result.push({
-          type: 'added',
-          leftLine: null,
-          leftLineNum: null,
-          rightLine: rightFiltered[rightIdx],
-          rightLineNum: rightMapping[rightIdx] + 1,
-        });
-        rightIdx++;
-      }
-    }
-  }
-
-  // Merge adjacent delete/add pairs into modified
-  // First, find consecutive groups of deletes followed by adds
-  const merged = [];
-  let i = 0;
-  while (i < result.length) {
-    if (result[i].type === 'deleted') {
-      // Collect all consecutive deletes
-      const deletes = [];
-      while (i < result.length && result[i].type === 'deleted') {
-        deletes.push(result[i]);
-        i++;
-      }
-
-      // Collect all consecutive adds that follow
-      const adds = [];
-      while (i < result.length && result[i].type === 'added') {
-        adds.push(result[i]);
-        i++;
-      }
-
-      // If we have both deletes and adds, merge them as modified
-      if (deletes.length > 0 && adds.length > 0) {
-        const maxLen = Math.max(deletes.length, adds.length);
-        for (let j = 0; j < maxLen; j++) {
-          if (j < deletes.length && j < adds.length) {
-            merged.push({
-              type: 'modified',
-              leftLine: deletes[j].leftLine,
-              leftLineNum: deletes[j].leftLineNum,
-              rightLine: adds[j].rightLine,
-              rightLineNum: adds[j].rightLineNum,
-            });
-          } else if (j < deletes.length) {
-            merged.push(deletes[j]);
-          } else {
-            merged.push(adds[j]);
-          }
-        }
-      } else {
-        // No adds followed, just push the deletes
-        merged.push(...deletes);
-      }
-    } else if (result[i].type === 'added') {
-      // Standalone adds (not preceded by deletes)
-      merged.push(result[i]);
-      i++;
-    } else {
-      // Unchanged lines
-      merged.push(result[i]);
-      i++;
-    }
-  }
-
-  return merged;
-}
-
-// Get line decorations for Monaco editor
-function getLineDecorations(diff, side) {
-  const decorations = [];
-
-  diff.forEach((entry) => {
-    const lineNum = side === 'left' ? entry.leftLineNum : entry.rightLineNum;
-    if (lineNum === null) return;
-
-    let className = '';
-    let glyphClassName = '';
-
-    if (entry.type === 'deleted' && side === 'left') {
-      className = 'diff-line-deleted';
-      glyphClassName = 'diff-glyph-deleted';
-    } else if (entry.type === 'added' && side === 'right') {
-      className = 'diff-line-added';
-      glyphClassName = 'diff-glyph-added';
-    } else if (entry.type === 'modified') {
-      className = 'diff-line-modified';
-      glyphClassName = 'diff-glyph-modified';
-    }
-
-    if (className) {
-      decorations.push({
-        range: { startLineNumber: lineNum, startColumn: 1, endLineNumber: lineNum, endColumn: 1 },
-        options: {
-          isWholeLine: true,
-          className,
-          glyphMarginClassName: glyphClassName,
-        },
-      });
-    }
-  });
-
-  return decorations;
-}
-
-// Compute view zones (grey placeholder lines) for missing code
-// Returns an array of objects with afterLineNumber and count of placeholder lines
-function computeViewZones(diff, side) {
-  const zones = [];
-  let currentLineNum = 0; // Track current line number in the file
-  let pendingPlaceholders = 0; // Count consecutive placeholders to merge
-
-  diff.forEach((entry, index) => {
-    const hasLineOnThisSide = side === 'left' ? entry.leftLineNum !== null : entry.rightLineNum !== null;
-    const hasLineOnOtherSide = side === 'left' ? entry.rightLineNum !== null : entry.leftLineNum !== null;
-
-    if (hasLineOnThisSide) {
-      // This side has a line
-      // First, flush any pending placeholders before this line
-      if (pendingPlaceholders > 0) {
-        zones.push({
-          afterLineNumber: currentLineNum,
-          heightInLines: pendingPlaceholders,
-        });
-        pendingPlaceholders = 0;
-      }
-      currentLineNum = side === 'left' ? entry.leftLineNum : entry.rightLineNum;
-    } else if (hasLineOnOtherSide) {
-      // Other side has a line but this side doesn't - need a placeholder
-      pendingPlaceholders++;
-    }
-  });
-
-  // Flush any remaining placeholders at the end
-  if (pendingPlaceholders > 0) {
-    zones.push({
-      afterLineNumber: currentLineNum,
-      heightInLines: pendingPlaceholders,
-    });
-  }
-
-  return zones;
-}
+import {
+  computeDiffBlocks,
+  getBlockCopyEdit,
+  computeFolds,
+  foldedLines,
+  computeUnifiedRows,
+  getUnifiedDecorations,
+  formatUnifiedGutter,
+  DEFAULT_SIMILARITY_THRESHOLD,
+} from './diff.js';
+import { findConflicts, resolveConflict, getConflictDecorations, parseConflictedFile } from './merge.js';
+import {
+  parseUnifiedPatch,
+  applyUnifiedPatch,
+  generateUnifiedPatch,
+  generateMultiFilePatch,
+  DEFAULT_CONTEXT_LINES,
+} from './patch.js';
+import {
+  countByStatus,
+  buildFileTree,
+  collectDroppedFiles,
+  collectInputFiles,
+  isFolderDrop,
+  loadFolder,
+} from './folder.js';
+import {
+  detectFileKind,
+  detectImageType,
+  formatHexDump,
+  countDifferentBytes,
+  computePixelDiff,
+  HEX_VIEW_MAX_BYTES,
+} from './binary.js';
+import {
+  decodeText,
+  encodeText,
+  canEncode,
+  encodingLabel,
+  detectLineEnding,
+  convertLineEndings,
+  modelLineBreak,
+  ENCODINGS,
+  DEFAULT_ENCODING,
+} from './encoding.js';
+import { buildChangeTree, countChanges, previewValue, pathKey, STRUCTURAL_FORMATS } from './structural.js';
+import { countSyntaxChanges, describeRenames } from './syntax.js';
+import { BUILTIN_PRESETS, RULE_TYPES, createRule, ruleError, addPresetRules, describeRules } from './rules.js';
+import { supportsComments, languageFromPath } from './comments.js';
+import {
+  createSessionId,
+  describeSession,
+  sameSessionContent,
+  listSessions,
+  saveSession,
+  renameSession,
+  deleteSession,
+  deleteAllSessions,
+} from './sessions.js';
+import {
+  serializeComparison,
+  isSessionFile,
+  parseComparison,
+  encodeShareFragment,
+  decodeShareFragment,
+  SESSION_FILE_EXTENSION,
+  SHARE_LINK_WARN_LENGTH,
+} from './share.js';
+import { readSourceParams, fetchSource } from './sources.js';
 
 // ============================================================================
 // LANGUAGE DETECTION
@@ -296,6 +89,7 @@ function detectLanguage(code) {
     { regex: /^\s*(fn\s+\w+|let\s+mut\s+|use\s+\w+::)/m, monaco: 'rust', prettier: null },
     { regex: /^\s*(public\s+class|private\s+class|package\s+\w+;)/m, monaco: 'java', prettier: null },
     { regex: /^\s*(#include|int\s+main|void\s+\w+\s*\()/m, monaco: 'cpp', prettier: null },
+    { regex: /^\s*\[{1,2}[\w.\-"' ]+\]{1,2}\s*$[\s\S]*^\s*[\w.\-"']+\s*=/m, monaco: 'ini', prettier: null },
     { regex: /^\s*---\s*\n|^\s*[\w-]+:\s*.+/m, monaco: 'yaml', prettier: 'yaml' },
     { regex: /^\s*(query|mutation|subscription|type\s+\w+)\s*\{/m, monaco: 'graphql', prettier: 'graphql' },
     { regex: /^\s*(#\s+|##\s+|\*\*\w+\*\*|\[.+\]\(.+\))/m, monaco: 'markdown', prettier: 'markdown' },
@@ -320,10 +114,14 @@ async function formatCode(code, language) {
   const plugins = [];
 
   try {
-    if (['babel', 'javascript', 'typescript'].includes(language)) {
+    if (['babel', 'javascript'].includes(language)) {
       const babelPlugin = await import('prettier/plugins/babel');
       const estreePlugin = await import('prettier/plugins/estree');
       plugins.push(babelPlugin.default, estreePlugin.default);
+    } else if (language === 'typescript') {
+      const typescriptPlugin = await import('prettier/plugins/typescript');
+      const estreePlugin = await import('prettier/plugins/estree');
+      plugins.push(typescriptPlugin.default, estreePlugin.default);
     } else if (language === 'html') {
       const htmlPlugin = await import('prettier/plugins/html');
       plugins.push(htmlPlugin.default);
@@ -363,75 +161,10 @@ async function formatCode(code, language) {
 }
 
 // ============================================================================
-// PATCH GENERATION
+// REPORT GENERATION
 // ============================================================================
 
-function generateUnifiedPatch(leftCode, rightCode, leftFileName = 'original', rightFileName = 'modified') {
-  const leftLines = leftCode.split('\n');
-  const rightLines = rightCode.split('\n');
-  const diff = computeLineDiff(leftLines, rightLines);
-
-  const lines = [];
-  lines.push(`--- ${leftFileName}`);
-  lines.push(`+++ ${rightFileName}`);
-
-  let leftLineNum = 1;
-  let rightLineNum = 1;
-  let currentHunk = [];
-  let hunkLeftStart = 0;
-  let hunkRightStart = 0;
-  let hunkLeftCount = 0;
-  let hunkRightCount = 0;
-
-  const flushHunk = () => {
-    if (currentHunk.length > 0) {
-      lines.push(`@@ -${hunkLeftStart},${hunkLeftCount} +${hunkRightStart},${hunkRightCount} @@`);
-      lines.push(...currentHunk);
-      currentHunk = [];
-    }
-  };
-
-  for (const entry of diff) {
-    if (entry.type === 'unchanged') {
-      if (currentHunk.length > 0) {
-        currentHunk.push(` ${entry.leftLine}`);
-        hunkLeftCount++;
-        hunkRightCount++;
-      }
-      leftLineNum++;
-      rightLineNum++;
-    } else {
-      if (currentHunk.length === 0) {
-        hunkLeftStart = entry.leftLineNum || leftLineNum;
-        hunkRightStart = entry.rightLineNum || rightLineNum;
-        hunkLeftCount = 0;
-        hunkRightCount = 0;
-      }
-
-      if (entry.type === 'deleted') {
-        currentHunk.push(`-${entry.leftLine}`);
-        hunkLeftCount++;
-        leftLineNum++;
-      } else if (entry.type === 'added') {
-        currentHunk.push(`+${entry.rightLine}`);
-        hunkRightCount++;
-        rightLineNum++;
-      } else if (entry.type === 'modified') {
-        currentHunk.push(`-${entry.leftLine}`);
-        currentHunk.push(`+${entry.rightLine}`);
-        hunkLeftCount++;
-        hunkRightCount++;
-        leftLineNum++;
-        rightLineNum++;
-      }
-    }
-  }
-
-  flushHunk();
-  return lines.join('\n');
-}
-
-function generateHTMLReport(leftCode, rightCode, diff, stats) {
+function generateHTMLReport(leftCode, rightCode, diff, stats, ignoreRules) {
   const escapeHtml = (str) => {
     if (!str) return '';
     return str
@@ -441,16 +174,37 @@ function generateHTMLReport(leftCode, rightCode, diff, stats) {
       .replace(/"/g, '&quot;');
   };
 
+  // Wrap the changed ranges of a modified line in inline highlight spans
+  const renderLine = (line, ranges, className) => {
+    if (!line) return '';
+    if (!ranges || ranges.length === 0) return escapeHtml(line);
+
+    let html = '';
+    let pos = 0;
+    ranges.forEach(({ start, end }) => {
+      html += escapeHtml(line.slice(pos, start));
+      html += `<span class="${className}">${escapeHtml(line.slice(start, end))}</span>`;
+      pos = end;
+    });
+    return html + escapeHtml(line.slice(pos));
+  };
+
+  const rules = describeRules(ignoreRules);
+  const rulesList = rules.length > 0
+    ? `<div class="rules">Ignore rules:<ul>${rules.map((rule) => `<li>${escapeHtml(rule)}</li>`).join('')}</ul></div>`
+    : '';
+
   const diffRows = diff.map((entry) => {
-    const leftClass = entry.type === 'deleted' || entry.type === 'modified' ? `diff-${entry.type}` : '';
-    const rightClass = entry.type === 'added' || entry.type === 'modified' ? `diff-${entry.type}` : '';
+    const leftClass = ['deleted', 'modified', 'moved'].includes(entry.type) && entry.leftLine !== null ? `diff-${entry.type}` : '';
+    const rightClass = ['added', 'modified', 'moved'].includes(entry.type) && entry.rightLine !== null ? `diff-${entry.type}` : '';
+    const inline = entry.type === 'modified' ? entry.inlineChanges : null;
 
     return `
       <tr>
         <td class="line-num">${entry.leftLineNum || ''}</td>
-        <td class="code ${leftClass}">${escapeHtml(entry.leftLine) || ''}</td>
+        <td class="code ${leftClass}">${renderLine(entry.leftLine, inline?.left, 'char-deleted')}</td>
         <td class="line-num">${entry.rightLineNum || ''}</td>
-        <td class="code ${rightClass}">${escapeHtml(entry.rightLine) || ''}</td>
+        <td class="code ${rightClass}">${renderLine(entry.rightLine, inline?.right, 'char-added')}</td>
       </tr>
     `;
   }).join('');
@@ -466,9 +220,12 @@ function generateHTMLReport(leftCode, rightCode, diff, stats) {
     h1 { color: #fff; }
     .stats { margin: 20px 0; padding: 15px; background: #2d2d2d; border-radius: 8px; }
     .stats span { margin-right: 20px; }
+    .rules { margin: -10px 0 20px; color: #8b949e; font-size: 13px; }
+    .rules ul { margin: 4px 0 0; font-family: 'Fira Code', monospace; }
     .added-stat { color: #85e89d; }
     .deleted-stat { color: #f97583; }
     .modified-stat { color: #ffea7f; }
+    .moved-stat { color: #d2a8ff; }
     table { width: 100%; border-collapse: collapse; font-family: 'Fira Code', monospace; font-size: 13px; }
     th, td { border: 1px solid #333; padding: 4px 8px; text-align: left; }
     th { background: #2d2d2d; }
@@ -477,6 +234,9 @@ function generateHTMLReport(leftCode, rightCode, diff, stats) {
     .diff-deleted { background: rgba(248, 81, 73, 0.15); }
     .diff-added { background: rgba(46, 160, 67, 0.15); }
     .diff-modified { background: rgba(187, 128, 9, 0.15); }
+    .diff-moved { background: rgba(163, 113, 247, 0.15); }
+    .char-deleted { background: rgba(248, 81, 73, 0.4); border-radius: 2px; }
+    .char-added { background: rgba(46, 160, 67, 0.4); border-radius: 2px; }
   </style>
 </head>
 <body>
@@ -485,8 +245,10 @@ function generateHTMLReport(leftCode, rightCode, diff, stats) {
     <span class="added-stat">+${stats.added} added</span>
     <span class="deleted-stat">-${stats.deleted} deleted</span>
     <span class="modified-stat">~${stats.modified} modified</span>
+    <span class="moved-stat">↕${stats.moved} moved</span>
     <span>${stats.unchanged} unchanged</span>
   </div>
+  ${rulesList}
   <table>
     <thead>
       <tr>
@@ -505,6 +267,220 @@ function generateHTMLReport(leftCode, rightCode, diff, stats) {
   `.trim();
 }
 
+// ============================================================================
+// DIFF WORKER
+// ============================================================================
+
+// Wait for a short pause in typing before starting a new diff
+const DIFF_DEBOUNCE_MS = 100;
+
+const EMPTY_DIFF_RESULT = {
+  diff: [],
+  leftDecorations: [],
+  rightDecorations: [],
+  leftViewZones: [],
+  rightViewZones: [],
+};
+
+const EMPTY_MERGE_RESULT = { chunks: [], text: null, conflictCount: 0 };
+
+const EMPTY_FOLDER_RESULT = { entries: [] };
+
+const EMPTY_STRUCTURAL_RESULT = { changes: [], leftDecorations: [], rightDecorations: [], parseError: null };
+
+const EMPTY_SYNTAX_RESULT = { changes: [], leftDecorations: [], rightDecorations: [], parseError: null };
+
+function createDiffWorker() {
+  return new Worker(new URL('./diffWorker.js', import.meta.url), { type: 'module' });
+}
+
+// Runs a request in a dedicated diff worker. A request that is still running
+// when a new one is made is cancelled by terminating the worker; the last good
+// result stays in place until the next one arrives. Pass a null request to
+// stay idle; call runNextImmediately() to skip the debounce for the next one.
+// workerError says why the last request failed, until one succeeds.
+function useWorkerResult(request, initialResult) {
+  const [result, setResult] = useState(initialResult);
+  const [isComputing, setIsComputing] = useState(false);
+  const [workerError, setWorkerError] = useState(null);
+  const workerRef = useRef(null);
+  const pendingIdRef = useRef(null);
+  const nextIdRef = useRef(0);
+  const immediateRef = useRef(false);
+
+  const runNextImmediately = useCallback(() => {
+    immediateRef.current = true;
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!request) {
+      // An idle worker has nothing to report
+      setWorkerError(null);
+      return undefined;
+    }
+
+    const delay = immediateRef.current ? 0 : DIFF_DEBOUNCE_MS;
+    immediateRef.current = false;
+
+    const timer = setTimeout(() => {
+      // A stale request is still running - drop it and start from a fresh worker
+      if (pendingIdRef.current !== null && workerRef.current) {
+        workerRef.current.terminate();
+        workerRef.current = null;
+      }
+
+      if (!workerRef.current) {
+        const worker = createDiffWorker();
+        worker.onmessage = (e) => {
+          const { id, error, ...payload } = e.data;
+          if (id !== pendingIdRef.current) return;
+          pendingIdRef.current = null;
+          setIsComputing(false);
+          setWorkerError(error || null);
+          if (!error) setResult(payload);
+        };
+        // The script failed to load or threw outside a request; the next
+        // request starts a fresh worker
+        worker.onerror = (e) => {
+          e.preventDefault();
+          if (workerRef.current !== worker) return;
+          worker.terminate();
+          workerRef.current = null;
+          pendingIdRef.current = null;
+          setIsComputing(false);
+          setWorkerError(e.message || 'The diff worker could not be started');
+        };
+        workerRef.current = worker;
+      }
+
+      const id = ++nextIdRef.current;
+      pendingIdRef.current = id;
+      setIsComputing(true);
+      workerRef.current.postMessage({ id, ...request });
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [request]);
+
+  return { ...result, isComputing, workerError, runNextImmediately };
+}
+
+// Line diff between the two editors, with decorations and view zones. When
+// hexBytes ({ left, right }) is given, the byte diff of those files instead.
+// formatted is useFormattedCode's result: the diff waits while it is
+// pending and compares the formatted code once it is there.
+function useDiffWorker(leftCode, rightCode, options, hexBytes, formatted) {
+  const request = useMemo(() => {
+    if (hexBytes) return { kind: 'hex', leftBytes: hexBytes.left, rightBytes: hexBytes.right };
+    if (formatted === FORMAT_PENDING) return null;
+    if (formatted && !formatted.error) {
+      return { kind: 'diff', leftCode, rightCode, leftFormatted: formatted.left, rightFormatted: formatted.right, options };
+    }
+    return { kind: 'diff', leftCode, rightCode, options };
+  }, [leftCode, rightCode, options, hexBytes, formatted]);
+  return useWorkerResult(request, EMPTY_DIFF_RESULT);
+}
+
+const FORMAT_PENDING = { pending: true };
+
+// Both editors' code as prettier formats it, for comparing formatted code
+// without touching the editors. Returns null when disabled, FORMAT_PENDING
+// until the current code is formatted, then { left, right, error }, where
+// error names the side that could not be formatted.
+function useFormattedCode(enabled, leftCode, rightCode, leftLanguage, rightLanguage) {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+
+    const formatSide = async (code, language, label) => {
+      if (!language) throw new Error(`${label}: no formatter for this language`);
+      try {
+        return await formatCode(code, language);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message.split('\n')[0]}`);
+      }
+    };
+
+    const timer = setTimeout(async () => {
+      let formatted;
+      try {
+        const [left, right] = await Promise.all([
+          formatSide(leftCode, leftLanguage, 'Original'),
+          formatSide(rightCode, rightLanguage, 'Modified'),
+        ]);
+        formatted = { leftCode, rightCode, left, right, error: null };
+      } catch (error) {
+        formatted = { leftCode, rightCode, left: null, right: null, error: error.message };
+      }
+      if (!cancelled) setResult(formatted);
+    }, DIFF_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [enabled, leftCode, rightCode, leftLanguage, rightLanguage]);
+
+  if (!enabled) return null;
+  if (!result || result.leftCode !== leftCode || result.rightCode !== rightCode) return FORMAT_PENDING;
+  return result;
+}
+
+// Three-way merge of mine and theirs against base; idle unless enabled
+function useMergeWorker(enabled, baseCode, mineCode, theirsCode, options) {
+  const request = useMemo(
+    () => (enabled ? { kind: 'merge', baseCode, mineCode, theirsCode, options } : null),
+    [enabled, baseCode, mineCode, theirsCode, options]
+  );
+  return useWorkerResult(request, EMPTY_MERGE_RESULT);
+}
+
+// Per-file comparison of the two loaded folders; idle unless enabled
+function useFolderWorker(enabled, folders, options) {
+  const request = useMemo(
+    () =>
+      enabled
+        ? {
+            kind: 'folders',
+            leftFiles: folders.left ? folders.left.files : [],
+            rightFiles: folders.right ? folders.right.files : [],
+            options,
+          }
+        : null,
+    [enabled, folders, options]
+  );
+  return useWorkerResult(request, EMPTY_FOLDER_RESULT);
+}
+
+// Structural comparison of the two editors' documents; idle unless enabled
+function useStructuralWorker(enabled, leftCode, rightCode, options) {
+  const request = useMemo(
+    () => (enabled ? { kind: 'structural', leftCode, rightCode, options } : null),
+    [enabled, leftCode, rightCode, options]
+  );
+  return useWorkerResult(request, EMPTY_STRUCTURAL_RESULT);
+}
+
+// Declaration-level comparison of the two editors' code; idle unless enabled
+function useSyntaxWorker(enabled, leftCode, rightCode, options) {
+  const request = useMemo(
+    () => (enabled ? { kind: 'syntax', leftCode, rightCode, options } : null),
+    [enabled, leftCode, rightCode, options]
+  );
+  return useWorkerResult(request, EMPTY_SYNTAX_RESULT);
+}
+
 // ============================================================================
 // COMPONENTS
 // ============================================================================
@@ -515,7 +491,8 @@ const DiffStats = ({ stats }) => (
     <span className="text-green-400">+{stats.added} added</span>
     <span className="text-red-400">-{stats.deleted} deleted</span>
     <span className="text-yellow-400">~{stats.modified} modified</span>
-    <span className="text-gray-400">{stats.unchanged} unchanged</span>
+    {stats.moved !== undefined && <span className="text-purple-400">↕{stats.moved} moved</span>}
+    {stats.unchanged !== undefined && <span className="text-gray-400">{stats.unchanged} unchanged</span>}
   </div>
 );
 
@@ -551,6 +528,7 @@ const Minimap = ({ diff, onJumpTo, currentDiffIndex, diffIndices }) => {
               backgroundColor:
                 marker.type === 'added' ? '#2ea043' :
                 marker.type === 'deleted' ? '#f85149' :
+                marker.type === 'moved' ? '#a371f7' :
                 '#bb8009',
             }}
             onClick={() => onJumpTo(marker.index)}
@@ -565,8 +543,10 @@ const Minimap = ({ diff, onJumpTo, currentDiffIndex, diffIndices }) => {
   );
 };
 
-// Options Panel component
-const OptionsPanel = ({ options, onChange }) => (
+// Options Panel component. formatError is shown when "Compare formatted" had
+// to fall back to the plain diff; commentLanguage is the language whose
+// comments "Ignore comments" strips.
+const OptionsPanel = ({ options, onChange, formatError, commentLanguage, onEditRules }) => (
   <div className="flex items-center gap-4 text-sm">
     <label className="flex items-center gap-1 cursor-pointer hover:text-white">
       <input
@@ -595,10 +575,169 @@ const OptionsPanel = ({ options, onChange }) => (
       />
       Ignore blank lines
     </label>
+    <label className="flex items-center gap-1 cursor-pointer hover:text-white">
+      <input
+        type="checkbox"
+        checked={options.ignoreLineEndings}
+        onChange={(e) => onChange({ ...options, ignoreLineEndings: e.target.checked })}
+        className="rounded bg-gray-700 border-gray-600"
+      />
+      Ignore line endings
+    </label>
+    <label
+      className="flex items-center gap-1 cursor-pointer hover:text-white"
+      title={
+        supportsComments(commentLanguage)
+          ? `Compare without ${commentLanguage} comments`
+          : 'No comment syntax is known for this language'
+      }
+    >
+      <input
+        type="checkbox"
+        checked={options.ignoreComments}
+        onChange={(e) => onChange({ ...options, ignoreComments: e.target.checked })}
+        className="rounded bg-gray-700 border-gray-600"
+      />
+      Ignore comments
+    </label>
+    <label
+      className="flex items-center gap-1 cursor-pointer hover:text-white"
+      title="Diff the code as prettier would format it, leaving the editors as they are"
+    >
+      <input
+        type="checkbox"
+        checked={options.compareFormatted}
+        onChange={(e) => onChange({ ...options, compareFormatted: e.target.checked })}
+        className="rounded bg-gray-700 border-gray-600"
+      />
+      Compare formatted
+    </label>
+    <button
+      className={`px-2 py-0.5 rounded transition-colors ${
+        options.ignoreRules.some((rule) => rule.enabled) ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+      }`}
+      onClick={onEditRules}
+      title="Regular expressions for differences to ignore"
+    >
+      Ignore rules ({options.ignoreRules.filter((rule) => rule.enabled).length})
+    </button>
+    {options.compareFormatted && formatError && (
+      <span className="max-w-xs truncate text-xs text-orange-400" title={formatError}>
+        Showing the plain diff - {formatError}
+      </span>
+    )}
+    <label className="flex items-center gap-1 hover:text-white">
+      Algorithm
+      <select
+        value={options.algorithm}
+        onChange={(e) => onChange({ ...options, algorithm: e.target.value })}
+        className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-sm"
+      >
+        <option value="myers">Myers</option>
+        <option value="histogram">Histogram</option>
+      </select>
+    </label>
+    <label className="flex items-center gap-1 hover:text-white">
+      Inline
+      <select
+        value={options.inlineGranularity}
+        onChange={(e) => onChange({ ...options, inlineGranularity: e.target.value })}
+        className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-sm"
+      >
+        <option value="word">Words</option>
+        <option value="char">Characters</option>
+      </select>
+    </label>
+    <label
+      className="flex items-center gap-1 hover:text-white"
+      title="Deleted and added lines at least this similar are shown as modified"
+    >
+      Pair similar ≥
+      <input
+        type="number"
+        min={0}
+        max={100}
+        step={5}
+        value={Math.round(options.similarityThreshold * 100)}
+        onChange={(e) => {
+          const percent = Math.min(100, Math.max(0, Number(e.target.value) || 0));
+          onChange({ ...options, similarityThreshold: percent / 100 });
+        }}
+        className="w-14 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-sm"
+      />
+      %
+    </label>
+    <label
+      className="flex items-center gap-1 cursor-pointer hover:text-white"
+      title="Fold the unchanged lines away from the changes in both editors"
+    >
+      <input
+        type="checkbox"
+        checked={options.showOnlyChanges}
+        onChange={(e) => onChange({ ...options, showOnlyChanges: e.target.checked })}
+        className="rounded bg-gray-700 border-gray-600"
+      />
+      Show only changes
+    </label>
+    <label
+      className="flex items-center gap-1 hover:text-white"
+      title="Unchanged lines around each change in exported patches and when showing only changes"
+    >
+      Context
+      <input
+        type="number"
+        min={0}
+        max={99}
+        value={options.contextLines}
+        onChange={(e) => {
+          const lines = Math.min(99, Math.max(0, Math.floor(Number(e.target.value)) || 0));
+          onChange({ ...options, contextLines: lines });
+        }}
+        className="w-12 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-sm"
+      />
+    </label>
   </div>
 );
 
-// Side-by-side Editor Panel with diff highlighting
+// Lines shown by each step of expanding a folded region
+const FOLD_STEP_LINES = 20;
+
+// The bar standing in for a folded run of unchanged lines. It is plain DOM
+// because Monaco renders view zones outside React; clicking the count shows
+// every line, the arrows show FOLD_STEP_LINES more at that end.
+function createFoldBar(count, onExpand) {
+  const bar = document.createElement('div');
+  bar.className = 'fold-bar';
+
+  const action = (label, expand, title) => {
+    const element = document.createElement('span');
+    element.className = 'fold-bar-action';
+    element.textContent = label;
+    element.title = title;
+    element.dataset.expand = expand;
+    return element;
+  };
+  if (count > FOLD_STEP_LINES) {
+    bar.append(action(`↑ ${FOLD_STEP_LINES} more`, 'top', `Show ${FOLD_STEP_LINES} more lines at the top`));
+  }
+  bar.append(action(`⋯ ${count} unchanged lines`, 'all', 'Show all of them'));
+  if (count > FOLD_STEP_LINES) {
+    bar.append(action(`↓ ${FOLD_STEP_LINES} more`, 'bottom', `Show ${FOLD_STEP_LINES} more lines at the bottom`));
+  }
+
+  // Handled on mousedown, before the editor takes it to place the cursor
+  bar.addEventListener('mousedown', (e) => {
+    const target = e.target.closest('[data-expand]');
+    if (!target) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onExpand(target.dataset.expand);
+  });
+  return bar;
+}
+
+// Side-by-side Editor Panel with diff highlighting. folds are the { key,
+// count, start, end } line ranges to hide behind a fold bar.
 const DiffEditorPanel = ({
   title,
   titleColor,
@@ -610,21 +749,70 @@ const DiffEditorPanel = ({
   onFormat,
   isFormatting,
   onDrop,
+  onDropFolder,
   editorRef,
   onScroll,
+  readOnly = false,
+  encoding,
+  onEncodingChange,
+  onSave,
+  onGutterClick,
+  folds = NO_FOLDS,
+  onExpandFold,
+  onOpenUrl,
+  onPaste,
+  loadError,
+  onDismissLoadError,
 }) => {
   const [isDragging, setIsDragging] = useState(false);
+  // The URL being typed, or null while the URL bar is closed
+  const [urlInput, setUrlInput] = useState(null);
+  const [isOpeningUrl, setIsOpeningUrl] = useState(false);
+  const lineEnding = useMemo(() => detectLineEnding(code), [code]);
   const decorationIds = useRef([]);
   const viewZoneIds = useRef([]);
+  const foldZoneIds = useRef([]);
 
-  const handleEditorMount = (editor) => {
+  // The editor reports new values set on a read-only model as edits; those
+  // must not flow back into the app's state
+  const readOnlyRef = useRef(readOnly);
+  readOnlyRef.current = readOnly;
+  // Changing the model's line break is reported as an edit too
+  const settingLineBreak = useRef(false);
+  const handleChange = (value) => {
+    if (!readOnlyRef.current && !settingLineBreak.current) onChange(value);
+  };
+
+  // The model rewrites every line break in text set or typed into it to its
+  // own, so it must use the text's for CRLF files to stay CRLF
+  const applyLineBreak = (editor, monacoApi, text) => {
+    const lineBreak = modelLineBreak(text);
+    const model = editor.getModel();
+    if (!lineBreak || !model || model.getEOL() === lineBreak) return;
+    const { CRLF, LF } = monacoApi.editor.EndOfLineSequence;
+    settingLineBreak.current = true;
+    model.setEOL(lineBreak === '\r\n' ? CRLF : LF);
+    settingLineBreak.current = false;
+  };
+  const monacoRef = useRef(null);
+
+  // Read through a ref because the mouse listener is added once, on mount
+  const gutterClickRef = useRef(onGutterClick);
+  gutterClickRef.current = onGutterClick;
+  const expandFoldRef = useRef(onExpandFold);
+  expandFoldRef.current = onExpandFold;
+
+  const handleEditorMount = (editor, monacoApi) => {
     editorRef.current = editor;
+    monacoRef.current = monacoApi;
+    applyLineBreak(editor, monacoApi, code);
 
     // Apply decorations
     decorationIds.current = editor.deltaDecorations([], decorations);
 
     // Apply view zones (grey placeholder lines)
     applyViewZones(editor, viewZones);
+    applyFolds(editor, folds);
 
     // Sync scroll
     editor.onDidScrollChange((e) => {
@@ -632,6 +820,15 @@ const DiffEditorPanel = ({
         onScroll(e.scrollTop);
       }
     });
+
+    // Clicks on a line number or glyph, e.g. to follow a moved line
+    const { GUTTER_GLYPH_MARGIN, GUTTER_LINE_NUMBERS } = monacoApi.editor.MouseTargetType;
+    editor.onMouseDown((e) => {
+      if (!gutterClickRef.current || !e.target.position) return;
+      if (e.target.type === GUTTER_GLYPH_MARGIN || e.target.type === GUTTER_LINE_NUMBERS) {
+        gutterClickRef.current(e.target.position.lineNumber);
+      }
+    });
   };
 
   // Function to apply view zones
@@ -659,6 +856,29 @@ const DiffEditorPanel = ({
     });
   }, []);
 
+  // Hide the folded lines, with a bar in their place. The bars are view
+  // zones of their own, so the placeholders stay as computeViewZones put them.
+  // setHiddenAreas is not part of Monaco's public API, so an editor without
+  // it shows every line rather than bars over lines it cannot hide.
+  const applyFolds = useCallback((editor, ranges) => {
+    if (typeof editor.setHiddenAreas !== 'function') return;
+    editor.setHiddenAreas(
+      ranges.map(({ start, end }) => ({ startLineNumber: start, startColumn: 1, endLineNumber: end, endColumn: 1 }))
+    );
+    editor.changeViewZones((accessor) => {
+      foldZoneIds.current.forEach((id) => accessor.removeZone(id));
+      foldZoneIds.current = ranges.map(({ key, count, start }) =>
+        accessor.addZone({
+          afterLineNumber: start - 1,
+          heightInLines: 1,
+          // A zone followed by hidden lines is hidden with them unless told otherwise
+          showInHiddenAreas: true,
+          domNode: createFoldBar(count, (expand) => expandFoldRef.current(key, expand)),
+        })
+      );
+    });
+  }, []);
+
   // Update decorations when they change
   useEffect(() => {
     if (editorRef.current) {
@@ -676,6 +896,20 @@ const DiffEditorPanel = ({
     }
   }, [viewZones, applyViewZones]);
 
+  useEffect(() => {
+    if (editorRef.current) {
+      applyFolds(editorRef.current, folds);
+    }
+  }, [folds, applyFolds]);
+
+  // Runs after the editor has taken the new text, which its model turned to
+  // the model's line break
+  useEffect(() => {
+    if (editorRef.current && monacoRef.current) {
+      applyLineBreak(editorRef.current, monacoRef.current, code);
+    }
+  }, [lineEnding]);
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setIsDragging(true);
@@ -685,9 +919,21 @@ const DiffEditorPanel = ({
     setIsDragging(false);
   };
 
+  const handleOpenUrl = async (e) => {
+    e.preventDefault();
+    setIsOpeningUrl(true);
+    const opened = await onOpenUrl(urlInput);
+    setIsOpeningUrl(false);
+    if (opened) setUrlInput(null);
+  };
+
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
+    if (onDropFolder && isFolderDrop(e.dataTransfer)) {
+      onDropFolder(e.dataTransfer);
+      return;
+    }
     const file = e.dataTransfer.files[0];
     if (file) {
       onDrop(file);
@@ -707,31 +953,128 @@ const DiffEditorPanel = ({
           <span className="px-2 py-0.5 bg-gray-700 rounded text-xs text-gray-300">
             {language}
           </span>
-        </div>
-        <button
-          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors flex items-center gap-1"
-          onClick={onFormat}
-          disabled={isFormatting}
-        >
-          {isFormatting ? (
+          {!readOnly && encoding && (
             <>
-              <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-              </svg>
-              Formatting...
+              <select
+                value={encoding}
+                onChange={(e) => onEncodingChange(e.target.value)}
+                title={`Saved as ${encodingLabel(encoding)}`}
+                className="px-1 py-0.5 bg-gray-700 rounded text-xs text-gray-300 border-none cursor-pointer"
+              >
+                {ENCODINGS.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              {/* No converting to CR: editor models cannot hold it and the diff splits on \n */}
+              <select
+                value={lineEnding === 'LF' || lineEnding === 'CRLF' ? lineEnding : ''}
+                onChange={(e) => onChange(convertLineEndings(code, e.target.value))}
+                title="Line endings (choose one to convert the whole file)"
+                className="px-1 py-0.5 bg-gray-700 rounded text-xs text-gray-300 border-none cursor-pointer"
+              >
+                {lineEnding !== 'LF' && lineEnding !== 'CRLF' && (
+                  <option value="" disabled>{lineEnding || 'No EOL'}</option>
+                )}
+                <option value="LF">LF</option>
+                <option value="CRLF">CRLF</option>
+              </select>
             </>
-          ) : (
-            'Format'
           )}
-        </button>
+        </div>
+        <div className="flex items-center gap-2">
+          {onOpenUrl && (
+            <button
+              className={`px-3 py-1 ${urlInput !== null ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'} rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}
+              onClick={() => setUrlInput(urlInput === null ? '' : null)}
+              disabled={readOnly}
+              title="Load the text at a URL, e.g. a raw file on a git host or a local dev server"
+            >
+              Open URL
+            </button>
+          )}
+          {onPaste && (
+            <button
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={onPaste}
+              disabled={readOnly}
+              title="Replace the text with the clipboard's"
+            >
+              Paste
+            </button>
+          )}
+          {onSave && (
+            <button
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={onSave}
+              disabled={readOnly}
+              title={`Download as ${encodingLabel(encoding)}`}
+            >
+              Save
+            </button>
+          )}
+          <button
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={onFormat}
+            disabled={isFormatting || readOnly}
+          >
+            {isFormatting ? (
+              <>
+                <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                </svg>
+                Formatting...
+              </>
+            ) : (
+              'Format'
+            )}
+          </button>
+        </div>
       </div>
+      {urlInput !== null && (
+        <form
+          className="bg-gray-800 px-3 py-2 flex items-center gap-2 border-b border-gray-700 flex-shrink-0"
+          onSubmit={handleOpenUrl}
+        >
+          <input
+            type="text"
+            autoFocus
+            value={urlInput}
+            onChange={(e) => setUrlInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setUrlInput(null)}
+            placeholder="https://raw.githubusercontent.com/… or http://localhost:3000/…"
+            className="flex-1 min-w-0 px-2 py-1 bg-gray-900 border border-gray-600 rounded text-sm font-mono focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={isOpeningUrl || !urlInput.trim()}
+          >
+            {isOpeningUrl ? 'Opening...' : 'Open'}
+          </button>
+          <button
+            type="button"
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+            onClick={() => setUrlInput(null)}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+      {loadError && (
+        <div className="bg-red-900/40 px-3 py-1.5 flex items-start gap-2 border-b border-red-800 text-sm text-red-300 flex-shrink-0">
+          <span className="flex-1 min-w-0 break-words">{loadError}</span>
+          <button className="text-red-300 hover:text-white" onClick={onDismissLoadError} title="Dismiss">
+            ✕
+          </button>
+        </div>
+      )}
       <div className="flex-1 min-h-0">
         <Editor
           height="100%"
           language={language}
           value={code}
-          onChange={onChange}
+          onChange={handleChange}
           theme="vs-dark"
           onMount={handleEditorMount}
           options={{
@@ -746,6 +1089,7 @@ const DiffEditorPanel = ({
             glyphMargin: true,
             folding: true,
             lineDecorationsWidth: 5,
+            readOnly,
           }}
         />
       </div>
@@ -758,34 +1102,1404 @@ const DiffEditorPanel = ({
   );
 };
 
-// Center merge buttons between panels
-const MergeButtons = ({ onCopyAllToRight, onCopyAllToLeft }) => (
-  <div className="flex flex-col items-center justify-center gap-2 px-2 flex-shrink-0">
+// Single-column view of the diff: old and new lines interleaved in one
+// read-only editor, with both line numbers and a +/- sign in the gutter
+const UnifiedDiffPanel = ({ rows, decorations, language, editorRef }) => {
+  const decorationIds = useRef([]);
+  const text = useMemo(() => rows.map((row) => row.text).join('\n'), [rows]);
+  const gutterWidth = useMemo(
+    () => String(rows.reduce((max, row) => Math.max(max, row.leftLineNum || 0, row.rightLineNum || 0), 0)).length,
+    [rows]
+  );
+
+  // Read through a ref because the gutter and mouse callbacks outlive renders
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+
+  const handleEditorMount = (editor, monacoApi) => {
+    editorRef.current = editor;
+    decorationIds.current = editor.deltaDecorations([], decorations);
+
+    // Clicking the gutter of a moved line reveals the row of its counterpart
+    const { GUTTER_GLYPH_MARGIN, GUTTER_LINE_NUMBERS } = monacoApi.editor.MouseTargetType;
+    editor.onMouseDown((e) => {
+      if (!e.target.position) return;
+      if (e.target.type !== GUTTER_GLYPH_MARGIN && e.target.type !== GUTTER_LINE_NUMBERS) return;
+      const row = rowsRef.current[e.target.position.lineNumber - 1];
+      if (!row || row.type !== 'moved') return;
+      const lineKey = row.side === 'left' ? 'rightLineNum' : 'leftLineNum';
+      const target = rowsRef.current.findIndex(
+        (candidate) => candidate.type === 'moved' && candidate[lineKey] === row.counterpartLineNum
+      );
+      if (target === -1) return;
+      editor.revealLineInCenter(target + 1);
+      editor.setPosition({ lineNumber: target + 1, column: 1 });
+    });
+  };
+
+  // The App navigates through editorRef, which must not outlive the editor
+  useEffect(() => () => {
+    editorRef.current = null;
+  }, [editorRef]);
+
+  useEffect(() => {
+    if (editorRef.current) {
+      decorationIds.current = editorRef.current.deltaDecorations(decorationIds.current, decorations);
+    }
+  }, [decorations]);
+
+  const editorOptions = useMemo(
+    () => ({
+      minimap: { enabled: false },
+      fontSize: 13,
+      fontFamily: "'Fira Code', Monaco, Consolas, monospace",
+      lineNumbers: (lineNumber) => {
+        const row = rowsRef.current[lineNumber - 1];
+        return row ? formatUnifiedGutter(row, gutterWidth) : '';
+      },
+      lineNumbersMinChars: gutterWidth * 2 + 3,
+      scrollBeyondLastLine: false,
+      automaticLayout: true,
+      wordWrap: 'off',
+      renderWhitespace: 'selection',
+      glyphMargin: true,
+      folding: false,
+      lineDecorationsWidth: 5,
+      readOnly: true,
+    }),
+    [gutterWidth]
+  );
+
+  return (
+    <div className="flex-1 flex flex-col relative border border-gray-700 rounded-lg overflow-hidden min-w-0">
+      <div className="bg-gray-800 px-3 py-2 flex items-center gap-2 border-b border-gray-700 flex-shrink-0">
+        <span className="font-medium text-gray-300">Unified</span>
+        <span className="px-2 py-0.5 bg-gray-700 rounded text-xs text-gray-300">{language}</span>
+        <span className="text-xs text-red-400">- Original</span>
+        <span className="text-xs text-green-400">+ Modified</span>
+      </div>
+      <div className="flex-1 min-h-0">
+        <Editor
+          height="100%"
+          language={language}
+          value={text}
+          theme="vs-dark"
+          onMount={handleEditorMount}
+          options={editorOptions}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Center merge buttons between panels: copy-all at the top and a pair of
+// copy arrows next to each diff block, kept level with the block as the
+// (scroll-synced) editors scroll
+const MergeButtons = ({
+  blocks,
+  leftEditorRef,
+  rightEditorRef,
+  subscribeScroll,
+  onCopyBlock,
+  onCopyAllToRight,
+  onCopyAllToLeft,
+}) => {
+  const gutterRef = useRef(null);
+  const [positions, setPositions] = useState([]);
+
+  const updatePositions = useCallback(() => {
+    const left = leftEditorRef.current;
+    const right = rightEditorRef.current;
+    const gutter = gutterRef.current;
+    if (!left || !right || !gutter) return;
+
+    const offset = left.getDomNode().getBoundingClientRect().top - gutter.getBoundingClientRect().top;
+    setPositions(blocks.map((block) => {
+      // A side without lines in the block only has a placeholder; measure the other side
+      const top = block.left.end >= block.left.start
+        ? left.getTopForLineNumber(block.left.start) - left.getScrollTop()
+        : right.getTopForLineNumber(block.right.start) - right.getScrollTop();
+      return offset + top;
+    }));
+  }, [blocks, leftEditorRef, rightEditorRef]);
+
+  // Measure after the editors have applied the new view zones
+  useEffect(() => {
+    const frame = requestAnimationFrame(updatePositions);
+    return () => cancelAnimationFrame(frame);
+  }, [updatePositions]);
+
+  useEffect(() => subscribeScroll(updatePositions), [subscribeScroll, updatePositions]);
+
+  const gutterHeight = gutterRef.current ? gutterRef.current.clientHeight : 0;
+
+  return (
+    <div ref={gutterRef} className="relative w-14 flex-shrink-0 overflow-hidden">
+      <div className="absolute top-0 left-0 right-0 flex justify-center gap-1 py-2 bg-gray-900 z-10">
+        <button
+          className="w-6 h-6 bg-gray-700 hover:bg-blue-600 rounded flex items-center justify-center transition-colors"
+          onClick={onCopyAllToRight}
+          title="Copy all to right"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 5l7 7-7 7M5 5l7 7-7 7" />
+          </svg>
+        </button>
+        <button
+          className="w-6 h-6 bg-gray-700 hover:bg-blue-600 rounded flex items-center justify-center transition-colors"
+          onClick={onCopyAllToLeft}
+          title="Copy all to left"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 19l-7-7 7-7m8 14l-7-7 7-7" />
+          </svg>
+        </button>
+      </div>
+      {blocks.map((block, i) => {
+        const top = positions[i];
+        if (top === undefined || top < 40 || top > gutterHeight - 10) return null;
+        return (
+          <div
+            key={block.startIndex}
+            className="absolute left-0 right-0 flex justify-center gap-1"
+            style={{ top: `${top}px` }}
+          >
+            <button
+              className="w-5 h-5 bg-gray-700 hover:bg-blue-600 rounded flex items-center justify-center transition-colors"
+              onClick={() => onCopyBlock(i, 'right')}
+              title="Copy this change to the right"
+            >
+              <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
+              </svg>
+            </button>
+            <button
+              className="w-5 h-5 bg-gray-700 hover:bg-blue-600 rounded flex items-center justify-center transition-colors"
+              onClick={() => onCopyBlock(i, 'left')}
+              title="Copy this change to the left"
+            >
+              <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 17l-5-5m0 0l5-5m-5 5h12" />
+              </svg>
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Center gutter in syntax mode: a ribbon from each moved declaration on the
+// left to where it now is on the right, redrawn as the editors scroll.
+// Clicking a ribbon selects the move.
+const MoveLinks = ({ changes, leftEditorRef, rightEditorRef, subscribeScroll, onSelect }) => {
+  const gutterRef = useRef(null);
+  const [ribbons, setRibbons] = useState([]);
+  const moves = useMemo(() => changes.filter((change) => change.moved), [changes]);
+
+  const updateRibbons = useCallback(() => {
+    const left = leftEditorRef.current;
+    const right = rightEditorRef.current;
+    const gutter = gutterRef.current;
+    if (!left || !right || !gutter) return;
+
+    const gutterTop = gutter.getBoundingClientRect().top;
+    const span = (editor, lines) => {
+      const offset = editor.getDomNode().getBoundingClientRect().top - gutterTop - editor.getScrollTop();
+      return { top: offset + editor.getTopForLineNumber(lines.start), bottom: offset + editor.getBottomForLineNumber(lines.end) };
+    };
+    setRibbons(moves.map((change) => ({ change, left: span(left, change.leftLines), right: span(right, change.rightLines) })));
+  }, [moves, leftEditorRef, rightEditorRef]);
+
+  useEffect(() => {
+    const frame = requestAnimationFrame(updateRibbons);
+    return () => cancelAnimationFrame(frame);
+  }, [updateRibbons]);
+
+  useEffect(() => subscribeScroll(updateRibbons), [subscribeScroll, updateRibbons]);
+
+  return (
+    <div ref={gutterRef} className="relative w-14 flex-shrink-0 overflow-hidden">
+      <svg className="absolute inset-0 w-full h-full">
+        {ribbons.map(({ change, left, right }) => (
+          <path
+            key={`${change.leftLines.start}:${change.rightLines.start}`}
+            d={`M0 ${left.top} C28 ${left.top} 28 ${right.top} 56 ${right.top} L56 ${right.bottom} C28 ${right.bottom} 28 ${left.bottom} 0 ${left.bottom} Z`}
+            className="fill-purple-500/25 stroke-purple-400 hover:fill-purple-500/50 cursor-pointer"
+            strokeWidth={1}
+            onClick={() => onSelect(change)}
+          >
+            <title>{`${change.kind} ${change.name} moved`}</title>
+          </path>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// Actions for the selected conflict in the three-way merge result
+const ConflictToolbar = ({ conflictCount, autoMergedCount, onResolve, onRemerge, onSave }) => (
+  <div className="bg-gray-800 px-3 py-2 flex items-center justify-between border border-b-0 border-gray-700 rounded-t-lg flex-shrink-0 text-sm">
+    <span className={conflictCount > 0 ? 'text-orange-400' : 'text-green-400'}>
+      {conflictCount > 0
+        ? `${conflictCount} unresolved conflict${conflictCount === 1 ? '' : 's'}`
+        : 'No conflicts'}
+      <span className="text-gray-400"> · {autoMergedCount} auto-merged</span>
+    </span>
+    <div className="flex items-center gap-2">
+      {[
+        ['mine', 'Take mine'],
+        ['theirs', 'Take theirs'],
+        ['both', 'Take both'],
+        ['edit', 'Edit'],
+      ].map(([choice, label]) => (
+        <button
+          key={choice}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => onResolve(choice)}
+          disabled={conflictCount === 0}
+        >
+          {label}
+        </button>
+      ))}
+      <div className="h-4 w-px bg-gray-600" />
+      <button
+        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+        onClick={onRemerge}
+        title="Discard edits to the result and merge again"
+      >
+        Re-merge
+      </button>
+      <button
+        className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded transition-colors"
+        onClick={onSave}
+        title="Download the merge result"
+      >
+        Save Result
+      </button>
+    </div>
+  </div>
+);
+
+// Dialog for applying a pasted or dropped unified diff to the left pane
+const ApplyPatchDialog = ({ onApply, onClose }) => {
+  const [patchText, setPatchText] = useState('');
+  const [selectedFile, setSelectedFile] = useState(0);
+  const [results, setResults] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const parsed = useMemo(() => {
+    if (!patchText.trim()) return { files: [], error: null };
+    try {
+      const files = parseUnifiedPatch(patchText);
+      return { files, error: files.length === 0 ? 'No hunks found in this patch' : null };
+    } catch (error) {
+      return { files: [], error: error.message };
+    }
+  }, [patchText]);
+
+  const file = parsed.files[Math.min(selectedFile, parsed.files.length - 1)];
+
+  const loadFile = (droppedFile) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      setPatchText(e.target.result);
+      setSelectedFile(0);
+      setResults(null);
+    };
+    reader.readAsText(droppedFile);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const droppedFile = e.dataTransfer.files[0];
+    if (droppedFile) loadFile(droppedFile);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-gray-800 border border-gray-700 rounded-lg w-[720px] max-w-[90vw] max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-4 py-3 border-b border-gray-700 flex items-center justify-between">
+          <span className="font-medium">Apply Patch to Original</span>
+          <button className="text-gray-400 hover:text-white" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="p-4 flex flex-col gap-3 min-h-0 overflow-auto">
+          <div
+            className={`relative ${isDragging ? 'ring-2 ring-blue-500 rounded' : ''}`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+          >
+            <textarea
+              className="w-full h-56 bg-gray-900 border border-gray-700 rounded p-2 text-xs font-mono text-gray-200 resize-none focus:outline-none focus:border-blue-500"
+              placeholder="Paste a unified diff here, or drop a .patch / .diff file"
+              value={patchText}
+              onChange={(e) => {
+                setPatchText(e.target.value);
+                setResults(null);
+              }}
+              spellCheck={false}
+            />
+          </div>
+
+          <div className="flex items-center gap-3 text-sm">
+            <label className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors cursor-pointer">
+              Choose file…
+              <input
+                type="file"
+                accept=".patch,.diff,text/plain"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) loadFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            {parsed.error && <span className="text-red-400">{parsed.error}</span>}
+            {parsed.files.length > 1 && (
+              <select
+                value={selectedFile}
+                onChange={(e) => {
+                  setSelectedFile(Number(e.target.value));
+                  setResults(null);
+                }}
+                className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5"
+              >
+                {parsed.files.map((f, i) => (
+                  <option key={i} value={i}>{f.newFile || f.oldFile || `File ${i + 1}`}</option>
+                ))}
+              </select>
+            )}
+            {file && (
+              <span className="text-gray-400">
+                {file.newFile || file.oldFile}: {file.hunks.length} hunk{file.hunks.length === 1 ? '' : 's'}
+              </span>
+            )}
+          </div>
+
+          {results && (
+            <ul className="text-sm bg-gray-900 border border-gray-700 rounded p-2 flex flex-col gap-1">
+              {results.map((result, i) => (
+                <li key={i} className={result.applied ? 'text-green-400' : 'text-red-400'}>
+                  Hunk #{i + 1}{' '}
+                  {result.applied
+                    ? `applied at line ${result.line}` +
+                      (result.offset ? ` (offset ${result.offset})` : '') +
+                      (result.fuzz ? ` (fuzz ${result.fuzz})` : '')
+                    : `FAILED: ${result.reason}`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="px-4 py-3 border-t border-gray-700 flex items-center justify-between text-sm">
+          <span className="text-gray-400">The patched text replaces the Modified pane.</span>
+          <div className="flex items-center gap-2">
+            <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors" onClick={onClose}>
+              Close
+            </button>
+            <button
+              className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={() => setResults(onApply(file.hunks))}
+              disabled={!file}
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Dialog for editing the ignore rules, which apply as they are edited.
+// Presets are the built-in rule sets plus those saved from here; loading one
+// adds its rules to the list.
+const IgnoreRulesDialog = ({ rules, savedPresets, onChange, onSavePreset, onClose }) => {
+  const presets = [...BUILTIN_PRESETS, ...savedPresets];
+  const updateRule = (id, fields) => onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...fields } : rule)));
+
+  const handleSavePreset = () => {
+    const name = prompt('Save the current rules as a preset named:');
+    if (name && name.trim()) onSavePreset(name.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-gray-800 border border-gray-700 rounded-lg w-[820px] max-w-[90vw] max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-4 py-3 border-b border-gray-700 flex items-center justify-between">
+          <span className="font-medium">Ignore Rules</span>
+          <button className="text-gray-400 hover:text-white" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="p-4 flex flex-col gap-2 min-h-0 overflow-auto text-sm">
+          {rules.length === 0 && (
+            <p className="text-gray-400">
+              No rules yet. Masks make the text they match compare equal; line filters leave matching lines out of
+              the diff.
+            </p>
+          )}
+          {rules.map((rule) => {
+            const error = ruleError(rule);
+            return (
+              <div key={rule.id} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                  className="rounded bg-gray-700 border-gray-600"
+                  title="Apply this rule"
+                />
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+                  placeholder="Name"
+                  className="w-44 bg-gray-700 border border-gray-600 rounded px-2 py-1"
+                />
+                <select
+                  value={rule.type}
+                  onChange={(e) => updateRule(rule.id, { type: e.target.value })}
+                  className="bg-gray-700 border border-gray-600 rounded px-1 py-1"
+                >
+                  {RULE_TYPES.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={rule.pattern}
+                  onChange={(e) => updateRule(rule.id, { pattern: e.target.value })}
+                  placeholder="Regular expression"
+                  title={error || undefined}
+                  spellCheck={false}
+                  className={`flex-1 min-w-0 bg-gray-900 border rounded px-2 py-1 font-mono text-xs ${
+                    error && rule.pattern ? 'border-red-500' : 'border-gray-600'
+                  }`}
+                />
+                <button
+                  className="text-gray-400 hover:text-red-400"
+                  onClick={() => onChange(rules.filter((candidate) => candidate.id !== rule.id))}
+                  title="Remove this rule"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+          <div>
+            <button
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+              onClick={() => onChange([...rules, createRule()])}
+            >
+              Add rule
+            </button>
+          </div>
+        </div>
+
+        <div className="px-4 py-3 border-t border-gray-700 flex items-center justify-between text-sm">
+          <div className="flex items-center gap-2">
+            <select
+              value=""
+              onChange={(e) => onChange(addPresetRules(rules, presets[Number(e.target.value)]))}
+              className="bg-gray-700 border border-gray-600 rounded px-1 py-1"
+            >
+              <option value="" disabled>Load preset…</option>
+              <optgroup label="Built-in">
+                {BUILTIN_PRESETS.map((preset, i) => (
+                  <option key={preset.name} value={i}>{preset.name}</option>
+                ))}
+              </optgroup>
+              {savedPresets.length > 0 && (
+                <optgroup label="Saved">
+                  {savedPresets.map((preset, i) => (
+                    <option key={preset.name} value={BUILTIN_PRESETS.length + i}>{preset.name}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <button
+              className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={handleSavePreset}
+              disabled={rules.length === 0}
+            >
+              Save as preset…
+            </button>
+          </div>
+          <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Saved comparisons, most recent first, with the setting that turns saving
+// off; sessions is null until the list has been read
+const SessionsDialog = ({
+  sessions,
+  error,
+  currentId,
+  persist,
+  onPersistChange,
+  onOpen,
+  onRename,
+  onDelete,
+  onDeleteAll,
+  onNew,
+  onClose,
+}) => {
+  const lineCount = (text) => (text ? text.split('\n').length : 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-gray-800 border border-gray-700 rounded-lg w-[640px] max-w-[90vw] max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-4 py-3 border-b border-gray-700 flex items-center justify-between">
+          <span className="font-medium">Sessions</span>
+          <button className="text-gray-400 hover:text-white" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="p-4 flex flex-col gap-1 min-h-0 overflow-auto text-sm">
+          {error && <p className="text-red-400 mb-2">{error}</p>}
+          {sessions === null && !error && <p className="text-gray-400">Loading…</p>}
+          {sessions !== null && sessions.length === 0 && (
+            <p className="text-gray-400">No saved comparisons yet. Comparisons are saved as you work on them.</p>
+          )}
+          {sessions !== null &&
+            sessions.map((session) => (
+              <div
+                key={session.id}
+                className={`flex items-center gap-2 px-2 py-1.5 rounded ${
+                  session.id === currentId ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+                }`}
+              >
+                <button
+                  className="flex-1 min-w-0 text-left"
+                  onClick={() => onOpen(session)}
+                  title="Open this comparison"
+                >
+                  <div className="truncate text-gray-200">{describeSession(session)}</div>
+                  <div className="text-xs text-gray-400">
+                    {new Date(session.updatedAt).toLocaleString()} · {lineCount(session.left.text)} /{' '}
+                    {lineCount(session.right.text)} lines
+                  </div>
+                </button>
+                {session.id === currentId && <span className="text-xs text-blue-400">Current</span>}
+                <button
+                  className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+                  onClick={() => onRename(session)}
+                >
+                  Rename
+                </button>
+                <button className="text-gray-400 hover:text-red-400" onClick={() => onDelete(session)} title="Delete">
+                  ✕
+                </button>
+              </div>
+            ))}
+        </div>
+
+        <div className="px-4 py-3 border-t border-gray-700 flex items-center justify-between text-sm">
+          <label
+            className="flex items-center gap-1 cursor-pointer hover:text-white"
+            title="Turn off for sensitive content; saved comparisons stay until deleted"
+          >
+            <input
+              type="checkbox"
+              checked={persist}
+              onChange={(e) => onPersistChange(e.target.checked)}
+              className="rounded bg-gray-700 border-gray-600"
+            />
+            Save comparisons in this browser
+          </label>
+          <div className="flex items-center gap-2">
+            <button
+              className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={onDeleteAll}
+              disabled={!sessions || sessions.length === 0}
+            >
+              Delete all
+            </button>
+            <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors" onClick={onNew}>
+              New comparison
+            </button>
+            <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// The share link of the current comparison (null while it is being made),
+// with a warning when it is too long to paste safely and the session file
+// as the alternative
+const ShareDialog = ({ link, onDownload, onClose }) => {
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState(null);
+  const linkRef = useRef(null);
+  const tooLong = link !== null && link.length > SHARE_LINK_WARN_LENGTH;
+
+  // Without clipboard access (denied, or a page not served over HTTPS) the
+  // link is selected for copying by hand
+  const handleCopy = () => {
+    setCopyError(null);
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(link))
+      .then(() => setCopied(true))
+      .catch((error) => {
+        setCopyError(`Could not copy the link: ${error.message}. It is selected, so copy it with Ctrl+C.`);
+        linkRef.current.focus();
+        linkRef.current.select();
+      });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-gray-800 border border-gray-700 rounded-lg w-[640px] max-w-[90vw] max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-4 py-3 border-b border-gray-700 flex items-center justify-between">
+          <span className="font-medium">Share Comparison</span>
+          <button className="text-gray-400 hover:text-white" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="p-4 flex flex-col gap-2 min-h-0 text-sm">
+          <p className="text-gray-400">
+            Both texts and the options travel inside the link itself, so anyone who has it can see them. Nothing is
+            uploaded.
+          </p>
+          <textarea
+            ref={linkRef}
+            readOnly
+            value={link ?? 'Creating link…'}
+            onFocus={(e) => e.target.select()}
+            className="h-28 bg-gray-900 border border-gray-600 rounded p-2 font-mono text-xs text-gray-200 resize-none break-all"
+          />
+          {link !== null && (
+            <span className={`text-xs ${tooLong ? 'text-orange-400' : 'text-gray-400'}`}>
+              {link.length.toLocaleString()} characters
+              {tooLong &&
+                ` - links over ${SHARE_LINK_WARN_LENGTH.toLocaleString()} characters get cut off by some browsers and chat apps; share as a file instead`}
+            </span>
+          )}
+          {copyError && <span className="text-xs text-red-400">{copyError}</span>}
+        </div>
+
+        <div className="px-4 py-3 border-t border-gray-700 flex items-center justify-end gap-2 text-sm">
+          <button
+            className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+            onClick={onDownload}
+            title={`Download the comparison as a ${SESSION_FILE_EXTENSION} file to drop back into WebMerge`}
+          >
+            Share as file
+          </button>
+          <button
+            className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={handleCopy}
+            disabled={link === null}
+          >
+            {copied ? 'Copied' : 'Copy link'}
+          </button>
+          <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Checkerboard behind images so transparent areas stay visible
+const CHECKERBOARD_STYLE = {
+  backgroundColor: '#2d2d2d',
+  backgroundImage: 'conic-gradient(#3a3a3a 25%, transparent 0 50%, #3a3a3a 0 75%, transparent 0)',
+  backgroundSize: '16px 16px',
+};
+
+// One image of the side-by-side view, also a drop target for replacing it
+const ImagePane = ({ title, titleColor, image, url, onDrop }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [dimensions, setDimensions] = useState(null);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const file = e.dataTransfer.files[0];
+    if (file) onDrop(file);
+  };
+
+  return (
+    <div
+      className="flex-1 flex flex-col relative border border-gray-700 rounded-lg overflow-hidden min-w-0"
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <div className="bg-gray-800 px-3 py-2 flex items-center gap-2 border-b border-gray-700 flex-shrink-0 min-w-0">
+        <span className={`font-medium ${titleColor}`}>{title}</span>
+        {image && (
+          <span className="text-xs text-gray-400 truncate">
+            {image.name} · {image.bytes.length} bytes
+            {dimensions && ` · ${dimensions.width}×${dimensions.height}`}
+          </span>
+        )}
+      </div>
+      <div className="flex-1 min-h-0 flex items-center justify-center p-2" style={CHECKERBOARD_STYLE}>
+        {url ? (
+          <img
+            src={url}
+            alt={image.name}
+            className="max-w-full max-h-full object-contain"
+            onLoad={(e) => setDimensions({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          />
+        ) : (
+          <span className="text-gray-400">Drop an image here</span>
+        )}
+      </div>
+      {isDragging && (
+        <div className="absolute inset-0 bg-blue-500/20 border-2 border-dashed border-blue-500 rounded-lg flex items-center justify-center z-10">
+          <span className="text-blue-400 text-lg font-medium">Drop file here</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Decode an image file ({ bytes, mimeType }) into its RGBA pixels
+async function readImagePixels(image) {
+  const bitmap = await createImageBitmap(new Blob([image.bytes], { type: image.mimeType }));
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Visual comparison of two images: side by side, as an onion skin with an
+// opacity slider, or as an overlay marking the pixels that differ
+const ImageCompareView = ({ left, right, onDrop }) => {
+  const [mode, setMode] = useState('side');
+  const [opacity, setOpacity] = useState(50);
+  const [urls, setUrls] = useState({ left: null, right: null });
+  const [pixelDiff, setPixelDiff] = useState(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const toUrl = (image) => (image ? URL.createObjectURL(new Blob([image.bytes], { type: image.mimeType })) : null);
+    const created = { left: toUrl(left), right: toUrl(right) };
+    setUrls(created);
+    return () => Object.values(created).forEach((url) => url && URL.revokeObjectURL(url));
+  }, [left, right]);
+
+  // Compare the decoded pixels whenever either image changes
+  useEffect(() => {
+    setPixelDiff(null);
+    if (!left || !right) return undefined;
+
+    let cancelled = false;
+    Promise.all([readImagePixels(left), readImagePixels(right)])
+      .then(([leftPixels, rightPixels]) => {
+        if (!cancelled) setPixelDiff(computePixelDiff(leftPixels, rightPixels));
+      })
+      .catch((error) => {
+        if (!cancelled) setPixelDiff({ error: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [left, right]);
+
+  // Paint the difference overlay once its canvas is on screen
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !pixelDiff || pixelDiff.error) return;
+    canvas.width = pixelDiff.width;
+    canvas.height = pixelDiff.height;
+    canvas.getContext('2d').putImageData(new ImageData(pixelDiff.data, pixelDiff.width, pixelDiff.height), 0, 0);
+  }, [pixelDiff, mode]);
+
+  const modes = [
+    { id: 'side', label: 'Side by side' },
+    { id: 'onion', label: 'Onion skin' },
+    { id: 'difference', label: 'Difference' },
+  ];
+
+  let summary = 'Drop an image on each side to compare them';
+  if (pixelDiff && pixelDiff.error) {
+    summary = `Could not decode the images: ${pixelDiff.error}`;
+  } else if (pixelDiff) {
+    const percent = (100 * pixelDiff.differentPixels) / (pixelDiff.width * pixelDiff.height || 1);
+    summary = pixelDiff.differentPixels === 0
+      ? 'Images are pixel-identical'
+      : `${pixelDiff.differentPixels} pixels differ (${percent.toFixed(2)}%)`;
+  } else if (left && right) {
+    summary = 'Comparing pixels…';
+  }
+
+  return (
+    <div className="flex-1 flex flex-col min-w-0 min-h-0 gap-2">
+      <div className="flex items-center gap-2 text-sm flex-shrink-0">
+        {modes.map(({ id, label }) => (
+          <button
+            key={id}
+            className={`px-3 py-1 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+              mode === id ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+            onClick={() => setMode(id)}
+            disabled={id !== 'side' && !(left && right)}
+          >
+            {label}
+          </button>
+        ))}
+        {mode === 'onion' && (
+          <label className="flex items-center gap-2 text-gray-300 ml-2">
+            Original
+            <input type="range" min={0} max={100} value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} />
+            Modified
+          </label>
+        )}
+        <span className="ml-auto text-gray-400">{summary}</span>
+      </div>
+
+      {mode === 'side' || !(left && right) ? (
+        <div className="flex-1 flex gap-4 min-h-0">
+          <ImagePane title="Original" titleColor="text-red-400" image={left} url={urls.left} onDrop={(file) => onDrop(file, 'left')} />
+          <ImagePane title="Modified" titleColor="text-green-400" image={right} url={urls.right} onDrop={(file) => onDrop(file, 'right')} />
+        </div>
+      ) : (
+        <div className="flex-1 min-h-0 overflow-auto border border-gray-700 rounded-lg p-2" style={CHECKERBOARD_STYLE}>
+          {mode === 'onion' ? (
+            <div className="relative inline-block">
+              <img src={urls.left} alt={left.name} className="block max-w-none" />
+              <img
+                src={urls.right}
+                alt={right.name}
+                className="absolute top-0 left-0 max-w-none"
+                style={{ opacity: opacity / 100 }}
+              />
+            </div>
+          ) : (
+            <canvas ref={canvasRef} className="block" />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Colours and labels for the folder comparison statuses, in display order
+const FILE_STATUS_STYLES = {
+  changed: { label: 'changed', className: 'text-yellow-400' },
+  'left-only': { label: 'left only', className: 'text-red-400' },
+  'right-only': { label: 'right only', className: 'text-green-400' },
+  identical: { label: 'identical', className: 'text-gray-500' },
+};
+
+// One side of a folder comparison: a drop target plus folder and zip pickers
+const FolderSource = ({ label, titleColor, folder, onLoad }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const folderInputRef = useRef(null);
+  const archiveInputRef = useRef(null);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    onLoad(collectDroppedFiles(e.dataTransfer));
+  };
+
+  return (
+    <div
+      className={`border border-dashed rounded px-2 py-1.5 ${
+        isDragging ? 'border-blue-500 bg-blue-500/10' : 'border-gray-600'
+      }`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <span className={`font-medium text-sm ${titleColor}`}>{label}</span>
+        <div className="flex gap-1">
+          <button
+            className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+            onClick={() => folderInputRef.current.click()}
+          >
+            Folder…
+          </button>
+          <button
+            className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+            onClick={() => archiveInputRef.current.click()}
+            title="Open a .zip, .tar or .tar.gz archive"
+          >
+            Archive…
+          </button>
+        </div>
+      </div>
+      <div className="text-xs text-gray-400 truncate mt-1" title={folder ? folder.name : undefined}>
+        {folder ? `${folder.name} · ${folder.files.length} files` : 'Drop a folder or archive here'}
+      </div>
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        multiple
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files.length > 0) onLoad(collectInputFiles(e.target.files));
+          e.target.value = '';
+        }}
+      />
+      <input
+        ref={archiveInputRef}
+        type="file"
+        accept=".zip,.tar,.tgz,.gz"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files.length > 0) onLoad(collectInputFiles(e.target.files));
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
+
+// A folder (collapsible) or file row of the folder comparison tree
+const FileTreeNode = ({ node, depth, selectedPath, onSelect }) => {
+  const [expanded, setExpanded] = useState(true);
+  const indent = { paddingLeft: `${depth * 12 + 8}px` };
+
+  if (node.children) {
+    return (
+      <>
+        <button
+          className="w-full text-left py-0.5 pr-2 flex items-center gap-1 hover:bg-gray-700/50"
+          style={indent}
+          onClick={() => setExpanded(!expanded)}
+        >
+          <span className="w-3 text-gray-500">{expanded ? '▾' : '▸'}</span>
+          <span className={`truncate ${node.status === 'identical' ? 'text-gray-500' : 'text-gray-200'}`}>
+            {node.name}
+          </span>
+        </button>
+        {expanded &&
+          node.children.map((child) => (
+            <FileTreeNode
+              key={child.path}
+              node={child}
+              depth={depth + 1}
+              selectedPath={selectedPath}
+              onSelect={onSelect}
+            />
+          ))}
+      </>
+    );
+  }
+
+  const { entry } = node;
+  const style = FILE_STATUS_STYLES[entry.status];
+  const sizes = entry.binary
+    ? `, ${[entry.leftSize, entry.rightSize].map((size) => (size === null ? '-' : `${size} bytes`)).join(' → ')}`
+    : '';
+  return (
     <button
-      className="w-8 h-8 bg-gray-700 hover:bg-blue-600 rounded flex items-center justify-center transition-colors"
-      onClick={onCopyAllToRight}
-      title="Copy all to right"
+      className={`w-full text-left py-0.5 pr-2 flex items-center gap-2 ${
+        entry.path === selectedPath ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+      }`}
+      style={indent}
+      onClick={() => onSelect(entry.path)}
+      title={`${entry.path} (${style.label}${sizes})`}
     >
-      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
-      </svg>
+      <span className="w-3" />
+      <span className={`flex-1 truncate ${style.className}`}>{node.name}</span>
+      {entry.binary && <span className="text-xs flex-shrink-0 text-gray-500">bin</span>}
+      {entry.status !== 'identical' && !entry.binary && (
+        <span className="text-xs flex-shrink-0 flex gap-1">
+          {entry.added > 0 && <span className="text-green-400">+{entry.added}</span>}
+          {entry.deleted > 0 && <span className="text-red-400">-{entry.deleted}</span>}
+          {entry.modified > 0 && <span className="text-yellow-400">~{entry.modified}</span>}
+          {entry.moved > 0 && <span className="text-purple-400">↕{entry.moved}</span>}
+        </span>
+      )}
     </button>
+  );
+};
+
+// Sidebar for comparing two folders: the sources, counts per status and the
+// file tree. Selecting a file opens it in the editors.
+const FolderComparePanel = ({ folders, entries, selectedPath, onLoad, onSelect }) => {
+  const [hideIdentical, setHideIdentical] = useState(false);
+  const counts = useMemo(() => countByStatus(entries), [entries]);
+  const tree = useMemo(
+    () => buildFileTree(hideIdentical ? entries.filter((entry) => entry.status !== 'identical') : entries),
+    [entries, hideIdentical]
+  );
+
+  return (
+    <div className="w-72 flex-shrink-0 flex flex-col border border-gray-700 rounded-lg overflow-hidden mr-4">
+      <div className="bg-gray-800 px-3 py-2 border-b border-gray-700 flex flex-col gap-2 flex-shrink-0">
+        <FolderSource
+          label="Left folder"
+          titleColor="text-red-400"
+          folder={folders.left}
+          onLoad={(picked) => onLoad('left', picked)}
+        />
+        <FolderSource
+          label="Right folder"
+          titleColor="text-green-400"
+          folder={folders.right}
+          onLoad={(picked) => onLoad('right', picked)}
+        />
+        <div className="flex flex-wrap gap-x-3 text-xs">
+          {Object.entries(FILE_STATUS_STYLES).map(([status, style]) => (
+            <span key={status} className={style.className}>
+              {counts[status]} {style.label}
+            </span>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer hover:text-white">
+          <input
+            type="checkbox"
+            checked={hideIdentical}
+            onChange={(e) => setHideIdentical(e.target.checked)}
+            className="rounded bg-gray-700 border-gray-600"
+          />
+          Hide identical files
+        </label>
+      </div>
+      <div className="flex-1 overflow-auto py-1 text-sm">
+        {entries.length === 0 ? (
+          <p className="px-3 py-2 text-gray-500">Load a folder on each side to compare them</p>
+        ) : (
+          tree.children.map((node) => (
+            <FileTreeNode key={node.path} node={node} depth={0} selectedPath={selectedPath} onSelect={onSelect} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// STRUCTURAL COMPARE
+// ============================================================================
+
+const CHANGE_STYLES = {
+  added: { className: 'text-green-400', marker: '+', label: 'added' },
+  removed: { className: 'text-red-400', marker: '-', label: 'removed' },
+  changed: { className: 'text-yellow-400', marker: '~', label: 'changed' },
+  reordered: { className: 'text-purple-400', marker: '↕', label: 'reordered' },
+  comment: { className: 'text-blue-400', marker: '#', label: 'comments' },
+};
+
+// The format a document is compared in: from the file extension when there
+// is one, else from the detected language (TOML is detected as ini)
+function detectStructuralFormat(fileName, language) {
+  const extension = /\.(json|ya?ml|toml)$/i.exec(fileName || '');
+  if (extension) return { json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml' }[extension[1].toLowerCase()];
+  return { yaml: 'yaml', ini: 'toml' }[language] || 'json';
+}
+
+// A change, with its old and new values, or a container of changes
+const ChangeTreeNode = ({ node, depth, selectedKey, onSelect }) => {
+  const [expanded, setExpanded] = useState(true);
+  const indent = { paddingLeft: `${depth * 12 + 8}px` };
+
+  if (node.children) {
+    return (
+      <>
+        <button
+          className="w-full text-left py-0.5 pr-2 flex items-center gap-1 hover:bg-gray-700/50"
+          style={indent}
+          onClick={() => setExpanded(!expanded)}
+        >
+          <span className="w-3 text-gray-500">{expanded ? '▾' : '▸'}</span>
+          <span className="truncate text-gray-200 font-mono">{node.name}</span>
+        </button>
+        {expanded &&
+          node.children.map((child) => (
+            <ChangeTreeNode
+              key={child.key}
+              node={child}
+              depth={depth + 1}
+              selectedKey={selectedKey}
+              onSelect={onSelect}
+            />
+          ))}
+      </>
+    );
+  }
+
+  const { change } = node;
+  const style = CHANGE_STYLES[change.type];
+  return (
     <button
-      className="w-8 h-8 bg-gray-700 hover:bg-blue-600 rounded flex items-center justify-center transition-colors"
-      onClick={onCopyAllToLeft}
-      title="Copy all to left"
+      className={`w-full text-left py-0.5 pr-2 flex flex-col ${
+        node.key === selectedKey ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+      }`}
+      style={indent}
+      onClick={() => onSelect(change)}
+      title={`${change.path} (${style.label})`}
     >
-      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 17l-5-5m0 0l5-5m-5 5h12" />
-      </svg>
+      <span className={`flex items-center gap-1 font-mono ${style.className}`}>
+        <span className="w-3">{style.marker}</span>
+        <span className="truncate">{node.name}</span>
+      </span>
+      <span className="pl-4 text-xs font-mono text-gray-400 truncate w-full">
+        {change.type === 'added' && previewValue(change.newValue)}
+        {change.type === 'removed' && previewValue(change.oldValue)}
+        {change.type !== 'added' && change.type !== 'removed' &&
+          `${previewValue(change.oldValue)} → ${previewValue(change.newValue)}`}
+      </span>
     </button>
-  </div>
-);
+  );
+};
+
+// Sidebar listing the paths that differ between the two documents. Selecting
+// one reveals it in both editors. settings holds { format, arrayKey,
+// showComments, showOrder }; format 'auto' uses detectedFormat.
+const StructuralDiffPanel = ({
+  changes,
+  parseError,
+  settings,
+  detectedFormat,
+  onSettingsChange,
+  selectedKey,
+  onSelect,
+}) => {
+  const counts = useMemo(() => countChanges(changes), [changes]);
+  const tree = useMemo(() => buildChangeTree(changes), [changes]);
+  const detectedLabel = STRUCTURAL_FORMATS.find((format) => format.id === detectedFormat).label;
+  const shownTypes = Object.keys(CHANGE_STYLES).filter(
+    (type) => (type !== 'reordered' || settings.showOrder) && (type !== 'comment' || settings.showComments)
+  );
+
+  return (
+    <div className="w-80 flex-shrink-0 flex flex-col border border-gray-700 rounded-lg overflow-hidden mr-4">
+      <div className="bg-gray-800 px-3 py-2 border-b border-gray-700 flex flex-col gap-2 flex-shrink-0">
+        <div className="flex items-center justify-between gap-2">
+          <span className="font-medium text-gray-200">Structural compare</span>
+          <select
+            value={settings.format}
+            onChange={(e) => onSettingsChange({ ...settings, format: e.target.value })}
+            className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-xs"
+          >
+            <option value="auto">Auto ({detectedLabel})</option>
+            {STRUCTURAL_FORMATS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-gray-300">
+          Match arrays by
+          <input
+            type="text"
+            value={settings.arrayKey}
+            onChange={(e) => onSettingsChange({ ...settings, arrayKey: e.target.value.trim() })}
+            placeholder="index"
+            title="Field that identifies array elements, such as id or name"
+            className="flex-1 min-w-0 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-xs"
+          />
+        </label>
+        <div className="flex gap-3 text-xs text-gray-300">
+          <label className="flex items-center gap-1 cursor-pointer hover:text-white">
+            <input
+              type="checkbox"
+              checked={settings.showComments}
+              onChange={(e) => onSettingsChange({ ...settings, showComments: e.target.checked })}
+              className="rounded bg-gray-700 border-gray-600"
+            />
+            Show comment changes
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer hover:text-white">
+            <input
+              type="checkbox"
+              checked={settings.showOrder}
+              onChange={(e) => onSettingsChange({ ...settings, showOrder: e.target.checked })}
+              className="rounded bg-gray-700 border-gray-600"
+            />
+            Show ordering
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-x-3 text-xs">
+          {shownTypes.map((type) => (
+            <span key={type} className={CHANGE_STYLES[type].className}>
+              {counts[type]} {CHANGE_STYLES[type].label}
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto py-1 text-sm">
+        {parseError ? (
+          <p className="px-3 py-2 text-red-400">{parseError}</p>
+        ) : changes.length === 0 ? (
+          <p className="px-3 py-2 text-gray-500">No structural differences</p>
+        ) : (
+          tree.children.map((node) => (
+            <ChangeTreeNode key={node.key} node={node} depth={0} selectedKey={selectedKey} onSelect={onSelect} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// SYNTAX COMPARE
+// ============================================================================
+
+const SYNTAX_STYLES = {
+  moved: { className: 'text-purple-400', marker: '↕', label: 'moved' },
+  renamed: { className: 'text-blue-400', marker: '✎', label: 'renamed' },
+  modified: { className: 'text-yellow-400', marker: '~', label: 'modified' },
+  added: { className: 'text-green-400', marker: '+', label: 'added' },
+  removed: { className: 'text-red-400', marker: '-', label: 'removed' },
+};
+
+// The parser for a source: TypeScript or JavaScript by file extension when
+// there is one, else by the detected language
+function detectSyntaxLanguage(fileName, language) {
+  const extension = /\.([cm]?[jt]sx?)$/i.exec(fileName || '');
+  if (extension) return extension[1].toLowerCase().includes('t') ? 'typescript' : 'babel';
+  return language === 'typescript' ? 'typescript' : 'babel';
+}
+
+// Identifies a declaration change by where it is on each side
+const syntaxChangeKey = (change) =>
+  `${change.leftLines ? change.leftLines.start : ''}:${change.rightLines ? change.rightLines.start : ''}`;
+
+// What changed about a declaration, in a line
+function describeSyntaxChange(change) {
+  const moved = `line ${change.leftLines?.start} → ${change.rightLines?.start}`;
+  const details = {
+    moved,
+    renamed: describeRenames(change.renames),
+    modified: 'changed',
+    added: `line ${change.rightLines?.start}`,
+    removed: `line ${change.leftLines?.start}`,
+  }[change.type];
+  return change.moved && change.type !== 'moved' ? `${details}; moved ${moved}` : details;
+}
+
+// Sidebar listing the top-level declarations that differ between the two
+// sources. Selecting one reveals it in both editors.
+const SyntaxDiffPanel = ({ changes, parseError, language, selectedKey, onSelect }) => {
+  const counts = useMemo(() => countSyntaxChanges(changes), [changes]);
+
+  return (
+    <div className="w-80 flex-shrink-0 flex flex-col border border-gray-700 rounded-lg overflow-hidden mr-4">
+      <div className="bg-gray-800 px-3 py-2 border-b border-gray-700 flex flex-col gap-2 flex-shrink-0">
+        <div className="flex items-center justify-between gap-2">
+          <span className="font-medium text-gray-200">Declarations</span>
+          <span className="text-xs text-gray-400">{language === 'typescript' ? 'TypeScript' : 'JavaScript'}</span>
+        </div>
+        <div className="flex flex-wrap gap-x-3 text-xs">
+          {Object.keys(SYNTAX_STYLES).map((type) => (
+            <span key={type} className={SYNTAX_STYLES[type].className}>
+              {counts[type]} {SYNTAX_STYLES[type].label}
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto py-1 text-sm">
+        {parseError ? (
+          <p className="px-3 py-2 text-red-400">{parseError}</p>
+        ) : changes.length === 0 ? (
+          <p className="px-3 py-2 text-gray-500">No differences besides formatting</p>
+        ) : (
+          changes.map((change) => {
+            const key = syntaxChangeKey(change);
+            const style = SYNTAX_STYLES[change.type];
+            return (
+              <button
+                key={key}
+                className={`w-full text-left py-0.5 px-2 flex flex-col ${
+                  key === selectedKey ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+                }`}
+                onClick={() => onSelect(change)}
+                title={`${change.kind} ${change.name} (${style.label}${change.moved && change.type !== 'moved' ? ', moved' : ''})`}
+              >
+                <span className={`flex items-center gap-1 font-mono ${style.className}`}>
+                  <span className="w-3">{style.marker}</span>
+                  <span className="text-gray-500">{change.kind}</span>
+                  <span className="truncate">{change.name}</span>
+                </span>
+                <span className="pl-4 text-xs font-mono text-gray-400 truncate w-full">{describeSyntaxChange(change)}</span>
+              </button>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
 
 // ============================================================================
 // MAIN APP COMPONENT
 // ============================================================================
 
+// Ignore rule presets saved from the rules dialog, kept in the browser
+const RULE_PRESETS_KEY = 'webmerge.ignoreRulePresets';
+
+function loadRulePresets() {
+  try {
+    return JSON.parse(localStorage.getItem(RULE_PRESETS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+// Whether comparisons are saved as sessions, a per-browser setting
+const PERSIST_SESSIONS_KEY = 'webmerge.persistSessions';
+const SESSION_SAVE_DELAY_MS = 1000;
+
+function loadPersistSessions() {
+  try {
+    return JSON.parse(localStorage.getItem(PERSIST_SESSIONS_KEY)) ?? true;
+  } catch {
+    return true;
+  }
+}
+
+// Stable empty props for panes that show no diff
+const NO_DECORATIONS = [];
+const NO_VIEW_ZONES = [];
+const NO_DIFF = [];
+const NO_FOLDS = [];
+const NO_ROWS = [];
+const NO_BYTES = new Uint8Array(0);
+
+// Name and encoding of the file open in each pane, used when saving it
+const NO_FILE = { name: '', encoding: DEFAULT_ENCODING };
+const NO_FILES = { left: NO_FILE, right: NO_FILE, base: NO_FILE, result: NO_FILE };
+const NO_LOAD_ERRORS = { left: null, right: null, base: null, result: null };
+const DEFAULT_FILE_NAMES = { left: 'original.txt', right: 'modified.txt', base: 'base.txt', result: 'merged.txt' };
+
 export default function App() {
   const monaco = useMonaco();
 
@@ -822,14 +2536,95 @@ console.log(result);`);
     ignoreWhitespace: false,
     ignoreCase: false,
     ignoreBlankLines: false,
+    ignoreLineEndings: false,
+    ignoreComments: false,
+    compareFormatted: false,
+    showOnlyChanges: false,
+    ignoreRules: [],
+    algorithm: 'myers',
+    inlineGranularity: 'word',
+    similarityThreshold: DEFAULT_SIMILARITY_THRESHOLD,
+    contextLines: DEFAULT_CONTEXT_LINES,
   });
 
-  const [isFormatting, setIsFormatting] = useState({ left: false, right: false });
+  const [showPatchDialog, setShowPatchDialog] = useState(false);
+  const [showRulesDialog, setShowRulesDialog] = useState(false);
+  const [rulePresets, setRulePresets] = useState(loadRulePresets);
+
+  // The saved session being worked on ({ id, name }, null until first saved)
+  const [persistSessions, setPersistSessions] = useState(loadPersistSessions);
+  const [sessionsLoaded, setSessionsLoaded] = useState(false);
+  const [session, setSession] = useState(null);
+  const [sessionList, setSessionList] = useState(null);
+  const [sessionError, setSessionError] = useState(null);
+  const [showSessionsDialog, setShowSessionsDialog] = useState(false);
+  const [showShareDialog, setShowShareDialog] = useState(false);
+  const [shareLink, setShareLink] = useState(null);
+  const lastSavedSession = useRef(null);
+  const pendingDiffIndex = useRef(null);
+  const [isFormatting, setIsFormatting] = useState({ left: false, right: false, base: false, result: false });
+  // Why a URL or the clipboard could not be loaded into a pane, shown in that pane
+  const [loadErrors, setLoadErrors] = useState(NO_LOAD_ERRORS);
   const [currentDiffIndex, setCurrentDiffIndex] = useState(-1);
 
+  // Three-way merge mode: the left editor holds "mine", the right "theirs"
+  const [mergeMode, setMergeMode] = useState(false);
+  const [baseCode, setBaseCode] = useState('');
+  const [resultCode, setResultCode] = useState('');
+  const [currentConflictIndex, setCurrentConflictIndex] = useState(0);
+  const [mergeLabels, setMergeLabels] = useState({ mine: '', base: '', theirs: '' });
+  const resultEdited = useRef(false);
+  const conflictFileInputRef = useRef(null);
+
+  // Folder comparison: two trees of files ({ name, files: [{ path, text }] }),
+  // one file of which is open in the editors
+  const [folderMode, setFolderMode] = useState(false);
+  const [folders, setFolders] = useState({ left: null, right: null });
+  const [selectedFolderPath, setSelectedFolderPath] = useState(null);
+
+  // Binary files dropped on the left/right panes ({ name, bytes, kind,
+  // mimeType }). Images open in the image compare view; anything else turns
+  // both panes into a read-only hex view.
+  const [binaryFiles, setBinaryFiles] = useState({ left: null, right: null });
+  const clearBinaryFiles = () => setBinaryFiles({ left: null, right: null });
+
+  // Structural compare: JSON, YAML or TOML documents are compared by key
+  // path, and the editors highlight the changed values instead of the changed
+  // lines. Comment and ordering changes are only shown on request.
+  const [structuralMode, setStructuralMode] = useState(false);
+  const [structuralSettings, setStructuralSettings] = useState({
+    format: 'auto',
+    arrayKey: '',
+    showComments: false,
+    showOrder: false,
+  });
+  const [selectedChangeKey, setSelectedChangeKey] = useState(null);
+
+  // Syntax compare: JavaScript or TypeScript sources are compared by their
+  // top-level declarations, so moves and renames show up as such. Selections
+  // share selectedChangeKey with the structural compare.
+  const [syntaxMode, setSyntaxMode] = useState(false);
+
+  // Unified view: the line diff in a single column instead of side by side
+  const [unifiedView, setUnifiedView] = useState(false);
+
+  // Lines shown again at the { top, bottom } of each fold, by fold key, when
+  // showing only changes. Fold keys only mean something in the diff they were
+  // expanded in, so the expansions are kept with it and dropped with it.
+  const [foldExpansions, setFoldExpansions] = useState({ diff: null, byKey: {} });
+
+  // { name, encoding } per pane; line endings stay in the text itself
+  const [fileInfo, setFileInfo] = useState(NO_FILES);
+  const setFileForSide = (side, file) => setFileInfo((prev) => ({ ...prev, [side]: { ...prev[side], ...file } }));
+
   const leftEditorRef = useRef(null);
   const rightEditorRef = useRef(null);
+  const unifiedEditorRef = useRef(null);
+  const baseEditorRef = useRef(null);
+  const resultEditorRef = useRef(null);
   const isScrolling = useRef(false);
+  const scrollListeners = useRef(new Set());
+  const pendingBlockIndex = useRef(null);
 
   // Define custom CSS for decorations
   useEffect(() => {
@@ -861,6 +2656,37 @@ console.log(result);`);
           width: 4px !important;
           margin-left: 3px;
         }
+        .diff-line-moved {
+          background: rgba(163, 113, 247, 0.15) !important;
+        }
+        .diff-glyph-moved {
+          background: #a371f7;
+          width: 4px !important;
+          margin-left: 3px;
+        }
+        .diff-number-deleted {
+          color: #f85149 !important;
+        }
+        .diff-number-added {
+          color: #2ea043 !important;
+        }
+        .merge-conflict-marker {
+          background: rgba(110, 118, 129, 0.3) !important;
+        }
+        .merge-conflict-mine {
+          background: rgba(56, 139, 253, 0.2) !important;
+        }
+        .merge-conflict-base {
+          background: rgba(110, 118, 129, 0.15) !important;
+        }
+        .merge-conflict-theirs {
+          background: rgba(46, 160, 67, 0.2) !important;
+        }
+        .merge-glyph-conflict {
+          background: #db6d28;
+          width: 4px !important;
+          margin-left: 3px;
+        }
       `;
       document.head.appendChild(style);
 
@@ -870,27 +2696,122 @@ console.log(result);`);
     }
   }, [monaco]);
 
+  const binaryView = useMemo(() => {
+    const files = [binaryFiles.left, binaryFiles.right].filter(Boolean);
+    if (files.length === 0) return null;
+    return files.every((file) => file.kind === 'image') ? 'image' : 'hex';
+  }, [binaryFiles]);
+
+  const hexBytes = useMemo(
+    () =>
+      binaryView === 'hex'
+        ? {
+            left: binaryFiles.left ? binaryFiles.left.bytes : NO_BYTES,
+            right: binaryFiles.right ? binaryFiles.right.bytes : NO_BYTES,
+          }
+        : null,
+    [binaryView, binaryFiles]
+  );
+
+  const hexDump = useMemo(
+    () =>
+      hexBytes && {
+        left: formatHexDump(hexBytes.left).join('\n'),
+        right: formatHexDump(hexBytes.right).join('\n'),
+        differentBytes: countDifferentBytes(hexBytes.left, hexBytes.right),
+      },
+    [hexBytes]
+  );
+
+  // What the editors show: the code, or the hex dumps in the hex view
+  const leftText = hexDump ? hexDump.left : leftCode;
+  const rightText = hexDump ? hexDump.right : rightCode;
+
   // Detect language
   const leftLanguage = useMemo(() => detectLanguage(leftCode), [leftCode]);
   const rightLanguage = useMemo(() => detectLanguage(rightCode), [rightCode]);
+  const baseLanguage = useMemo(() => detectLanguage(baseCode), [baseCode]);
+  const resultLanguage = useMemo(() => detectLanguage(resultCode), [resultCode]);
+
+  // Comments are stripped as the original's detected language writes them, or
+  // the modified text's when the original is plain text
+  const commentLanguage = leftLanguage.monaco !== 'plaintext' ? leftLanguage.monaco : rightLanguage.monaco;
+  const diffOptions = useMemo(
+    () => (options.ignoreComments ? { ...options, language: commentLanguage } : options),
+    [options, commentLanguage]
+  );
+
+  // Both sides through prettier when comparing formatted code
+  const formatted = useFormattedCode(
+    options.compareFormatted && !binaryView,
+    leftCode,
+    rightCode,
+    leftLanguage.prettier,
+    rightLanguage.prettier
+  );
+
+  // Compute diff, decorations and view zones in the diff worker
+  const {
+    diff: computedDiff,
+    leftDecorations,
+    rightDecorations,
+    leftViewZones,
+    rightViewZones,
+    isComputing,
+    workerError: diffWorkerError,
+    runNextImmediately: recomputeDiffNow,
+  } = useDiffWorker(leftCode, rightCode, diffOptions, hexBytes, formatted);
+
+  // Structural comparison, when enabled for text documents
+  const structuralActive = structuralMode && !binaryView;
+  const detectedFormat = detectStructuralFormat(fileInfo.left.name || fileInfo.right.name, leftLanguage.monaco);
+  const structuralOptions = useMemo(
+    () => ({
+      ...structuralSettings,
+      format: structuralSettings.format === 'auto' ? detectedFormat : structuralSettings.format,
+    }),
+    [structuralSettings, detectedFormat]
+  );
+  const structural = useStructuralWorker(structuralActive, leftCode, rightCode, structuralOptions);
+
+  // Declaration-level comparison, when enabled for text documents
+  const syntaxActive = syntaxMode && !binaryView;
+  const syntaxLanguage = detectSyntaxLanguage(fileInfo.left.name || fileInfo.right.name, leftLanguage.monaco);
+  const syntaxOptions = useMemo(() => ({ language: syntaxLanguage }), [syntaxLanguage]);
+  const syntax = useSyntaxWorker(syntaxActive, leftCode, rightCode, syntaxOptions);
+
+  // Whichever of the two replaces the line diff in the editors
+  const semantic = structuralActive ? structural : syntaxActive ? syntax : null;
+
+  // The hidden editors' diff means nothing while comparing images, and the
+  // line diff is replaced by the structural or syntax changes in those modes
+  const diff = binaryView === 'image' || semantic ? NO_DIFF : computedDiff;
 
-  // Compute diff
-  const diff = useMemo(() => {
-    const leftLines = leftCode.split('\n');
-    const rightLines = rightCode.split('\n');
-    return computeLineDiff(leftLines, rightLines, options);
-  }, [leftCode, rightCode, options]);
+  // The unified view shows the line diff, so not while merging or comparing
+  // semantically; the side-by-side editors stay mounted behind it
+  const unifiedActive = unifiedView && !mergeMode && !semantic && binaryView !== 'image';
+  const unifiedRows = useMemo(() => (unifiedActive ? computeUnifiedRows(diff) : NO_ROWS), [unifiedActive, diff]);
+  const unifiedDecorations = useMemo(() => getUnifiedDecorations(unifiedRows, diff), [unifiedRows, diff]);
 
   // Compute stats
   const stats = useMemo(() => {
+    if (structuralActive) {
+      const counts = countChanges(structural.changes);
+      return { added: counts.added, deleted: counts.removed, modified: counts.changed + counts.reordered + counts.comment };
+    }
+    if (syntaxActive) {
+      const counts = countSyntaxChanges(syntax.changes);
+      return { added: counts.added, deleted: counts.removed, modified: counts.modified + counts.renamed, moved: counts.moved };
+    }
     return diff.reduce(
       (acc, entry) => {
-        acc[entry.type]++;
+        // A moved line has an entry on each side but counts once
+        if (entry.type !== 'moved' || entry.leftLineNum !== null) acc[entry.type]++;
         return acc;
       },
-      { added: 0, deleted: 0, modified: 0, unchanged: 0 }
+      { added: 0, deleted: 0, modified: 0, moved: 0, unchanged: 0 }
     );
-  }, [diff]);
+  }, [diff, structuralActive, structural.changes, syntaxActive, syntax.changes]);
 
   // Get diff indices
   const diffIndices = useMemo(() => {
@@ -899,16 +2820,72 @@ console.log(result);`);
       .filter((i) => i !== null);
   }, [diff]);
 
-  // Get decorations for each side
-  const leftDecorations = useMemo(() => getLineDecorations(diff, 'left'), [diff]);
-  const rightDecorations = useMemo(() => getLineDecorations(diff, 'right'), [diff]);
+  // Contiguous runs of changes, for the per-block copy arrows
+  const diffBlocks = useMemo(() => computeDiffBlocks(diff), [diff]);
+
+  // Unchanged lines folded away in both editors when showing only changes
+  const folds = useMemo(() => {
+    if (!options.showOnlyChanges) return NO_FOLDS;
+    const expansions = foldExpansions.diff === diff ? foldExpansions.byKey : {};
+    return computeFolds(diff, options.contextLines)
+      .map((fold) => foldedLines(diff, fold, expansions[fold.key]))
+      .filter(Boolean);
+  }, [diff, options.showOnlyChanges, options.contextLines, foldExpansions]);
+  const leftFolds = useMemo(() => folds.map(({ key, count, left }) => ({ key, count, ...left })), [folds]);
+  const rightFolds = useMemo(() => folds.map(({ key, count, right }) => ({ key, count, ...right })), [folds]);
+
+  const handleExpandFold = (key, expand) => {
+    setFoldExpansions((prev) => {
+      const byKey = prev.diff === diff ? prev.byKey : {};
+      const { top = 0, bottom = 0 } = byKey[key] || {};
+      const expansion = {
+        all: { top: Infinity, bottom },
+        top: { top: top + FOLD_STEP_LINES, bottom },
+        bottom: { top, bottom: bottom + FOLD_STEP_LINES },
+      }[expand];
+      return { diff, byKey: { ...byKey, [key]: expansion } };
+    });
+  };
 
-  // Get view zones (placeholder lines) for each side
-  const leftViewZones = useMemo(() => computeViewZones(diff, 'left'), [diff]);
-  const rightViewZones = useMemo(() => computeViewZones(diff, 'right'), [diff]);
+  // Three-way merge of mine (left) and theirs (right) against the base
+  const merge = useMergeWorker(mergeMode, baseCode, leftCode, rightCode, options);
+
+  // Show each new merge in the result pane unless the user has worked on it
+  useEffect(() => {
+    if (merge.text !== null && !resultEdited.current) {
+      setResultCode(merge.text);
+    }
+  }, [merge.text]);
+
+  const conflicts = useMemo(
+    () => (mergeMode ? findConflicts(resultCode) : []),
+    [mergeMode, resultCode]
+  );
+  const resultDecorations = useMemo(() => getConflictDecorations(conflicts), [conflicts]);
+  const autoMergedCount = useMemo(
+    () => merge.chunks.filter((chunk) => chunk.type === 'resolved').length,
+    [merge.chunks]
+  );
+  const conflictIndex = Math.min(currentConflictIndex, Math.max(conflicts.length - 1, 0));
+
+  // Per-file comparison of the loaded folders
+  const folderCompare = useFolderWorker(folderMode, folders, options);
+
+  // Why the last comparison failed, from whichever worker it ran in
+  const workerError = [diffWorkerError, merge.workerError, folderCompare.workerError, structural.workerError, syntax.workerError].find(Boolean);
+
+  // Synchronized scrolling
+  const notifyScroll = () => {
+    scrollListeners.current.forEach((listener) => listener());
+  };
+
+  const subscribeScroll = useCallback((listener) => {
+    scrollListeners.current.add(listener);
+    return () => scrollListeners.current.delete(listener);
+  }, []);
 
-  // Synchronized scrolling
   const handleLeftScroll = useCallback((scrollTop) => {
+    notifyScroll();
     if (isScrolling.current) return;
     isScrolling.current = true;
     if (rightEditorRef.current) {
@@ -920,6 +2897,7 @@ console.log(result);`);
   }, []);
 
   const handleRightScroll = useCallback((scrollTop) => {
+    notifyScroll();
     if (isScrolling.current) return;
     isScrolling.current = true;
     if (leftEditorRef.current) {
@@ -930,10 +2908,36 @@ console.log(result);`);
     });
   }, []);
 
+  // Per-pane code, setters and languages
+  const codeBySide = { left: leftCode, right: rightCode, base: baseCode, result: resultCode };
+  const languageBySide = { left: leftLanguage, right: rightLanguage, base: baseLanguage, result: resultLanguage };
+  const setCodeForSide = (side, value) => {
+    if (side === 'left' || side === 'right') updateFolderFile(side, value);
+    if (side === 'left') setLeftCode(value);
+    else if (side === 'right') setRightCode(value);
+    else if (side === 'base') setBaseCode(value);
+    else {
+      resultEdited.current = true;
+      setResultCode(value);
+    }
+  };
+
+  // Keep edits to a file opened from the folder tree in its folder
+  const updateFolderFile = (side, text) => {
+    if (!folderMode || selectedFolderPath === null) return;
+    setFolders((prev) => {
+      const folder = prev[side];
+      const current = folder && folder.files.find((file) => file.path === selectedFolderPath);
+      if (!current || current.binary) return prev;
+      const files = folder.files.map((file) => (file.path === selectedFolderPath ? { ...file, text } : file));
+      return { ...prev, [side]: { ...folder, files } };
+    });
+  };
+
   // Format code
   const handleFormat = async (side) => {
-    const code = side === 'left' ? leftCode : rightCode;
-    const lang = side === 'left' ? leftLanguage.prettier : rightLanguage.prettier;
+    const code = codeBySide[side];
+    const lang = languageBySide[side].prettier;
 
     if (!lang) {
       alert('Formatting not supported for this language');
@@ -943,8 +2947,7 @@ console.log(result);`);
     setIsFormatting((prev) => ({ ...prev, [side]: true }));
     try {
       const formatted = await formatCode(code, lang);
-      if (side === 'left') setLeftCode(formatted);
-      else setRightCode(formatted);
+      setCodeForSide(side, formatted);
     } catch (error) {
       alert(`Formatting error: ${error.message}`);
     } finally {
@@ -952,32 +2955,96 @@ console.log(result);`);
     }
   };
 
-  // File handling
-  const handleFileDrop = (file, side) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const content = e.target.result;
-      if (side === 'left') setLeftCode(content);
-      else setRightCode(content);
-    };
-    reader.readAsText(file);
+  // File handling: text opens in the editor. Images and other binary files
+  // dropped on the left or right pane open in the image or hex view, and once
+  // one side is binary, text files dropped on the other side are compared
+  // byte by byte too. Throws when the file cannot be opened there, for the
+  // caller to report.
+  const openFile = async (file, side) => {
+    // A shared session file replaces the whole comparison, whichever pane it lands on
+    if (isSessionFile(file.name)) {
+      openSharedComparison(parseComparison(await file.text()));
+      return;
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const kind = detectFileKind(bytes);
+    const canCompareBinary = (side === 'left' || side === 'right') && !mergeMode;
+    const otherSide = side === 'left' ? 'right' : 'left';
+
+    if (kind !== 'text' && !canCompareBinary) {
+      throw new Error('Binary files can only be compared in the Original and Modified panes');
+    }
+    if (kind !== 'text' || (canCompareBinary && binaryFiles[otherSide])) {
+      setBinaryFiles((prev) => ({
+        ...prev,
+        [side]: { name: file.name, bytes, kind, mimeType: detectImageType(bytes) },
+      }));
+      setCurrentDiffIndex(-1);
+      return;
+    }
+
+    if (side in binaryFiles) setBinaryFiles((prev) => ({ ...prev, [side]: null }));
+    const { text, encoding } = decodeText(bytes);
+    setFileForSide(side, { name: file.name, encoding });
+    setCodeForSide(side, text);
   };
 
-  // Navigation
-  const goToNextDiff = useCallback(() => {
-    if (diffIndices.length === 0) return;
-    const nextIndex = (currentDiffIndex + 1) % diffIndices.length;
-    setCurrentDiffIndex(nextIndex);
-    scrollToDiff(nextIndex);
-  }, [diffIndices, currentDiffIndex]);
+  const handleFileDrop = (file, side) =>
+    openFile(file, side).catch((error) => alert(`Could not open ${file.name}: ${error.message}`));
 
-  const goToPrevDiff = useCallback(() => {
-    if (diffIndices.length === 0) return;
-    const prevIndex = (currentDiffIndex - 1 + diffIndices.length) % diffIndices.length;
-    setCurrentDiffIndex(prevIndex);
-    scrollToDiff(prevIndex);
-  }, [diffIndices, currentDiffIndex]);
+  const setLoadError = (side, error) => setLoadErrors((prev) => ({ ...prev, [side]: error }));
+
+  // Open the text at a URL as if its file had been dropped on the pane.
+  // Resolves to whether it could be opened.
+  const handleOpenUrl = async (side, url) => {
+    setLoadError(side, null);
+    try {
+      await openFile(await fetchSource(url, window.location.href), side);
+      return true;
+    } catch (error) {
+      setLoadError(side, `Could not open ${url}: ${error.message}`);
+      return false;
+    }
+  };
+
+  const handlePasteFromClipboard = async (side) => {
+    setLoadError(side, null);
+    if (!navigator.clipboard || !navigator.clipboard.readText) {
+      setLoadError(side, 'This browser does not let pages read the clipboard; paste into the editor instead');
+      return;
+    }
+    try {
+      const text = await navigator.clipboard.readText();
+      if (side in binaryFiles) setBinaryFiles((prev) => ({ ...prev, [side]: null }));
+      setFileForSide(side, { name: '' });
+      setCodeForSide(side, text);
+    } catch (error) {
+      setLoadError(side, `Could not read the clipboard: ${error.message}`);
+    }
+  };
+
+  // Download a pane's text in the encoding it was opened with
+  const handleSaveFile = (side) => {
+    const { name, encoding } = fileInfo[side];
+    const text = codeBySide[side];
+    if (!canEncode(text, encoding)) {
+      const proceed = confirm(
+        `Some characters cannot be saved as ${encodingLabel(encoding)} and will be written as '?'. Save anyway?`
+      );
+      if (!proceed) return;
+    }
+
+    const blob = new Blob([encodeText(text, encoding)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name || DEFAULT_FILE_NAMES[side];
+    a.click();
+    URL.revokeObjectURL(url);
+  };
 
+  // Navigation
   const scrollToDiff = useCallback((index) => {
     const lineIndex = diffIndices[index];
     if (lineIndex === undefined) return;
@@ -992,7 +3059,26 @@ console.log(result);`);
     if (rightEditorRef.current) {
       rightEditorRef.current.revealLineInCenter(rightLine);
     }
-  }, [diff, diffIndices]);
+    const row = unifiedRows.findIndex((candidate) => candidate.diffIndex === lineIndex);
+    if (unifiedEditorRef.current && row !== -1) {
+      unifiedEditorRef.current.revealLineInCenter(row + 1);
+      unifiedEditorRef.current.setPosition({ lineNumber: row + 1, column: 1 });
+    }
+  }, [diff, diffIndices, unifiedRows]);
+
+  const goToNextDiff = useCallback(() => {
+    if (diffIndices.length === 0) return;
+    const nextIndex = (currentDiffIndex + 1) % diffIndices.length;
+    setCurrentDiffIndex(nextIndex);
+    scrollToDiff(nextIndex);
+  }, [diffIndices, currentDiffIndex, scrollToDiff]);
+
+  const goToPrevDiff = useCallback(() => {
+    if (diffIndices.length === 0) return;
+    const prevIndex = (currentDiffIndex - 1 + diffIndices.length) % diffIndices.length;
+    setCurrentDiffIndex(prevIndex);
+    scrollToDiff(prevIndex);
+  }, [diffIndices, currentDiffIndex, scrollToDiff]);
 
   const jumpToDiff = useCallback((lineIndex) => {
     const diffIdx = diffIndices.indexOf(lineIndex);
@@ -1009,7 +3095,247 @@ console.log(result);`);
     }
   }, [diffIndices, scrollToDiff]);
 
+  // Clicking the gutter of a moved line reveals its counterpart in the other
+  // editor, without scrolling the clicked editor along
+  const handleGutterClick = (side, lineNumber) => {
+    const lineKey = side === 'left' ? 'leftLineNum' : 'rightLineNum';
+    const entry = diff.find((candidate) => candidate.type === 'moved' && candidate[lineKey] === lineNumber);
+    const other = side === 'left' ? rightEditorRef.current : leftEditorRef.current;
+    if (!entry || !other) return;
+
+    isScrolling.current = true;
+    other.revealLineInCenter(entry.counterpartLineNum);
+    other.setPosition({ lineNumber: entry.counterpartLineNum, column: 1 });
+    requestAnimationFrame(() => {
+      isScrolling.current = false;
+    });
+  };
+
+  // After copying a block, select the block that took its place
+  useEffect(() => {
+    if (pendingBlockIndex.current === null) return;
+    const blockIndex = Math.min(pendingBlockIndex.current, diffBlocks.length - 1);
+    pendingBlockIndex.current = null;
+    if (blockIndex < 0) {
+      setCurrentDiffIndex(-1);
+      return;
+    }
+    const nextIndex = diffIndices.indexOf(diffBlocks[blockIndex].startIndex);
+    setCurrentDiffIndex(nextIndex);
+    scrollToDiff(nextIndex);
+  }, [diffBlocks, diffIndices, scrollToDiff]);
+
+  // Saved sessions: the comparison is saved to IndexedDB shortly after each
+  // change and the most recent session is reopened on load, unless turned off
+  const currentSessionData = useMemo(
+    () => ({
+      left: { text: leftCode, name: fileInfo.left.name, encoding: fileInfo.left.encoding },
+      right: { text: rightCode, name: fileInfo.right.name, encoding: fileInfo.right.encoding },
+      options,
+      diffIndex: currentDiffIndex,
+    }),
+    [leftCode, rightCode, fileInfo, options, currentDiffIndex]
+  );
+
+  // Show a saved or shared comparison in place of the current one
+  const applyComparison = (comparison) => {
+    handleClear();
+    setLeftCode(comparison.left.text);
+    setRightCode(comparison.right.text);
+    setFileInfo({
+      ...NO_FILES,
+      left: { name: comparison.left.name, encoding: comparison.left.encoding || DEFAULT_ENCODING },
+      right: { name: comparison.right.name, encoding: comparison.right.encoding || DEFAULT_ENCODING },
+    });
+    // Options added since the comparison was saved keep their current values
+    setOptions((prev) => ({ ...prev, ...comparison.options }));
+    pendingDiffIndex.current = comparison.diffIndex;
+  };
+
+  const openSession = (saved) => {
+    applyComparison(saved);
+    setSession({ id: saved.id, name: saved.name });
+    lastSavedSession.current = saved;
+  };
+
+  // A shared comparison becomes a new session of its own
+  const openSharedComparison = (comparison) => {
+    applyComparison(comparison);
+    setSession(null);
+    lastSavedSession.current = null;
+  };
+
+  // Open the comparison of the share link in the address bar, if it is one
+  const openShareLink = async () => {
+    const shared = await decodeShareFragment(window.location.hash);
+    if (!shared) return false;
+    // Reloading should not bring back the link's texts over later edits
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    openSharedComparison(shared);
+    return true;
+  };
+
+  // Open the comparison of a share link, else the URLs given as ?left= and
+  // ?right=, else reopen the most recent session. The sample texts shown when
+  // there is none of these count as saved, so they do not become a session.
+  useEffect(() => {
+    lastSavedSession.current = currentSessionData;
+
+    const restore = async () => {
+      try {
+        if (await openShareLink()) return;
+      } catch (error) {
+        alert(`Could not open the shared comparison: ${error.message}`);
+      }
+
+      // The query stays in the address, so reloading fetches the URLs again
+      const sources = readSourceParams(window.location.search);
+      if (Object.keys(sources).length > 0) {
+        handleClear();
+        await Promise.all(Object.entries(sources).map(([side, url]) => handleOpenUrl(side, url)));
+        return;
+      }
+
+      if (!persistSessions) return;
+      try {
+        const [latest] = await listSessions();
+        if (latest) openSession(latest);
+      } catch (error) {
+        setSessionError(`Saved sessions are not available: ${error.message}`);
+      }
+    };
+
+    restore().finally(() => setSessionsLoaded(true));
+  }, []);
+
+  // A share link pasted over the address of an open tab only changes the fragment
+  useEffect(() => {
+    const handleHashChange = () => {
+      openShareLink().catch((error) => alert(`Could not open the shared comparison: ${error.message}`));
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // Empty panes are not worth a session
+  useEffect(() => {
+    if (!persistSessions || !sessionsLoaded || (!leftCode && !rightCode)) return;
+    if (lastSavedSession.current && sameSessionContent(currentSessionData, lastSavedSession.current)) return;
+
+    const timer = setTimeout(() => {
+      const saved = {
+        id: session ? session.id : createSessionId(),
+        name: session ? session.name : '',
+        updatedAt: Date.now(),
+        ...currentSessionData,
+      };
+      lastSavedSession.current = saved;
+      if (!session) setSession({ id: saved.id, name: saved.name });
+      saveSession(saved).catch((error) => setSessionError(`Could not save the session: ${error.message}`));
+    }, SESSION_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [persistSessions, sessionsLoaded, currentSessionData, session]);
+
+  // Once the diff of a reopened session is in, go back to its difference
+  useEffect(() => {
+    const index = pendingDiffIndex.current;
+    if (index === null || index >= diffIndices.length) return;
+    pendingDiffIndex.current = null;
+    setCurrentDiffIndex(index);
+    if (index >= 0) scrollToDiff(index);
+  }, [diffIndices, scrollToDiff]);
+
+  const refreshSessions = () => {
+    listSessions()
+      .then(setSessionList)
+      .catch((error) => setSessionError(`Saved sessions are not available: ${error.message}`));
+  };
+
+  const handleOpenSessions = () => {
+    setShowSessionsDialog(true);
+    refreshSessions();
+  };
+
+  // Errors stay on the Sessions button until they have been seen here
+  const handleCloseSessions = () => {
+    setShowSessionsDialog(false);
+    setSessionError(null);
+  };
+
+  const handleOpenSession = (saved) => {
+    openSession(saved);
+    setShowSessionsDialog(false);
+  };
+
+  const handleRenameSession = (saved) => {
+    const name = prompt('Name this comparison:', describeSession(saved));
+    if (name === null) return;
+    renameSession(saved.id, name.trim())
+      .then(() => {
+        if (session && session.id === saved.id) setSession({ ...session, name: name.trim() });
+        refreshSessions();
+      })
+      .catch((error) => setSessionError(`Could not rename the session: ${error.message}`));
+  };
+
+  const handleDeleteSession = (saved) => {
+    deleteSession(saved.id)
+      .then(() => {
+        if (session && session.id === saved.id) setSession(null);
+        refreshSessions();
+      })
+      .catch((error) => setSessionError(`Could not delete the session: ${error.message}`));
+  };
+
+  const handleDeleteAllSessions = () => {
+    if (!confirm('Delete every saved comparison?')) return;
+    deleteAllSessions()
+      .then(() => {
+        setSession(null);
+        refreshSessions();
+      })
+      .catch((error) => setSessionError(`Could not delete the sessions: ${error.message}`));
+  };
+
+  // A new comparison starts from empty panes and is saved once typed into
+  const handleNewSession = () => {
+    handleClear();
+    setSession(null);
+    lastSavedSession.current = null;
+    setShowSessionsDialog(false);
+  };
+
+  const handlePersistSessionsChange = (persist) => {
+    try {
+      localStorage.setItem(PERSIST_SESSIONS_KEY, JSON.stringify(persist));
+    } catch {
+      // Without storage the setting only lasts until the page is reloaded
+    }
+    setPersistSessions(persist);
+    lastSavedSession.current = null;
+  };
+
   // Copy operations
+  // Copy one diff block across as an editor edit, so it can be undone
+  const handleCopyBlock = (blockIndex, direction) => {
+    const block = diffBlocks[blockIndex];
+    const source = direction === 'right' ? leftEditorRef.current : rightEditorRef.current;
+    const target = direction === 'right' ? rightEditorRef.current : leftEditorRef.current;
+    if (!block || !source || !target) return;
+
+    const edit = getBlockCopyEdit(
+      block,
+      direction,
+      source.getModel().getLinesContent(),
+      target.getModel().getLineCount()
+    );
+    pendingBlockIndex.current = blockIndex;
+    recomputeDiffNow();
+    target.pushUndoStop();
+    target.executeEdits('webmerge-copy-block', [{ ...edit, forceMoveMarkers: true }]);
+    target.pushUndoStop();
+  };
+
   const handleCopyAllToRight = () => {
     setRightCode(leftCode);
   };
@@ -1023,18 +3349,225 @@ console.log(result);`);
     const temp = leftCode;
     setLeftCode(rightCode);
     setRightCode(temp);
+    setFolders({ left: folders.right, right: folders.left });
+    setBinaryFiles({ left: binaryFiles.right, right: binaryFiles.left });
+    setFileInfo({ ...fileInfo, left: fileInfo.right, right: fileInfo.left });
   };
 
   // Clear all
   const handleClear = () => {
     setLeftCode('');
     setRightCode('');
+    setBaseCode('');
+    setResultCode('');
+    resultEdited.current = false;
+    setMergeLabels({ mine: '', base: '', theirs: '' });
+    setFileInfo(NO_FILES);
+    setFolders({ left: null, right: null });
+    setSelectedFolderPath(null);
+    clearBinaryFiles();
+    setLoadErrors(NO_LOAD_ERRORS);
+    setCurrentDiffIndex(-1);
+  };
+
+  // Three-way merge
+  const handleToggleMergeMode = () => {
+    if (!mergeMode && !baseCode) {
+      // Without a known ancestor, start from the original text
+      setBaseCode(leftCode);
+    }
+    resultEdited.current = false;
+    setCurrentConflictIndex(0);
+    setMergeMode(!mergeMode);
+    setFolderMode(false);
+    setStructuralMode(false);
+    setSyntaxMode(false);
+    clearBinaryFiles();
+  };
+
+  // Structural comparison
+  const handleToggleStructuralMode = () => {
+    setStructuralMode(!structuralMode);
+    setSyntaxMode(false);
+    setSelectedChangeKey(null);
+    setMergeMode(false);
+  };
+
+  // Syntax comparison
+  const handleToggleSyntaxMode = () => {
+    setSyntaxMode(!syntaxMode);
+    setStructuralMode(false);
+    setSelectedChangeKey(null);
+    setMergeMode(false);
+  };
+
+  // Reveal a structural or syntax change in both editors
+  const revealChange = (change) => {
+    [
+      [leftEditorRef.current, change.leftLines],
+      [rightEditorRef.current, change.rightLines],
+    ].forEach(([editor, lines]) => {
+      if (!editor || !lines) return;
+      editor.revealLineInCenter(lines.start);
+      editor.setPosition({ lineNumber: lines.start, column: 1 });
+    });
+  };
+
+  const handleSelectChange = (change) => {
+    setSelectedChangeKey(pathKey(change.segments));
+    revealChange(change);
+  };
+
+  const handleSelectDeclaration = (change) => {
+    setSelectedChangeKey(syntaxChangeKey(change));
+    revealChange(change);
+  };
+
+  // Folder comparison
+  const handleToggleFolderMode = () => {
+    setFolderMode(!folderMode);
+    setMergeMode(false);
+  };
+
+  // picked is the [{ path, file }] list (or a promise of it) for one side
+  const handleLoadFolder = async (side, picked) => {
+    try {
+      const files = await picked;
+      if (files.length === 0) return;
+      const folder = await loadFolder(files);
+      setFolders((prev) => ({ ...prev, [side]: folder }));
+      setSelectedFolderPath(null);
+      setMergeMode(false);
+      setFolderMode(true);
+    } catch (error) {
+      alert(`Could not read folder: ${error.message}`);
+    }
+  };
+
+  // Binary files are shown as their size and hash
+  const handleSelectFolderFile = (path) => {
+    const fileIn = (folder) => folder && folder.files.find((f) => f.path === path);
+    const textIn = (folder) => {
+      const file = fileIn(folder);
+      if (!file) return '';
+      if (!file.binary) return file.text;
+      return `Binary file ${file.path}\nSize: ${file.size} bytes\nSHA-256: ${file.hash}\n`;
+    };
+    const infoIn = (folder) => {
+      const file = fileIn(folder);
+      return { name: path.split('/').pop(), encoding: (file && file.encoding) || DEFAULT_ENCODING };
+    };
+    setLeftCode(textIn(folders.left));
+    setRightCode(textIn(folders.right));
+    setFileInfo({ ...fileInfo, left: infoIn(folders.left), right: infoIn(folders.right) });
+    clearBinaryFiles();
+    setSelectedFolderPath(path);
     setCurrentDiffIndex(-1);
   };
 
+  // Open a file with <<<<<<< / ||||||| / ======= / >>>>>>> markers: its sides
+  // fill the panes and the file itself becomes the result to resolve
+  const handleLoadConflictedFile = async (file) => {
+    const { text, encoding } = decodeText(new Uint8Array(await file.arrayBuffer()));
+    const parsed = parseConflictedFile(text);
+    if (parsed.conflictCount === 0) {
+      alert('No conflict markers found in this file');
+      return;
+    }
+
+    setLeftCode(parsed.mine);
+    setRightCode(parsed.theirs);
+    setBaseCode(parsed.base);
+    setMergeLabels(parsed.labels);
+    const sideInfo = { name: '', encoding };
+    setFileInfo({ left: sideInfo, right: sideInfo, base: sideInfo, result: { name: file.name, encoding } });
+    resultEdited.current = true;
+    setResultCode(text);
+    setCurrentConflictIndex(0);
+    setMergeMode(true);
+    setFolderMode(false);
+    setStructuralMode(false);
+    setSyntaxMode(false);
+    clearBinaryFiles();
+  };
+
+  const handleSaveResult = () => {
+    if (conflicts.length > 0) {
+      const proceed = confirm(
+        `${conflicts.length} conflict${conflicts.length === 1 ? ' is' : 's are'} still unresolved. ` +
+        'Save with the conflict markers left in?'
+      );
+      if (!proceed) return;
+    }
+    handleSaveFile('result');
+  };
+
+  const handleRemerge = () => {
+    resultEdited.current = false;
+    if (merge.text !== null) setResultCode(merge.text);
+  };
+
+  const goToConflict = useCallback((index) => {
+    const conflict = conflicts[index];
+    if (!conflict) return;
+    setCurrentConflictIndex(index);
+    if (resultEditorRef.current) {
+      resultEditorRef.current.revealLineInCenter(conflict.startLine);
+    }
+  }, [conflicts]);
+
+  const goToNextConflict = () => {
+    if (conflicts.length === 0) return;
+    goToConflict((conflictIndex + 1) % conflicts.length);
+  };
+
+  const goToPrevConflict = () => {
+    if (conflicts.length === 0) return;
+    goToConflict((conflictIndex - 1 + conflicts.length) % conflicts.length);
+  };
+
+  const handleResolveConflict = (choice) => {
+    const conflict = conflicts[conflictIndex];
+    if (!conflict) return;
+
+    if (choice === 'edit') {
+      const editor = resultEditorRef.current;
+      if (editor) {
+        editor.revealLineInCenter(conflict.startLine);
+        editor.setPosition({ lineNumber: conflict.startLine + 1, column: 1 });
+        editor.focus();
+      }
+      return;
+    }
+
+    resultEdited.current = true;
+    setResultCode(resolveConflict(resultCode, conflict, choice));
+  };
+
+  // The patch for the editors, or for every file when comparing folders
+  const buildPatch = () => {
+    if (!folderMode) {
+      return generateUnifiedPatch(leftText, rightText, 'original', 'modified', diffOptions);
+    }
+
+    const textsOf = (folder) => new Map(folder ? folder.files.map((file) => [file.path, file.text]) : []);
+    const leftTexts = textsOf(folders.left);
+    const rightTexts = textsOf(folders.right);
+    // git apply cannot use "Binary files differ" stanzas, so those are left out
+    const files = folderCompare.entries
+      .filter((entry) => entry.status !== 'identical' && !entry.binary)
+      .map(({ path }) => {
+        const leftCode = leftTexts.has(path) ? leftTexts.get(path) : null;
+        const rightCode = rightTexts.has(path) ? rightTexts.get(path) : null;
+        // Comments are stripped by each file's extension, as in the folder tree
+        return { path, leftCode, rightCode, language: languageFromPath(path) };
+      });
+    return generateMultiFilePatch(files, diffOptions);
+  };
+
   // Export functions
   const exportPatch = () => {
-    const patch = generateUnifiedPatch(leftCode, rightCode);
+    const patch = buildPatch();
     const blob = new Blob([patch], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -1044,8 +3577,28 @@ console.log(result);`);
     URL.revokeObjectURL(url);
   };
 
+  // Apply a parsed patch to the left pane and show the outcome on the right
+  const handleApplyPatch = (hunks) => {
+    const { text, results } = applyUnifiedPatch(leftCode, hunks);
+    setRightCode(text);
+    return results;
+  };
+
+  // Save the current ignore rules as a preset, replacing one of the same name
+  const handleSaveRulePreset = (name) => {
+    const rules = options.ignoreRules.map(({ name: ruleName, type, pattern }) => ({ name: ruleName, type, pattern }));
+    const presets = [...rulePresets.filter((existing) => existing.name !== name), { name, rules }];
+    try {
+      localStorage.setItem(RULE_PRESETS_KEY, JSON.stringify(presets));
+    } catch (error) {
+      alert(`Could not save the preset: ${error.message}`);
+      return;
+    }
+    setRulePresets(presets);
+  };
+
   const exportHTML = () => {
-    const html = generateHTMLReport(leftCode, rightCode, diff, stats);
+    const html = generateHTMLReport(leftText, rightText, diff, stats, options.ignoreRules);
     const blob = new Blob([html], { type: 'text/html' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -1055,11 +3608,39 @@ console.log(result);`);
     URL.revokeObjectURL(url);
   };
 
+  // Share links carry the comparison in the fragment of the app's own URL
+  const handleShare = () => {
+    setShareLink(null);
+    setShowShareDialog(true);
+    encodeShareFragment(currentSessionData)
+      .then((fragment) => setShareLink(`${window.location.origin}${window.location.pathname}${fragment}`))
+      .catch((error) => {
+        setShowShareDialog(false);
+        alert(`Could not create the link: ${error.message}`);
+      });
+  };
+
+  const exportSessionFile = () => {
+    const blob = new Blob([serializeComparison(currentSessionData)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `comparison${SESSION_FILE_EXTENSION}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
   const copyDiffToClipboard = () => {
-    const patch = generateUnifiedPatch(leftCode, rightCode);
+    const patch = buildPatch();
     navigator.clipboard.writeText(patch);
   };
 
+  // Editor titles name the binary file or the file opened from the folder tree
+  const paneTitle = (title, side) => {
+    if (binaryFiles[side]) return `${title}: ${binaryFiles[side].name}`;
+    return folderMode && selectedFolderPath !== null ? `${title}: ${selectedFolderPath}` : title;
+  };
+
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -1093,8 +3674,93 @@ console.log(result);`);
           <div className="flex items-center gap-4">
             <h1 className="text-xl font-bold text-blue-400">WebMerge</h1>
             <DiffStats stats={stats} />
+            {(isComputing || formatted === FORMAT_PENDING || merge.isComputing || folderCompare.isComputing || structural.isComputing || syntax.isComputing) && (
+              <span className="flex items-center gap-1 text-sm text-gray-400">
+                <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                </svg>
+                Computing…
+              </span>
+            )}
+            {workerError && (
+              <span className="max-w-xs truncate text-sm text-red-400" title={workerError}>
+                Comparison failed: {workerError}
+              </span>
+            )}
           </div>
           <div className="flex items-center gap-2">
+            <button
+              className={`px-3 py-1.5 rounded text-sm transition-colors ${
+                mergeMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              onClick={handleToggleMergeMode}
+              title="Merge mine and theirs against a common base"
+            >
+              3-Way Merge
+            </button>
+            <button
+              className={`px-3 py-1.5 rounded text-sm transition-colors ${
+                folderMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              onClick={handleToggleFolderMode}
+              title="Compare two folders or zip archives file by file"
+            >
+              Compare Folders
+            </button>
+            <button
+              className={`px-3 py-1.5 rounded text-sm transition-colors ${
+                structuralMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              onClick={handleToggleStructuralMode}
+              title="Compare JSON, YAML or TOML documents by key path instead of line by line"
+            >
+              Compare Structure
+            </button>
+            <button
+              className={`px-3 py-1.5 rounded text-sm transition-colors ${
+                syntaxMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              onClick={handleToggleSyntaxMode}
+              title="Compare JavaScript or TypeScript by declaration, showing moved and renamed functions"
+            >
+              Compare Declarations
+            </button>
+            <button
+              className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+              onClick={() => conflictFileInputRef.current.click()}
+              title="Open a file containing git conflict markers"
+            >
+              Load Conflicted File
+            </button>
+            <input
+              ref={conflictFileInputRef}
+              type="file"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files[0];
+                if (file) handleLoadConflictedFile(file);
+                e.target.value = '';
+              }}
+            />
+            <button
+              className={`px-3 py-1.5 rounded text-sm transition-colors ${
+                unifiedView ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              onClick={() => setUnifiedView((prev) => !prev)}
+              title="Show the old and new lines in a single column instead of side by side"
+            >
+              Unified View
+            </button>
+            <button
+              className={`px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors ${
+                sessionError ? 'text-orange-400' : ''
+              }`}
+              onClick={handleOpenSessions}
+              title={sessionError || 'Reopen, rename or delete saved comparisons'}
+            >
+              Sessions
+            </button>
             <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors" onClick={handleSwap}>
               Swap
             </button>
@@ -1105,20 +3771,58 @@ console.log(result);`);
             <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors" onClick={exportPatch}>
               Export Patch
             </button>
+            <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors" onClick={() => setShowPatchDialog(true)}>
+              Apply Patch
+            </button>
             <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors" onClick={exportHTML}>
               Export HTML
             </button>
             <button className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors" onClick={copyDiffToClipboard}>
               Copy Diff
             </button>
+            <button
+              className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+              onClick={handleShare}
+              title="Share this comparison as a link or a session file"
+            >
+              Share
+            </button>
           </div>
         </div>
       </header>
 
       {/* Options bar */}
       <div className="bg-gray-800 border-b border-gray-700 px-4 py-2 flex items-center justify-between flex-shrink-0">
-        <OptionsPanel options={options} onChange={setOptions} />
+        <OptionsPanel
+          options={options}
+          onChange={setOptions}
+          formatError={formatted && formatted.error}
+          commentLanguage={commentLanguage}
+          onEditRules={() => setShowRulesDialog(true)}
+        />
         <div className="flex items-center gap-2">
+          {mergeMode && (
+            <>
+              <span className={`text-sm ${conflicts.length > 0 ? 'text-orange-400' : 'text-gray-400'}`}>
+                Conflict {conflicts.length > 0 ? conflictIndex + 1 : 0} of {conflicts.length}
+              </span>
+              <button
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={goToPrevConflict}
+                disabled={conflicts.length === 0}
+              >
+                Prev
+              </button>
+              <button
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={goToNextConflict}
+                disabled={conflicts.length === 0}
+              >
+                Next
+              </button>
+              <div className="h-4 w-px bg-gray-600" />
+            </>
+          )}
           <span className="text-sm text-gray-400">
             Difference {diffIndices.length > 0 ? currentDiffIndex + 1 : 0} of {diffIndices.length}
           </span>
@@ -1139,54 +3843,256 @@ console.log(result);`);
         </div>
       </div>
 
-      {/* Main content - Side by side editors */}
-      <div className="flex-1 flex overflow-hidden p-4 gap-0 min-h-0">
-        {/* Left Editor (Original) */}
-        <DiffEditorPanel
-          title="Original"
-          titleColor="text-red-400"
-          code={leftCode}
-          onChange={setLeftCode}
-          language={leftLanguage.monaco}
-          decorations={leftDecorations}
-          viewZones={leftViewZones}
-          onFormat={() => handleFormat('left')}
-          isFormatting={isFormatting.left}
-          onDrop={(file) => handleFileDrop(file, 'left')}
-          editorRef={leftEditorRef}
-          onScroll={handleLeftScroll}
-        />
+      {/* Main content - Side by side editors, plus base and result when merging */}
+      <div className="flex-1 flex flex-col overflow-hidden p-4 gap-4 min-h-0">
+        {hexDump && (
+          <div className="flex items-center gap-4 text-sm text-gray-400 flex-shrink-0">
+            <span className="font-medium text-gray-300">Hex view</span>
+            <span>
+              {hexBytes.left.length} → {hexBytes.right.length} bytes
+            </span>
+            <span className={hexDump.differentBytes > 0 ? 'text-yellow-400' : 'text-green-400'}>
+              {hexDump.differentBytes > 0 ? `${hexDump.differentBytes} bytes differ` : 'Files are identical'}
+            </span>
+            {Math.max(hexBytes.left.length, hexBytes.right.length) > HEX_VIEW_MAX_BYTES && (
+              <span>Showing the first {HEX_VIEW_MAX_BYTES / 1024} KiB</span>
+            )}
+          </div>
+        )}
 
-        {/* Merge buttons */}
-        <MergeButtons
-          onCopyAllToRight={handleCopyAllToRight}
-          onCopyAllToLeft={handleCopyAllToLeft}
-        />
+        <div className="flex-1 flex gap-0 min-h-0">
+          {folderMode && (
+            <FolderComparePanel
+              folders={folders}
+              entries={folderCompare.entries}
+              selectedPath={selectedFolderPath}
+              onLoad={handleLoadFolder}
+              onSelect={handleSelectFolderFile}
+            />
+          )}
 
-        {/* Right Editor (Modified) */}
-        <DiffEditorPanel
-          title="Modified"
-          titleColor="text-green-400"
-          code={rightCode}
-          onChange={setRightCode}
-          language={rightLanguage.monaco}
-          decorations={rightDecorations}
-          viewZones={rightViewZones}
-          onFormat={() => handleFormat('right')}
-          isFormatting={isFormatting.right}
-          onDrop={(file) => handleFileDrop(file, 'right')}
-          editorRef={rightEditorRef}
-          onScroll={handleRightScroll}
+          {structuralActive && (
+            <StructuralDiffPanel
+              changes={structural.changes}
+              parseError={structural.parseError}
+              settings={structuralSettings}
+              detectedFormat={detectedFormat}
+              onSettingsChange={setStructuralSettings}
+              selectedKey={selectedChangeKey}
+              onSelect={handleSelectChange}
+            />
+          )}
+
+          {syntaxActive && (
+            <SyntaxDiffPanel
+              changes={syntax.changes}
+              parseError={syntax.parseError}
+              language={syntaxLanguage}
+              selectedKey={selectedChangeKey}
+              onSelect={handleSelectDeclaration}
+            />
+          )}
+
+          {mergeMode && (
+            <>
+              {/* Base Editor (common ancestor) */}
+              <DiffEditorPanel
+                title={mergeLabels.base ? `Base (${mergeLabels.base})` : 'Base'}
+                titleColor="text-gray-300"
+                code={baseCode}
+                onChange={setBaseCode}
+                language={baseLanguage.monaco}
+                decorations={NO_DECORATIONS}
+                viewZones={NO_VIEW_ZONES}
+                onFormat={() => handleFormat('base')}
+                isFormatting={isFormatting.base}
+                onDrop={(file) => handleFileDrop(file, 'base')}
+                onOpenUrl={(url) => handleOpenUrl('base', url)}
+                onPaste={() => handlePasteFromClipboard('base')}
+                loadError={loadErrors.base}
+                onDismissLoadError={() => setLoadError('base', null)}
+                editorRef={baseEditorRef}
+                encoding={fileInfo.base.encoding}
+                onEncodingChange={(encoding) => setFileForSide('base', { encoding })}
+                onSave={() => handleSaveFile('base')}
+              />
+              <div className="w-4 flex-shrink-0" />
+            </>
+          )}
+
+          {binaryView === 'image' && (
+            <ImageCompareView left={binaryFiles.left} right={binaryFiles.right} onDrop={handleFileDrop} />
+          )}
+
+          {/* Editors stay mounted (just hidden) while comparing images */}
+          <div className={binaryView === 'image' ? 'hidden' : 'contents'}>
+            {/* The side-by-side editors stay mounted (just hidden) in the unified view */}
+            <div className={unifiedActive ? 'hidden' : 'contents'}>
+              {/* Left Editor (Original / Mine) */}
+              <DiffEditorPanel
+                title={mergeMode ? (mergeLabels.mine ? `Mine (${mergeLabels.mine})` : 'Mine') : paneTitle('Original', 'left')}
+                titleColor="text-red-400"
+                code={leftText}
+                onChange={(value) => setCodeForSide('left', value)}
+                language={hexDump ? 'plaintext' : leftLanguage.monaco}
+                decorations={semantic ? semantic.leftDecorations : leftDecorations}
+                viewZones={semantic ? NO_VIEW_ZONES : leftViewZones}
+                onFormat={() => handleFormat('left')}
+                isFormatting={isFormatting.left}
+                onDrop={(file) => handleFileDrop(file, 'left')}
+                onOpenUrl={(url) => handleOpenUrl('left', url)}
+                onPaste={() => handlePasteFromClipboard('left')}
+                loadError={loadErrors.left}
+                onDismissLoadError={() => setLoadError('left', null)}
+                onDropFolder={(dataTransfer) => handleLoadFolder('left', collectDroppedFiles(dataTransfer))}
+                editorRef={leftEditorRef}
+                onScroll={handleLeftScroll}
+                readOnly={hexDump !== null}
+                encoding={fileInfo.left.encoding}
+                onEncodingChange={(encoding) => setFileForSide('left', { encoding })}
+                onSave={() => handleSaveFile('left')}
+                onGutterClick={(lineNumber) => handleGutterClick('left', lineNumber)}
+                folds={leftFolds}
+                onExpandFold={handleExpandFold}
+              />
+
+              {/* Merge buttons, or the links between moved declarations */}
+              {mergeMode || hexDump ? (
+                <div className="w-4 flex-shrink-0" />
+              ) : syntaxActive ? (
+                <MoveLinks
+                  changes={syntax.changes}
+                  leftEditorRef={leftEditorRef}
+                  rightEditorRef={rightEditorRef}
+                  subscribeScroll={subscribeScroll}
+                  onSelect={handleSelectDeclaration}
+                />
+              ) : (
+                <MergeButtons
+                  blocks={diffBlocks}
+                  leftEditorRef={leftEditorRef}
+                  rightEditorRef={rightEditorRef}
+                  subscribeScroll={subscribeScroll}
+                  onCopyBlock={handleCopyBlock}
+                  onCopyAllToRight={handleCopyAllToRight}
+                  onCopyAllToLeft={handleCopyAllToLeft}
+                />
+              )}
+
+              {/* Right Editor (Modified / Theirs) */}
+              <DiffEditorPanel
+                title={mergeMode ? (mergeLabels.theirs ? `Theirs (${mergeLabels.theirs})` : 'Theirs') : paneTitle('Modified', 'right')}
+                titleColor="text-green-400"
+                code={rightText}
+                onChange={(value) => setCodeForSide('right', value)}
+                language={hexDump ? 'plaintext' : rightLanguage.monaco}
+                decorations={semantic ? semantic.rightDecorations : rightDecorations}
+                viewZones={semantic ? NO_VIEW_ZONES : rightViewZones}
+                onFormat={() => handleFormat('right')}
+                isFormatting={isFormatting.right}
+                onDrop={(file) => handleFileDrop(file, 'right')}
+                onOpenUrl={(url) => handleOpenUrl('right', url)}
+                onPaste={() => handlePasteFromClipboard('right')}
+                loadError={loadErrors.right}
+                onDismissLoadError={() => setLoadError('right', null)}
+                onDropFolder={(dataTransfer) => handleLoadFolder('right', collectDroppedFiles(dataTransfer))}
+                editorRef={rightEditorRef}
+                onScroll={handleRightScroll}
+                readOnly={hexDump !== null}
+                encoding={fileInfo.right.encoding}
+                onEncodingChange={(encoding) => setFileForSide('right', { encoding })}
+                onSave={() => handleSaveFile('right')}
+                onGutterClick={(lineNumber) => handleGutterClick('right', lineNumber)}
+                folds={rightFolds}
+                onExpandFold={handleExpandFold}
+              />
+            </div>
+
+            {unifiedActive && (
+              <UnifiedDiffPanel
+                rows={unifiedRows}
+                decorations={unifiedDecorations}
+                language={hexDump ? 'plaintext' : rightLanguage.monaco}
+                editorRef={unifiedEditorRef}
+              />
+            )}
+
+            {/* Minimap */}
+            <Minimap
+              diff={diff}
+              onJumpTo={jumpToDiff}
+              currentDiffIndex={currentDiffIndex}
+              diffIndices={diffIndices}
+            />
+          </div>
+        </div>
+
+        {/* Merge result */}
+        {mergeMode && (
+          <div className="flex-1 flex flex-col min-h-0">
+            <ConflictToolbar
+              conflictCount={conflicts.length}
+              autoMergedCount={autoMergedCount}
+              onResolve={handleResolveConflict}
+              onRemerge={handleRemerge}
+              onSave={handleSaveResult}
+            />
+            <DiffEditorPanel
+              title="Result"
+              titleColor="text-blue-400"
+              code={resultCode}
+              onChange={(value) => setCodeForSide('result', value)}
+              language={resultLanguage.monaco}
+              decorations={resultDecorations}
+              viewZones={NO_VIEW_ZONES}
+              onFormat={() => handleFormat('result')}
+              isFormatting={isFormatting.result}
+              onDrop={(file) => handleFileDrop(file, 'result')}
+              onOpenUrl={(url) => handleOpenUrl('result', url)}
+              onPaste={() => handlePasteFromClipboard('result')}
+              loadError={loadErrors.result}
+              onDismissLoadError={() => setLoadError('result', null)}
+              editorRef={resultEditorRef}
+              encoding={fileInfo.result.encoding}
+              onEncodingChange={(encoding) => setFileForSide('result', { encoding })}
+            />
+          </div>
+        )}
+      </div>
+
+      {showPatchDialog && (
+        <ApplyPatchDialog onApply={handleApplyPatch} onClose={() => setShowPatchDialog(false)} />
+      )}
+
+      {showRulesDialog && (
+        <IgnoreRulesDialog
+          rules={options.ignoreRules}
+          savedPresets={rulePresets}
+          onChange={(ignoreRules) => setOptions((prev) => ({ ...prev, ignoreRules }))}
+          onSavePreset={handleSaveRulePreset}
+          onClose={() => setShowRulesDialog(false)}
         />
+      )}
 
-        {/* Minimap */}
-        <Minimap
-          diff={diff}
-          onJumpTo={jumpToDiff}
-          currentDiffIndex={currentDiffIndex}
-          diffIndices={diffIndices}
+      {showSessionsDialog && (
+        <SessionsDialog
+          sessions={sessionList}
+          error={sessionError}
+          currentId={session && session.id}
+          persist={persistSessions}
+          onPersistChange={handlePersistSessionsChange}
+          onOpen={handleOpenSession}
+          onRename={handleRenameSession}
+          onDelete={handleDeleteSession}
+          onDeleteAll={handleDeleteAllSessions}
+          onNew={handleNewSession}
+          onClose={handleCloseSessions}
         />
-      </div>
+      )}
+
+      {showShareDialog && (
+        <ShareDialog link={shareLink} onDownload={exportSessionFile} onClose={() => setShowShareDialog(false)} />
+      )}
 
       {/* Footer */}
       <footer className="bg-gray-800 border-t border-gray-700 px-4 py-2 text-sm text-gray-400 flex-shrink-0">
@@ -1195,7 +4101,7 @@ console.log(result);`);
             Shortcuts: F8/Ctrl+D (Next diff) | Shift+F8 (Prev diff) | Ctrl+G (Go to line)
           </span>
           <span>
-            Drag & drop files into editors | Use arrows to copy between panels
+            Drag & drop files or folders into editors | Use arrows to copy changes between panels
           </span>
         </div>
       </footer>
@@ -0,0 +1,193 @@
+// Archive reading for folder comparison, done entirely in the browser. Zip
+// archives are read through their central directory, tar archives block by
+// block; deflated zip entries and .tar.gz files are inflated with the
+// built-in DecompressionStream.
+
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_END_SIZE = 22;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const TAR_BLOCK = 512;
+
+export function isZipFile(name) {
+  return /\.zip$/i.test(name);
+}
+
+// .gz also covers a single gzipped file, read as an archive holding just it
+export function isArchiveFile(name) {
+  return /\.(zip|tar|tgz|gz)$/i.test(name);
+}
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+// The end of central directory record sits at the very end of the archive,
+// followed only by an optional comment of up to 64 KiB
+function findZipEnd(view) {
+  const lowest = Math.max(0, view.byteLength - ZIP_END_SIZE - 0xffff);
+  for (let pos = view.byteLength - ZIP_END_SIZE; pos >= lowest; pos--) {
+    if (view.getUint32(pos, true) === ZIP_END_SIGNATURE) return pos;
+  }
+  throw new Error('Not a zip archive');
+}
+
+// List the files in a zip archive without inflating them. Each entry is
+// { path, method, size, data } where data holds the stored (possibly still
+// compressed) bytes. Directory entries are left out.
+export function listZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findZipEnd(view);
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  if (count === 0xffff || pos === 0xffffffff) {
+    throw new Error('Zip64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > bytes.length || view.getUint32(pos, true) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const path = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 1) throw new Error(`${path} is encrypted`);
+    if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== ZIP_LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt zip entry ${path}`);
+    }
+
+    // The local header repeats the name and has its own extra field
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    entries.push({ path, method, size, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+  }
+
+  return entries;
+}
+
+async function decompress(data, format) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Read a zip archive into [{ path, data }] with each file's contents
+export async function readZip(bytes) {
+  const files = [];
+  for (const entry of listZipEntries(bytes)) {
+    if (entry.method === ZIP_STORED) {
+      files.push({ path: entry.path, data: entry.data });
+    } else if (entry.method === ZIP_DEFLATED) {
+      files.push({ path: entry.path, data: await decompress(entry.data, 'deflate-raw') });
+    } else {
+      throw new Error(`${entry.path} uses unsupported compression method ${entry.method}`);
+    }
+  }
+  return files;
+}
+
+// ============================================================================
+// TAR
+// ============================================================================
+
+// Header fields are NUL-terminated (or full-width) ASCII
+function tarString(bytes, start, length) {
+  const field = bytes.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? field : field.subarray(0, end));
+}
+
+function tarNumber(bytes, start, length) {
+  // Sizes over 8 GiB use base-256, which a browser could not hold anyway
+  if (bytes[start] & 0x80) throw new Error('Tar entries over 8 GiB are not supported');
+  const value = tarString(bytes, start, length).trim();
+  return value === '' ? 0 : parseInt(value, 8);
+}
+
+// The header checksum sums its bytes with the checksum field read as spaces
+function tarChecksumOk(bytes, pos) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : bytes[pos + i];
+  }
+  return sum === tarNumber(bytes, pos + 148, 8);
+}
+
+// The path from a pax extended header ("<length> path=<value>\n" records)
+function paxPath(data) {
+  const text = new TextDecoder().decode(data);
+  const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(text);
+  return match ? match[1] : null;
+}
+
+// Read an (uncompressed) tar archive into [{ path, data }]. Regular files are
+// kept; directories, links and device entries are skipped. GNU long names
+// and pax paths are honoured.
+export function readTar(bytes) {
+  const files = [];
+  let longName = null;
+  let pos = 0;
+
+  while (pos + TAR_BLOCK <= bytes.length) {
+    // The archive ends with zero-filled blocks
+    if (bytes[pos] === 0) break;
+    if (!tarChecksumOk(bytes, pos)) throw new Error('Not a tar archive');
+
+    const size = tarNumber(bytes, pos + 124, 12);
+    const type = String.fromCharCode(bytes[pos + 156] || 0x30);
+    const magic = tarString(bytes, pos + 257, 6);
+    const prefix = magic === 'ustar' ? tarString(bytes, pos + 345, 155) : '';
+    const name = tarString(bytes, pos + 0, 100);
+    const dataStart = pos + TAR_BLOCK;
+    if (dataStart + size > bytes.length) throw new Error(`Tar archive is truncated at ${name}`);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    pos = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === 'L') {
+      longName = tarString(data, 0, data.length);
+    } else if (type === 'x') {
+      longName = paxPath(data) || longName;
+    } else if (type === '0' || type === '7') {
+      const path = longName || (prefix ? `${prefix}/${name}` : name);
+      files.push({ path: path.replace(/^\.\//, ''), data });
+      longName = null;
+    } else if (type !== 'g') {
+      longName = null;
+    }
+  }
+
+  return files;
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+// Read a zip, tar or gzipped tar archive into [{ path, data }]. The format
+// comes from the file name, with gzip also recognised by its magic bytes. A
+// .gz file that does not hold a tar archive is a single gzipped file, named
+// without the .gz.
+export async function readArchive(name, bytes) {
+  if (isZipFile(name)) return readZip(bytes);
+
+  const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+  const data = gzipped ? await decompress(bytes, 'gzip') : bytes;
+  const isTar = data.length >= TAR_BLOCK && tarChecksumOk(data, 0);
+  if (!isTar && /\.gz$/i.test(name) && !/\.tar\.gz$/i.test(name)) {
+    return [{ path: name.split('/').pop().replace(/\.gz$/i, ''), data }];
+  }
+  return readTar(data);
+}
@@ -0,0 +1,209 @@
+// Binary file support: file type detection, the hex view with its byte diff
+// and the pixel difference used by the image compare view. The hex diff
+// produces the same entries as the line diff (one per 16-byte row), so the
+// editors, Prev/Next and the minimap work on it unchanged.
+
+import { detectBom } from './encoding.js';
+
+// Like git, treat data as binary when its first 8000 bytes contain a NUL,
+// unless a byte order mark says it is UTF-16 text
+const BINARY_SNIFF_LENGTH = 8000;
+
+// The hex view only shows the start of large files; sizes and byte counts
+// still cover the whole file
+export const HEX_VIEW_MAX_BYTES = 256 * 1024;
+
+const HEX_ROW_BYTES = 16;
+const HEX_OFFSET_WIDTH = 8;
+
+// Magic numbers of the image formats browsers can display. Signatures that
+// are plain ASCII ("GIF8", "BM", "RIFF") only count for binary data, so a
+// text file that happens to start with them still opens as text.
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38], ascii: true },
+  { mimeType: 'image/bmp', bytes: [0x42, 0x4d], ascii: true },
+  { mimeType: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50], ascii: true },
+];
+
+// ============================================================================
+// FILE TYPE DETECTION
+// ============================================================================
+
+export function isBinaryData(bytes) {
+  if (detectBom(bytes)) return false;
+  return bytes.subarray(0, BINARY_SNIFF_LENGTH).includes(0);
+}
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, i) => bytes[offset + i] === byte);
+
+// The image MIME type for these bytes, or null when they are not an image
+export function detectImageType(bytes) {
+  const match = IMAGE_SIGNATURES.find(
+    (signature) =>
+      startsWith(bytes, signature.bytes) &&
+      (!signature.at8 || startsWith(bytes, signature.at8, 8)) &&
+      (!signature.ascii || isBinaryData(bytes))
+  );
+  return match ? match.mimeType : null;
+}
+
+// 'image', 'binary' or 'text' for a dropped file's contents. SVG is text, so
+// it opens in the editors like any other markup.
+export function detectFileKind(bytes) {
+  if (detectImageType(bytes)) return 'image';
+  return isBinaryData(bytes) ? 'binary' : 'text';
+}
+
+// ============================================================================
+// HEX VIEW
+// ============================================================================
+
+// Column of byte i of a row, in the hexdump -C layout:
+// "00000010  89 50 4e 47 0d 0a 1a 0a  00 00 00 0d 49 48 44 52  |.PNG........IHDR|"
+const hexColumn = (i) => HEX_OFFSET_WIDTH + 2 + i * 3 + (i >= 8 ? 1 : 0);
+const ASCII_COLUMN = hexColumn(HEX_ROW_BYTES) + 2;
+
+const toHex = (byte) => byte.toString(16).padStart(2, '0');
+const toPrintable = (byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.');
+
+function formatHexRow(bytes, offset) {
+  const row = bytes.subarray(offset, offset + HEX_ROW_BYTES);
+  const cells = [];
+  for (let i = 0; i < HEX_ROW_BYTES; i++) {
+    cells.push(i < row.length ? toHex(row[i]) : '  ');
+  }
+  const hex = `${cells.slice(0, 8).join(' ')}  ${cells.slice(8).join(' ')}`;
+  const ascii = Array.from(row, toPrintable).join('');
+  return `${offset.toString(16).padStart(HEX_OFFSET_WIDTH, '0')}  ${hex}  |${ascii}|`;
+}
+
+// Hex dump lines for the first HEX_VIEW_MAX_BYTES of the data
+export function formatHexDump(bytes) {
+  const shown = Math.min(bytes.length, HEX_VIEW_MAX_BYTES);
+  const lines = [];
+  for (let offset = 0; offset < shown; offset += HEX_ROW_BYTES) {
+    lines.push(formatHexRow(bytes.subarray(0, shown), offset));
+  }
+  return lines;
+}
+
+// Inline ranges covering runs of differing bytes in a row, in both the hex
+// and the ASCII columns. indices are the positions (0-15) that differ.
+function rowRanges(indices) {
+  const ranges = [];
+  let runStart = 0;
+  for (let k = 1; k <= indices.length; k++) {
+    if (k < indices.length && indices[k] === indices[k - 1] + 1) continue;
+    const first = indices[runStart];
+    const last = indices[k - 1];
+    ranges.push({ start: hexColumn(first), end: hexColumn(last) + 2 });
+    ranges.push({ start: ASCII_COLUMN + first, end: ASCII_COLUMN + last + 1 });
+    runStart = k;
+  }
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+// Byte-by-byte comparison of two files as hex dump diff entries. Bytes are
+// compared at the same offset; rows that only one file reaches are added or
+// deleted. Only the first HEX_VIEW_MAX_BYTES are compared.
+export function computeHexDiff(leftBytes, rightBytes) {
+  const left = leftBytes.subarray(0, HEX_VIEW_MAX_BYTES);
+  const right = rightBytes.subarray(0, HEX_VIEW_MAX_BYTES);
+  const leftRows = Math.ceil(left.length / HEX_ROW_BYTES);
+  const rightRows = Math.ceil(right.length / HEX_ROW_BYTES);
+  const diff = [];
+
+  for (let row = 0; row < Math.max(leftRows, rightRows); row++) {
+    const offset = row * HEX_ROW_BYTES;
+    const leftLine = row < leftRows ? formatHexRow(left, offset) : null;
+    const rightLine = row < rightRows ? formatHexRow(right, offset) : null;
+    const entry = {
+      type: 'unchanged',
+      leftLine,
+      leftLineNum: leftLine === null ? null : row + 1,
+      rightLine,
+      rightLineNum: rightLine === null ? null : row + 1,
+    };
+
+    if (leftLine === null) {
+      entry.type = 'added';
+    } else if (rightLine === null) {
+      entry.type = 'deleted';
+    } else if (leftLine !== rightLine) {
+      const leftDiffers = [];
+      const rightDiffers = [];
+      for (let i = 0; i < HEX_ROW_BYTES; i++) {
+        const inLeft = offset + i < left.length;
+        const inRight = offset + i < right.length;
+        if (inLeft && inRight && left[offset + i] === right[offset + i]) continue;
+        if (inLeft) leftDiffers.push(i);
+        if (inRight) rightDiffers.push(i);
+      }
+      entry.type = 'modified';
+      entry.inlineChanges = { left: rowRanges(leftDiffers), right: rowRanges(rightDiffers) };
+    }
+    diff.push(entry);
+  }
+
+  return diff;
+}
+
+// Number of byte positions that differ between two files, counting the bytes
+// past the end of the shorter one
+export function countDifferentBytes(leftBytes, rightBytes) {
+  const common = Math.min(leftBytes.length, rightBytes.length);
+  let count = Math.abs(leftBytes.length - rightBytes.length);
+  for (let i = 0; i < common; i++) {
+    if (leftBytes[i] !== rightBytes[i]) count++;
+  }
+  return count;
+}
+
+// ============================================================================
+// PIXEL DIFFERENCE
+// ============================================================================
+
+// Colour of differing pixels in the overlay
+const DIFF_PIXEL = [255, 0, 255, 255];
+
+// Compare two RGBA images ({ width, height, data }) aligned at their top-left
+// corners. Returns { width, height, data, differentPixels } where data is an
+// overlay image: differing pixels in magenta over a faded grey copy of the
+// left image. Pixels whose channels all differ by at most tolerance match;
+// pixels outside one of the images always differ.
+export function computePixelDiff(left, right, tolerance = 0) {
+  const width = Math.max(left.width, right.width);
+  const height = Math.max(left.height, right.height);
+  const data = new Uint8ClampedArray(width * height * 4);
+  let differentPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const inLeft = x < left.width && y < left.height;
+      const inRight = x < right.width && y < right.height;
+      const l = (y * left.width + x) * 4;
+      const r = (y * right.width + x) * 4;
+
+      let same = inLeft && inRight;
+      for (let c = 0; same && c < 4; c++) {
+        same = Math.abs(left.data[l + c] - right.data[r + c]) <= tolerance;
+      }
+
+      if (!same) {
+        differentPixels++;
+        data.set(DIFF_PIXEL, out);
+      } else {
+        const grey = 0.299 * left.data[l] + 0.587 * left.data[l + 1] + 0.114 * left.data[l + 2];
+        data.fill(Math.round(255 - (255 - grey) * 0.25), out, out + 3);
+        data[out + 3] = 255;
+      }
+    }
+  }
+
+  return { width, height, data, differentPixels };
+}
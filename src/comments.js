@@ -0,0 +1,143 @@
+// Comment stripping for the "Ignore comments" option. Each language detected
+// by detectLanguage (by its Monaco id) has its line and block comment markers
+// and the string delimiters that can hide them. Lines are stripped one by one
+// but block comments and multi-line strings carry over to the following
+// lines, so the result has exactly the lines of the input.
+
+// { line, block, strings, multiline } where line lists line comment markers,
+// block [open, close] pairs, strings the string delimiters (longest first)
+// and multiline the delimiters whose strings may span lines. nested is set
+// for languages whose block comments nest; commentStart and stringStart
+// decide whether a marker at a position really starts a comment or string.
+const C_STYLE = { line: ['//'], block: [['/*', '*/']], strings: ['"', "'"], multiline: [] };
+
+// In YAML, # only starts a comment after whitespace and quotes only start a
+// string at the start of a value, so "it's" and "a#b" are plain text
+const afterSpace = (line, i) => i === 0 || /\s/.test(line[i - 1]);
+const valueStart = (line, i) => {
+  const previous = line.slice(0, i).trimEnd().slice(-1);
+  return previous === '' || ':-[{,?'.includes(previous);
+};
+
+export const COMMENT_SYNTAX = {
+  javascript: { ...C_STYLE, strings: ['"', "'", '`'], multiline: ['`'] },
+  typescript: { ...C_STYLE, strings: ['"', "'", '`'], multiline: ['`'] },
+  java: { ...C_STYLE, strings: ['"""', '"', "'"], multiline: ['"""'] },
+  cpp: C_STYLE,
+  go: { ...C_STYLE, strings: ['"', "'", '`'], multiline: ['`'] },
+  // Rust lifetimes ('a) would read as unterminated character literals
+  rust: { ...C_STYLE, strings: ['"'], nested: true },
+  css: { ...C_STYLE, line: [] },
+  html: { line: [], block: [['<!--', '-->']], strings: [], multiline: [] },
+  python: { line: ['#'], block: [], strings: ['"""', "'''", '"', "'"], multiline: ['"""', "'''"] },
+  yaml: { line: ['#'], block: [], strings: ['"', "'"], multiline: [], commentStart: afterSpace, stringStart: valueStart },
+};
+
+export function supportsComments(language) {
+  return Object.prototype.hasOwnProperty.call(COMMENT_SYNTAX, language);
+}
+
+// File extensions of each language above, for files that are not open in an
+// editor (as in a folder comparison) and so have no detected language
+const EXTENSION_LANGUAGES = {
+  javascript: ['js', 'jsx', 'mjs', 'cjs'],
+  typescript: ['ts', 'tsx', 'mts', 'cts'],
+  java: ['java'],
+  cpp: ['c', 'h', 'cc', 'cpp', 'cxx', 'hh', 'hpp', 'hxx'],
+  go: ['go'],
+  rust: ['rs'],
+  css: ['css'],
+  html: ['html', 'htm', 'xml', 'svg'],
+  python: ['py', 'pyw'],
+  yaml: ['yml', 'yaml'],
+};
+
+// The language of a file by its extension, or null when it is not one with
+// known comment syntax
+export function languageFromPath(path) {
+  const extension = (/\.([^./]+)$/.exec(path) || [])[1];
+  const language = Object.keys(EXTENSION_LANGUAGES).find((language) =>
+    EXTENSION_LANGUAGES[language].includes((extension || '').toLowerCase())
+  );
+  return language || null;
+}
+
+const markerAt = (line, i, markers) => markers.find((marker) => line.startsWith(marker, i));
+
+// The lines with their comments removed, along with the whitespace a removed
+// comment leaves at the end of a line (a CR line ending is kept). Lines of a
+// language without known comment syntax come back unchanged.
+export function stripComments(lines, language) {
+  const syntax = COMMENT_SYNTAX[language];
+  if (!syntax) return lines;
+
+  let block = null; // [open, close] of the block comment being skipped
+  let depth = 0;
+  let string = null; // delimiter of the string being copied
+
+  return lines.map((line) => {
+    let kept = '';
+    let stripped = false;
+    let i = 0;
+
+    while (i < line.length) {
+      if (block) {
+        stripped = true;
+        if (syntax.nested && line.startsWith(block[0], i)) {
+          depth++;
+          i += block[0].length;
+        } else if (line.startsWith(block[1], i)) {
+          depth--;
+          i += block[1].length;
+          if (depth === 0) block = null;
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      if (string) {
+        let end = 1;
+        if (line[i] === '\\') {
+          end = 2;
+        } else if (line.startsWith(string, i)) {
+          end = string.length;
+          string = null;
+        }
+        kept += line.slice(i, i + end);
+        i += end;
+        continue;
+      }
+
+      const quote = markerAt(line, i, syntax.strings);
+      if (quote && (!syntax.stringStart || syntax.stringStart(line, i))) {
+        string = quote;
+        kept += quote;
+        i += quote.length;
+        continue;
+      }
+
+      const open = syntax.block.find(([marker]) => line.startsWith(marker, i));
+      if (open) {
+        block = open;
+        depth = 1;
+        i += open[0].length;
+        stripped = true;
+        continue;
+      }
+
+      if (markerAt(line, i, syntax.line) && (!syntax.commentStart || syntax.commentStart(line, i))) {
+        stripped = true;
+        break;
+      }
+
+      kept += line[i];
+      i++;
+    }
+
+    // Only some strings may continue on the next line
+    if (string && !syntax.multiline.includes(string)) string = null;
+    if (!stripped) return kept;
+    return line.endsWith('\r') ? `${kept.trimEnd()}\r` : kept.trimEnd();
+  });
+}
@@ -0,0 +1,1062 @@
+// Line diff engine shared by the editors (App.jsx) and the diff worker
+
+import { compileIgnoreRules, applyMasks, isFilteredLine } from './rules.js';
+import { stripComments } from './comments.js';
+
+// ============================================================================
+// DIFF ALGORITHM - Myers (linear space) and histogram line diff
+// ============================================================================
+
+// Histogram candidates that occur more often than this are not used as anchors
+const HISTOGRAM_MAX_CHAIN = 64;
+// Deeper histogram recursion falls back to Myers to keep the stack bounded
+const HISTOGRAM_MAX_DEPTH = 64;
+
+// Map every distinct line to a small integer so the inner loops compare numbers
+function encodeLines(left, right) {
+  const ids = new Map();
+  const encode = (line) => {
+    let id = ids.get(line);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(line, id);
+    }
+    return id;
+  };
+  return [Int32Array.from(left, encode), Int32Array.from(right, encode)];
+}
+
+// Find the point where the forward and backward Myers searches overlap.
+// Returns the split point relative to the range start, or null if the ranges
+// share nothing.
+function findMiddleSnake(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const size = 2 * maxD + 2;
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  const delta = n - m;
+  const front = delta % 2 !== 0;
+  let k1Start = 0, k1End = 0, k2Start = 0, k2End = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k1 = -d + k1Start; k1 <= d - k1End; k1 += 2) {
+      const k1Offset = offset + k1;
+      let x1 = k1 === -d || (k1 !== d && forward[k1Offset - 1] < forward[k1Offset + 1])
+        ? forward[k1Offset + 1]
+        : forward[k1Offset - 1] + 1;
+      let y1 = x1 - k1;
+      while (x1 < n && y1 < m && a[aStart + x1] === b[bStart + y1]) {
+        x1++;
+        y1++;
+      }
+      forward[k1Offset] = x1;
+      if (x1 > n) {
+        k1End += 2;
+      } else if (y1 > m) {
+        k1Start += 2;
+      } else if (front) {
+        const k2Offset = offset + delta - k1;
+        if (k2Offset >= 0 && k2Offset < size && backward[k2Offset] !== -1) {
+          if (x1 >= n - backward[k2Offset]) return { x: x1, y: y1 };
+        }
+      }
+    }
+
+    for (let k2 = -d + k2Start; k2 <= d - k2End; k2 += 2) {
+      const k2Offset = offset + k2;
+      let x2 = k2 === -d || (k2 !== d && backward[k2Offset - 1] < backward[k2Offset + 1])
+        ? backward[k2Offset + 1]
+        : backward[k2Offset - 1] + 1;
+      let y2 = x2 - k2;
+      while (x2 < n && y2 < m && a[aEnd - x2 - 1] === b[bEnd - y2 - 1]) {
+        x2++;
+        y2++;
+      }
+      backward[k2Offset] = x2;
+      if (x2 > n) {
+        k2End += 2;
+      } else if (y2 > m) {
+        k2Start += 2;
+      } else if (!front) {
+        const k1Offset = offset + delta - k2;
+        if (k1Offset >= 0 && k1Offset < size && forward[k1Offset] !== -1) {
+          const x1 = forward[k1Offset];
+          const y1 = offset + x1 - k1Offset;
+          if (x1 >= n - x2) return { x: x1, y: y1 };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// Strip the common prefix and suffix of a range, recording them as matches.
+// Returns the remaining inner range and the suffix length still to be emitted.
+function trimCommon(a, b, aStart, aEnd, bStart, bEnd, matches) {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    matches.push({ leftIndex: aStart, rightIndex: bStart });
+    aStart++;
+    bStart++;
+  }
+  let suffix = 0;
+  while (aStart < aEnd && bStart < bEnd && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+    suffix++;
+  }
+  return { aStart, aEnd, bStart, bEnd, suffix };
+}
+
+function pushSuffix(matches, aEnd, bEnd, suffix) {
+  for (let k = 0; k < suffix; k++) {
+    matches.push({ leftIndex: aEnd + k, rightIndex: bEnd + k });
+  }
+}
+
+function myersMatches(a, b, aStart, aEnd, bStart, bEnd, matches) {
+  const range = trimCommon(a, b, aStart, aEnd, bStart, bEnd, matches);
+
+  if (range.aStart < range.aEnd && range.bStart < range.bEnd) {
+    const split = findMiddleSnake(a, b, range.aStart, range.aEnd, range.bStart, range.bEnd);
+    if (split) {
+      const aMid = range.aStart + split.x;
+      const bMid = range.bStart + split.y;
+      myersMatches(a, b, range.aStart, aMid, range.bStart, bMid, matches);
+      myersMatches(a, b, aMid, range.aEnd, bMid, range.bEnd, matches);
+    }
+  }
+
+  pushSuffix(matches, range.aEnd, range.bEnd, range.suffix);
+}
+
+// Histogram diff (as in git/jgit): anchor on the longest common region built
+// around the rarest line of the left range, then recurse on both sides of it.
+function histogramMatches(a, b, aStart, aEnd, bStart, bEnd, matches, depth = 0) {
+  const range = trimCommon(a, b, aStart, aEnd, bStart, bEnd, matches);
+  ({ aStart, aEnd, bStart, bEnd } = range);
+
+  if (aStart < aEnd && bStart < bEnd) {
+    if (depth > HISTOGRAM_MAX_DEPTH) {
+      myersMatches(a, b, aStart, aEnd, bStart, bEnd, matches);
+    } else {
+      const occurrences = new Map();
+      for (let i = aStart; i < aEnd; i++) {
+        const list = occurrences.get(a[i]);
+        if (list) list.push(i);
+        else occurrences.set(a[i], [i]);
+      }
+
+      let best = null;
+      let bestCount = HISTOGRAM_MAX_CHAIN + 1;
+      let hasCommon = false;
+
+      for (let j = bStart; j < bEnd;) {
+        const positions = occurrences.get(b[j]);
+        let nextJ = j + 1;
+        if (positions) {
+          hasCommon = true;
+          if (positions.length <= bestCount) {
+            for (const i of positions) {
+              let as = i, bs = j, ae = i + 1, be = j + 1;
+              let count = positions.length;
+              while (as > aStart && bs > bStart && a[as - 1] === b[bs - 1]) {
+                as--;
+                bs--;
+                count = Math.min(count, occurrences.get(a[as]).length);
+              }
+              while (ae < aEnd && be < bEnd && a[ae] === b[be]) {
+                count = Math.min(count, occurrences.get(a[ae]).length);
+                ae++;
+                be++;
+              }
+              const length = ae - as;
+              if (!best || count < bestCount || (count === bestCount && length > best.length)) {
+                best = { aStart: as, bStart: bs, length };
+                bestCount = count;
+              }
+              nextJ = Math.max(nextJ, be);
+            }
+          }
+        }
+        j = nextJ;
+      }
+
+      if (best) {
+        histogramMatches(a, b, aStart, best.aStart, bStart, best.bStart, matches, depth + 1);
+        for (let k = 0; k < best.length; k++) {
+          matches.push({ leftIndex: best.aStart + k, rightIndex: best.bStart + k });
+        }
+        histogramMatches(
+          a, b,
+          best.aStart + best.length, aEnd,
+          best.bStart + best.length, bEnd,
+          matches, depth + 1
+        );
+      } else if (hasCommon) {
+        // Every shared line is too common to anchor on
+        myersMatches(a, b, aStart, aEnd, bStart, bEnd, matches);
+      }
+    }
+  }
+
+  pushSuffix(matches, aEnd, bEnd, range.suffix);
+}
+
+// Returns the matched line pairs, in order, as { leftIndex, rightIndex }
+export function computeMatches(left, right, algorithm = 'myers') {
+  const [a, b] = encodeLines(left, right);
+  const matches = [];
+  if (algorithm === 'histogram') {
+    histogramMatches(a, b, 0, a.length, 0, b.length, matches);
+  } else {
+    myersMatches(a, b, 0, a.length, 0, b.length, matches);
+  }
+  return matches;
+}
+
+// ============================================================================
+// INLINE DIFF - word/character changes within a modified line pair
+// ============================================================================
+
+// Lines longer than this are highlighted as a whole instead of token by token
+const INLINE_DIFF_MAX_LENGTH = 10000;
+
+function tokenizeLine(line, granularity) {
+  const tokens = [];
+  if (granularity === 'char') {
+    let offset = 0;
+    for (const ch of line) {
+      tokens.push({ text: ch, start: offset, end: offset + ch.length });
+      offset += ch.length;
+    }
+    return tokens;
+  }
+
+  const regex = /\w+|\s+|[^\w\s]/gu;
+  let match;
+  while ((match = regex.exec(line)) !== null) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Collapse the unmatched tokens into contiguous { start, end } ranges
+function collectChangedRanges(tokens, matched, ignoreWhitespace) {
+  const ranges = [];
+  tokens.forEach((token, i) => {
+    if (matched.has(i)) return;
+    if (ignoreWhitespace && !token.text.trim()) return;
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === token.start) {
+      last.end = token.end;
+    } else {
+      ranges.push({ start: token.start, end: token.end });
+    }
+  });
+  return ranges;
+}
+
+// Returns the changed ranges (0-based, end exclusive) on each side of a
+// modified line pair: { left: [{ start, end }], right: [{ start, end }] }
+export function computeInlineDiff(leftLine, rightLine, options = {}) {
+  const { granularity = 'word', ignoreWhitespace, ignoreCase } = options;
+
+  if (leftLine.length > INLINE_DIFF_MAX_LENGTH || rightLine.length > INLINE_DIFF_MAX_LENGTH) {
+    return {
+      left: leftLine.length ? [{ start: 0, end: leftLine.length }] : [],
+      right: rightLine.length ? [{ start: 0, end: rightLine.length }] : [],
+    };
+  }
+
+  const leftTokens = tokenizeLine(leftLine, granularity);
+  const rightTokens = tokenizeLine(rightLine, granularity);
+  const key = (token) => (ignoreCase ? token.text.toLowerCase() : token.text);
+  const matches = computeMatches(leftTokens.map(key), rightTokens.map(key));
+
+  return {
+    left: collectChangedRanges(leftTokens, new Set(matches.map((m) => m.leftIndex)), ignoreWhitespace),
+    right: collectChangedRanges(rightTokens, new Set(matches.map((m) => m.rightIndex)), ignoreWhitespace),
+  };
+}
+
+// ============================================================================
+// LINE PAIRING - which deleted/added lines are shown as modified
+// ============================================================================
+
+// Minimum similarity (0..1) for a deleted and an added line to be paired
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+// Longer lines are compared word by word instead of character by character
+const SIMILARITY_CHAR_LIMIT = 500;
+// Larger delete/add blocks are paired positionally instead of by alignment
+const PAIRING_MAX_CELLS = 10000;
+// Shorter runs of deleted lines that reappear elsewhere are not moves
+const MOVE_MIN_LINES = 3;
+// Lines added more often than this are not used to anchor moves
+const MOVE_MAX_CANDIDATES = 64;
+
+// Similarity of two lines as 2 * matched / total length (like difflib's ratio)
+export function lineSimilarity(left, right) {
+  const total = left.length + right.length;
+  if (total === 0) return 1;
+  if (left === right) return 1;
+
+  const granularity = total > SIMILARITY_CHAR_LIMIT * 2 ? 'word' : 'char';
+  const leftTokens = tokenizeLine(left, granularity);
+  const rightTokens = tokenizeLine(right, granularity);
+  const matches = computeMatches(
+    leftTokens.map((t) => t.text),
+    rightTokens.map((t) => t.text)
+  );
+
+  let matched = 0;
+  matches.forEach(({ leftIndex }) => {
+    matched += leftTokens[leftIndex].text.length;
+  });
+  return (2 * matched) / total;
+}
+
+// Align a block of deleted lines with the added lines that follow it.
+// Returns ordered [deleteIndex, addIndex] pairs whose similarity reaches the
+// threshold, choosing the order-preserving pairing with the highest total
+// similarity so lines that shifted inside the block still line up.
+function pairSimilarLines(deletes, adds, similarity, threshold) {
+  const rows = deletes.length;
+  const cols = adds.length;
+  if (rows === 0 || cols === 0) return [];
+
+  // The score can never reach the threshold when the lengths are too far apart
+  const canMatch = (d, a) => {
+    const left = deletes[d].leftLine.length;
+    const right = adds[a].rightLine.length;
+    return left + right === 0 || (2 * Math.min(left, right)) / (left + right) >= threshold;
+  };
+  const score = (d, a) => {
+    if (!canMatch(d, a)) return -1;
+    const value = similarity(deletes[d], adds[a]);
+    return value >= threshold ? value : -1;
+  };
+
+  if (rows * cols > PAIRING_MAX_CELLS) {
+    const pairs = [];
+    for (let k = 0; k < Math.min(rows, cols); k++) {
+      if (score(k, k) >= 0) pairs.push([k, k]);
+    }
+    return pairs;
+  }
+
+  // best[d][a] = highest total similarity aligning deletes[d..] with adds[a..]
+  const width = cols + 1;
+  const best = new Float64Array((rows + 1) * width);
+  const pairScore = new Float64Array(rows * cols);
+  for (let d = rows - 1; d >= 0; d--) {
+    for (let a = cols - 1; a >= 0; a--) {
+      const value = score(d, a);
+      pairScore[d * cols + a] = value;
+      let cell = Math.max(best[(d + 1) * width + a], best[d * width + a + 1]);
+      if (value >= 0) {
+        // The small bonus prefers pairing over skipping when scores tie
+        cell = Math.max(cell, best[(d + 1) * width + a + 1] + value + 1e-6);
+      }
+      best[d * width + a] = cell;
+    }
+  }
+
+  const pairs = [];
+  let d = 0;
+  let a = 0;
+  while (d < rows && a < cols) {
+    const value = pairScore[d * cols + a];
+    if (value >= 0 && best[d * width + a] === best[(d + 1) * width + a + 1] + value + 1e-6) {
+      pairs.push([d, a]);
+      d++;
+      a++;
+    } else if (best[d * width + a] === best[(d + 1) * width + a]) {
+      d++;
+    } else {
+      a++;
+    }
+  }
+  return pairs;
+}
+
+// Turn runs of deleted lines that reappear as runs of added lines elsewhere
+// into moves. Each block starts from a deleted line that was added verbatim
+// (after processing) and grows in both directions over lines that are
+// identical or similar; blocks of at least MOVE_MIN_LINES lines become
+// 'moved' entries on both sides, each with the line number of its
+// counterpart on the other side as counterpartLineNum.
+function detectMoves(diff, processLine, similarity, threshold) {
+  // Lines without a word character (braces, blank lines) anchor nothing
+  const anchorKey = (line) => {
+    const key = processLine(line).trim();
+    return /\w/.test(key) ? key : null;
+  };
+
+  const addedByKey = new Map();
+  diff.forEach((entry, index) => {
+    if (entry.type !== 'added') return;
+    const key = anchorKey(entry.rightLine);
+    if (key === null) return;
+    if (!addedByKey.has(key)) addedByKey.set(key, []);
+    addedByKey.get(key).push(index);
+  });
+
+  const isMoveCandidate = (d, a) =>
+    d >= 0 && a >= 0 && d < diff.length && a < diff.length &&
+    diff[d].type === 'deleted' && diff[a].type === 'added' &&
+    (processLine(diff[d].leftLine) === processLine(diff[a].rightLine) ||
+      similarity(diff[d], diff[a]) >= threshold);
+
+  diff.forEach((entry, index) => {
+    if (entry.type !== 'deleted') return;
+    const candidates = addedByKey.get(anchorKey(entry.leftLine));
+    if (!candidates || candidates.length > MOVE_MAX_CANDIDATES) return;
+
+    let best = null;
+    candidates.forEach((candidate) => {
+      if (diff[candidate].type !== 'added') return;
+      let before = 0;
+      while (isMoveCandidate(index - before - 1, candidate - before - 1)) before++;
+      let after = 1;
+      while (isMoveCandidate(index + after, candidate + after)) after++;
+      if (!best || before + after > best.length) {
+        best = { left: index - before, right: candidate - before, length: before + after };
+      }
+    });
+    if (!best || best.length < MOVE_MIN_LINES) return;
+
+    for (let k = 0; k < best.length; k++) {
+      const deleted = diff[best.left + k];
+      const added = diff[best.right + k];
+      diff[best.left + k] = { ...deleted, type: 'moved', counterpartLineNum: added.rightLineNum };
+      diff[best.right + k] = { ...added, type: 'moved', counterpartLineNum: deleted.leftLineNum };
+    }
+  });
+}
+
+// How lines compare under the diff options: processLine gives the text
+// lines are matched by (after the ignore rules' masks), similarity scores a
+// deleted and an added line for pairing, and toModified builds the modified
+// entry for such a pair
+function lineComparison(options) {
+  const { ignoreWhitespace, ignoreCase, ignoreLineEndings, inlineGranularity = 'word' } = options;
+  const { masks } = compileIgnoreRules(options.ignoreRules);
+
+  // A line read from a CRLF file keeps its \r, so that saving the text
+  // restores the original line endings
+  const stripEol = (line) => (ignoreLineEndings ? line.replace(/\r$/, '') : line);
+
+  const processLine = (line) => {
+    let processed = applyMasks(stripEol(line), masks);
+    if (ignoreWhitespace) {
+      processed = processed.replace(/\s+/g, ' ').trim();
+    }
+    if (ignoreCase) {
+      processed = processed.toLowerCase();
+    }
+    return processed;
+  };
+
+  const similarity = (deleted, added) =>
+    lineSimilarity(processLine(deleted.leftLine), processLine(added.rightLine));
+
+  const toModified = (deleted, added) => ({
+    type: 'modified',
+    leftLine: deleted.leftLine,
+    leftLineNum: deleted.leftLineNum,
+    rightLine: added.rightLine,
+    rightLineNum: added.rightLineNum,
+    inlineChanges: computeInlineDiff(stripEol(deleted.leftLine), stripEol(added.rightLine), {
+      granularity: inlineGranularity,
+      ignoreWhitespace,
+      ignoreCase,
+    }),
+  });
+
+  return { stripEol, processLine, similarity, toModified };
+}
+
+// Merge each run of deletes followed by adds into modified pairs, pairing
+// only lines that are similar enough to be edits of one another
+function pairModifiedLines(entries, { similarity, toModified }, threshold) {
+  const merged = [];
+  let i = 0;
+  while (i < entries.length) {
+    if (entries[i].type === 'deleted') {
+      // Collect all consecutive deletes
+      const deletes = [];
+      while (i < entries.length && entries[i].type === 'deleted') {
+        deletes.push(entries[i]);
+        i++;
+      }
+
+      // Collect all consecutive adds that follow
+      const adds = [];
+      while (i < entries.length && entries[i].type === 'added') {
+        adds.push(entries[i]);
+        i++;
+      }
+
+      // Emit rows in order; unpaired lines stay deleted/added so the view
+      // zones still line the two editors up
+      const pairs = pairSimilarLines(deletes, adds, similarity, threshold);
+      let d = 0;
+      let a = 0;
+      pairs.forEach(([pairDelete, pairAdd]) => {
+        while (d < pairDelete) merged.push(deletes[d++]);
+        while (a < pairAdd) merged.push(adds[a++]);
+        merged.push(toModified(deletes[d++], adds[a++]));
+      });
+      while (d < deletes.length) merged.push(deletes[d++]);
+      while (a < adds.length) merged.push(adds[a++]);
+    } else {
+      // Standalone adds (not preceded by deletes) and unchanged lines
+      merged.push(entries[i]);
+      i++;
+    }
+  }
+  return merged;
+}
+
+// With detectMoves, blocks of lines that moved come back as 'moved' entries.
+// Finding them compares lines for similarity, so only the callers that show
+// moves ask for them.
+export function computeLineDiff(leftLines, rightLines, options = {}) {
+  const {
+    ignoreBlankLines,
+    ignoreComments,
+    language,
+    algorithm = 'myers',
+    similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD,
+    detectMoves: findMoves = false,
+  } = options;
+  const comparison = lineComparison(options);
+  const { stripEol, processLine, similarity } = comparison;
+  const { filters } = compileIgnoreRules(options.ignoreRules);
+
+  // With ignoreComments, lines are compared with their comments stripped (as
+  // the language writes them); the entries keep the lines as written
+  const leftText = ignoreComments ? stripComments(leftLines, language) : leftLines;
+  const rightText = ignoreComments ? stripComments(rightLines, language) : rightLines;
+
+  let leftFiltered = leftLines;
+  let rightFiltered = rightLines;
+  let leftMapping = leftLines.map((_, i) => i);
+  let rightMapping = rightLines.map((_, i) => i);
+
+  // Blank lines (with ignoreBlankLines), lines that hold nothing but comments
+  // (with ignoreComments) and lines matched by an ignore rule's filter are
+  // left out of the diff
+  const isIgnored = (line, text) =>
+    (ignoreBlankLines && !line.trim()) ||
+    (ignoreComments && line.trim() !== '' && !text.trim()) ||
+    isFilteredLine(stripEol(line), filters);
+
+  if (ignoreBlankLines || ignoreComments || filters.length > 0) {
+    leftFiltered = [];
+    leftMapping = [];
+    leftLines.forEach((line, i) => {
+      if (!isIgnored(line, leftText[i])) {
+        leftFiltered.push(line);
+        leftMapping.push(i);
+      }
+    });
+    rightFiltered = [];
+    rightMapping = [];
+    rightLines.forEach((line, i) => {
+      if (!isIgnored(line, rightText[i])) {
+        rightFiltered.push(line);
+        rightMapping.push(i);
+      }
+    });
+  }
+
+  const leftProcessed = leftMapping.map((i) => processLine(leftText[i]));
+  const rightProcessed = rightMapping.map((i) => processLine(rightText[i]));
+  const matches = computeMatches(leftProcessed, rightProcessed, algorithm);
+
+  const result = [];
+  let leftIdx = 0;
+  let rightIdx = 0;
+  let matchIdx = 0;
+
+  while (leftIdx < leftFiltered.length || rightIdx < rightFiltered.length) {
+    if (matchIdx < matches.length) {
+      const match = matches[matchIdx];
+
+      while (leftIdx < match.leftIndex) {
+        result.push({
+          type: 'deleted',
+          leftLine: leftFiltered[leftIdx],
+          leftLineNum: leftMapping[leftIdx] + 1,
+          rightLine: null,
+          rightLineNum: null,
+        });
+        leftIdx++;
+      }
+
+      while (rightIdx < match.rightIndex) {
+        result.push({
+          type: 'added',
+          leftLine: null,
+          leftLineNum: null,
+          rightLine: rightFiltered[rightIdx],
+          rightLineNum: rightMapping[rightIdx] + 1,
+        });
+        rightIdx++;
+      }
+
+      result.push({
+        type: 'unchanged',
+        leftLine: leftFiltered[leftIdx],
+        leftLineNum: leftMapping[leftIdx] + 1,
+        rightLine: rightFiltered[rightIdx],
+        rightLineNum: rightMapping[rightIdx] + 1,
+      });
+      leftIdx++;
+      rightIdx++;
+      matchIdx++;
+    } else {
+      while (leftIdx < leftFiltered.length) {
+        result.push({
+          type: 'deleted',
+          leftLine: leftFiltered[leftIdx],
+          leftLineNum: leftMapping[leftIdx] + 1,
+          rightLine: null,
+          rightLineNum: null,
+        });
+        leftIdx++;
+      }
+
+      while (rightIdx < rightFiltered.length) {
+        result.push({
+          type: 'added',
+          leftLine: null,
+          leftLineNum: null,
+          rightLine: rightFiltered[rightIdx],
+          rightLineNum: rightMapping[rightIdx] + 1,
+        });
+        rightIdx++;
+      }
+    }
+  }
+
+  const merged = pairModifiedLines(result, comparison, similarityThreshold);
+  if (findMoves) detectMoves(merged, processLine, similarity, similarityThreshold);
+  return merged;
+}
+
+// ============================================================================
+// FORMATTED COMPARISON
+// ============================================================================
+
+// The original line (0-based) each formatted line came from, found by
+// diffing the original against its formatted version. A formatted line
+// without a counterpart (as when a long line is wrapped) belongs to the
+// original line before it.
+function formattedLineOrigins(original, formatted) {
+  const origins = [];
+  let origin = 0;
+  computeLineDiff(original, formatted, { ignoreWhitespace: true }).forEach((entry) => {
+    if (entry.rightLineNum === null) return;
+    if (entry.type === 'unchanged' || entry.type === 'modified') origin = entry.leftLineNum - 1;
+    else if (entry.type === 'moved') origin = entry.counterpartLineNum - 1;
+    origins[entry.rightLineNum - 1] = origin;
+  });
+  return origins;
+}
+
+// Diff two texts by their formatted versions while reporting the original
+// lines. The formatted texts are diffed, and an original line counts as
+// changed when any of the formatted lines that came from it changed. Original
+// lines that only differ in formatting line up as unchanged where they can
+// and are otherwise left out of the diff, like ignored blank lines.
+export function computeFormattedDiff(leftLines, rightLines, leftFormatted, rightFormatted, options = {}) {
+  const { similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, detectMoves: findMoves = false } = options;
+  const comparison = lineComparison(options);
+  const leftOrigins = formattedLineOrigins(leftLines, leftFormatted);
+  const rightOrigins = formattedLineOrigins(rightLines, rightFormatted);
+
+  const changedLeft = new Set();
+  const changedRight = new Set();
+  const anchors = [];
+  computeLineDiff(leftFormatted, rightFormatted, { ...options, detectMoves: false }).forEach((entry) => {
+    const left = entry.leftLineNum === null ? null : leftOrigins[entry.leftLineNum - 1];
+    const right = entry.rightLineNum === null ? null : rightOrigins[entry.rightLineNum - 1];
+    if (entry.type === 'unchanged') {
+      anchors.push([left, right]);
+    } else {
+      if (left !== null) changedLeft.add(left);
+      if (right !== null) changedRight.add(right);
+    }
+  });
+
+  const result = [];
+  let nextLeft = 0;
+  let nextRight = 0;
+  const pushChangedUpTo = (leftEnd, rightEnd) => {
+    for (; nextLeft < leftEnd; nextLeft++) {
+      if (!changedLeft.has(nextLeft)) continue;
+      result.push({
+        type: 'deleted',
+        leftLine: leftLines[nextLeft],
+        leftLineNum: nextLeft + 1,
+        rightLine: null,
+        rightLineNum: null,
+      });
+    }
+    for (; nextRight < rightEnd; nextRight++) {
+      if (!changedRight.has(nextRight)) continue;
+      result.push({
+        type: 'added',
+        leftLine: null,
+        leftLineNum: null,
+        rightLine: rightLines[nextRight],
+        rightLineNum: nextRight + 1,
+      });
+    }
+  };
+
+  // Unchanged formatted lines pair up their original lines, in order and
+  // once per line
+  anchors.forEach(([left, right]) => {
+    if (left < nextLeft || right < nextRight || changedLeft.has(left) || changedRight.has(right)) return;
+    pushChangedUpTo(left, right);
+    result.push({
+      type: 'unchanged',
+      leftLine: leftLines[left],
+      leftLineNum: left + 1,
+      rightLine: rightLines[right],
+      rightLineNum: right + 1,
+    });
+    nextLeft = left + 1;
+    nextRight = right + 1;
+  });
+  pushChangedUpTo(leftLines.length, rightLines.length);
+
+  const merged = pairModifiedLines(result, comparison, similarityThreshold);
+  if (findMoves) detectMoves(merged, comparison.processLine, comparison.similarity, similarityThreshold);
+  return merged;
+}
+
+// Get line decorations for Monaco editor. Moved lines say in their glyph's
+// hover where their counterpart is.
+export function getLineDecorations(diff, side) {
+  const decorations = [];
+
+  diff.forEach((entry) => {
+    const lineNum = side === 'left' ? entry.leftLineNum : entry.rightLineNum;
+    if (lineNum === null) return;
+
+    let className = '';
+    let glyphClassName = '';
+
+    if (entry.type === 'deleted' && side === 'left') {
+      className = 'diff-line-deleted';
+      glyphClassName = 'diff-glyph-deleted';
+    } else if (entry.type === 'added' && side === 'right') {
+      className = 'diff-line-added';
+      glyphClassName = 'diff-glyph-added';
+    } else if (entry.type === 'modified') {
+      className = 'diff-line-modified';
+      glyphClassName = 'diff-glyph-modified';
+    } else if (entry.type === 'moved') {
+      className = 'diff-line-moved';
+      glyphClassName = 'diff-glyph-moved';
+    }
+
+    if (className) {
+      decorations.push({
+        range: { startLineNumber: lineNum, startColumn: 1, endLineNumber: lineNum, endColumn: 1 },
+        options: {
+          isWholeLine: true,
+          className,
+          glyphMarginClassName: glyphClassName,
+          ...(entry.type === 'moved' && {
+            glyphMarginHoverMessage: {
+              value: `${side === 'left' ? 'Moved to' : 'Moved from'} line ${entry.counterpartLineNum} (click to reveal)`,
+            },
+          }),
+        },
+      });
+    }
+  });
+
+  return decorations;
+}
+
+// Get inline range decorations for the changed tokens of modified lines
+export function getInlineDecorations(diff, side) {
+  const decorations = [];
+  const inlineClassName = side === 'left' ? 'char-deleted' : 'char-added';
+
+  diff.forEach((entry) => {
+    if (entry.type !== 'modified' || !entry.inlineChanges) return;
+    const lineNum = side === 'left' ? entry.leftLineNum : entry.rightLineNum;
+
+    entry.inlineChanges[side].forEach(({ start, end }) => {
+      decorations.push({
+        range: { startLineNumber: lineNum, startColumn: start + 1, endLineNumber: lineNum, endColumn: end + 1 },
+        options: { inlineClassName },
+      });
+    });
+  });
+
+  return decorations;
+}
+
+// Compute view zones (grey placeholder lines) for missing code
+// Returns an array of objects with afterLineNumber and count of placeholder lines
+export function computeViewZones(diff, side) {
+  const zones = [];
+  let currentLineNum = 0; // Track current line number in the file
+  let pendingPlaceholders = 0; // Count consecutive placeholders to merge
+
+  diff.forEach((entry, index) => {
+    const hasLineOnThisSide = side === 'left' ? entry.leftLineNum !== null : entry.rightLineNum !== null;
+    const hasLineOnOtherSide = side === 'left' ? entry.rightLineNum !== null : entry.leftLineNum !== null;
+
+    if (hasLineOnThisSide) {
+      // This side has a line
+      // First, flush any pending placeholders before this line
+      if (pendingPlaceholders > 0) {
+        zones.push({
+          afterLineNumber: currentLineNum,
+          heightInLines: pendingPlaceholders,
+        });
+        pendingPlaceholders = 0;
+      }
+      currentLineNum = side === 'left' ? entry.leftLineNum : entry.rightLineNum;
+    } else if (hasLineOnOtherSide) {
+      // Other side has a line but this side doesn't - need a placeholder
+      pendingPlaceholders++;
+    }
+  });
+
+  // Flush any remaining placeholders at the end
+  if (pendingPlaceholders > 0) {
+    zones.push({
+      afterLineNumber: currentLineNum,
+      heightInLines: pendingPlaceholders,
+    });
+  }
+
+  return zones;
+}
+
+// ============================================================================
+// UNIFIED VIEW - the diff as a single column of old and new lines
+// ============================================================================
+
+// The rows of a single-column view of a diff, as { text, type, side,
+// leftLineNum, rightLineNum, counterpartLineNum, diffIndex }. Unchanged lines
+// appear once (side null, with the new text and both line numbers); within
+// each run of changes the old lines (side 'left') come before the new ones
+// (side 'right'), as in a unified patch, so a modified line shows as its old
+// and its new version. A CR line ending is dropped from the text because the
+// editor would read it as a line break of its own.
+export function computeUnifiedRows(diff) {
+  const rows = [];
+  let newRows = [];
+  const row = (entry, diffIndex, side) => ({
+    text: (side === 'left' ? entry.leftLine : entry.rightLine).replace(/\r$/, ''),
+    type: entry.type,
+    side: entry.type === 'unchanged' ? null : side,
+    leftLineNum: side === 'left' || entry.type === 'unchanged' ? entry.leftLineNum : null,
+    rightLineNum: side === 'right' ? entry.rightLineNum : null,
+    counterpartLineNum: entry.counterpartLineNum ?? null,
+    diffIndex,
+  });
+
+  diff.forEach((entry, diffIndex) => {
+    if (entry.type === 'unchanged') {
+      rows.push(...newRows, row(entry, diffIndex, 'right'));
+      newRows = [];
+      return;
+    }
+    if (entry.leftLineNum !== null) rows.push(row(entry, diffIndex, 'left'));
+    if (entry.rightLineNum !== null) newRows.push(row(entry, diffIndex, 'right'));
+  });
+
+  return [...rows, ...newRows];
+}
+
+// Whole-line decorations for the changed rows, in the colors of
+// getLineDecorations, with the gutter sign colored by side and the changed
+// tokens of modified lines highlighted
+export function getUnifiedDecorations(rows, diff) {
+  const decorations = [];
+
+  rows.forEach((row, i) => {
+    if (row.side === null) return;
+    const lineNumber = i + 1;
+    decorations.push({
+      range: { startLineNumber: lineNumber, startColumn: 1, endLineNumber: lineNumber, endColumn: 1 },
+      options: {
+        isWholeLine: true,
+        className: `diff-line-${row.type}`,
+        glyphMarginClassName: `diff-glyph-${row.type}`,
+        lineNumberClassName: row.side === 'left' ? 'diff-number-deleted' : 'diff-number-added',
+        ...(row.type === 'moved' && {
+          glyphMarginHoverMessage: {
+            value: `${row.side === 'left' ? 'Moved to' : 'Moved from'} line ${row.counterpartLineNum} (click to reveal)`,
+          },
+        }),
+      },
+    });
+
+    const { inlineChanges } = diff[row.diffIndex];
+    if (row.type !== 'modified' || !inlineChanges) return;
+    const inlineClassName = row.side === 'left' ? 'char-deleted' : 'char-added';
+    inlineChanges[row.side].forEach(({ start, end }) => {
+      decorations.push({
+        range: { startLineNumber: lineNumber, startColumn: start + 1, endLineNumber: lineNumber, endColumn: end + 1 },
+        options: { inlineClassName },
+      });
+    });
+  });
+
+  return decorations;
+}
+
+// The gutter text of a row: its old and new line numbers, each padded to
+// width, and its sign. Padding uses non-breaking spaces, which the editor's
+// line number column does not collapse.
+export function formatUnifiedGutter(row, width) {
+  const pad = (lineNum) => String(lineNum ?? '').padStart(width, '\u00a0');
+  const sign = row.side === 'left' ? '-' : row.side === 'right' ? '+' : '\u00a0';
+  return `${pad(row.leftLineNum)}\u00a0${pad(row.rightLineNum)}\u00a0${sign}`;
+}
+
+// ============================================================================
+// FOLDING - collapsing long runs of unchanged lines
+// ============================================================================
+
+// Fewer unchanged lines than this are not worth a fold bar of their own
+const FOLD_MIN_LINES = 3;
+
+// The runs of unchanged lines that "Show only changes" folds away: each run
+// less the context lines kept next to the changes around it, if enough is
+// left. Folds are { key, startIndex, endIndex } over diff indices. At least
+// one line before and after each change stays visible, as the placeholders of
+// computeViewZones hang off those lines and would vanish with them.
+export function computeFolds(diff, contextLines) {
+  const context = Math.max(1, contextLines);
+  const folds = [];
+  let runStart = null;
+
+  diff.forEach((entry, index) => {
+    const unchanged = entry.type === 'unchanged';
+    if (unchanged && runStart === null) runStart = index;
+    if (runStart === null || (unchanged && index < diff.length - 1)) return;
+
+    const runEnd = unchanged ? index : index - 1;
+    const startIndex = runStart > 0 ? runStart + context : runStart;
+    const endIndex = runEnd < diff.length - 1 ? runEnd - context : runEnd;
+    if (endIndex - startIndex + 1 >= FOLD_MIN_LINES) {
+      folds.push({ key: `${diff[runStart].leftLineNum}:${diff[runStart].rightLineNum}`, startIndex, endIndex });
+    }
+    runStart = null;
+  });
+
+  return folds;
+}
+
+// What is still hidden of a fold once expansion.top lines at its top and
+// expansion.bottom at its bottom are shown again: { key, count, left, right }
+// with the { start, end } lines on each side, or null when too little is left
+// to fold
+export function foldedLines(diff, fold, expansion = { top: 0, bottom: 0 }) {
+  const start = fold.startIndex + expansion.top;
+  const end = fold.endIndex - expansion.bottom;
+  if (end - start + 1 < FOLD_MIN_LINES) return null;
+  return {
+    key: fold.key,
+    count: end - start + 1,
+    left: { start: diff[start].leftLineNum, end: diff[end].leftLineNum },
+    right: { start: diff[start].rightLineNum, end: diff[end].rightLineNum },
+  };
+}
+
+// ============================================================================
+// DIFF BLOCKS - contiguous runs of changes and copying them across
+// ============================================================================
+
+// Group contiguous non-unchanged entries into blocks. Each block has the diff
+// index range it covers and, per side, the 1-based inclusive line range it
+// spans. A side without lines in the block gets an empty range (end = start - 1)
+// positioned where the lines would be inserted.
+export function computeDiffBlocks(diff) {
+  const blocks = [];
+  let lastLeft = 0;
+  let lastRight = 0;
+  let current = null;
+
+  diff.forEach((entry, index) => {
+    if (entry.type === 'unchanged') {
+      current = null;
+    } else {
+      if (!current) {
+        current = {
+          startIndex: index,
+          endIndex: index,
+          left: { start: lastLeft + 1, end: lastLeft },
+          right: { start: lastRight + 1, end: lastRight },
+        };
+        blocks.push(current);
+      }
+      current.endIndex = index;
+      if (entry.leftLineNum !== null) current.left.end = entry.leftLineNum;
+      if (entry.rightLineNum !== null) current.right.end = entry.rightLineNum;
+    }
+
+    if (entry.leftLineNum !== null) lastLeft = entry.leftLineNum;
+    if (entry.rightLineNum !== null) lastRight = entry.rightLineNum;
+  });
+
+  return blocks;
+}
+
+// Build the Monaco edit that copies a block from one side to the other.
+// direction is 'right' (left -> right) or 'left' (right -> left); sourceLines
+// are the lines of the source model and targetLineCount the line count of the
+// target model. Returns { range, text } for editor.executeEdits.
+export function getBlockCopyEdit(block, direction, sourceLines, targetLineCount) {
+  const from = direction === 'right' ? block.left : block.right;
+  const to = direction === 'right' ? block.right : block.left;
+  const sourceText = sourceLines.slice(from.start - 1, from.end).join('\n');
+  const hasSource = from.end >= from.start;
+  const hasTarget = to.end >= to.start;
+  const range = (startLineNumber, startColumn, endLineNumber, endColumn) => ({
+    startLineNumber, startColumn, endLineNumber, endColumn,
+  });
+  const END = Number.MAX_SAFE_INTEGER; // Monaco clamps to the end of the line
+
+  if (hasTarget && hasSource) {
+    return { range: range(to.start, 1, to.end, END), text: sourceText };
+  }
+
+  if (hasTarget) {
+    // Remove the target lines together with one adjacent line break
+    if (to.end < targetLineCount) {
+      return { range: range(to.start, 1, to.end + 1, 1), text: '' };
+    }
+    if (to.start > 1) {
+      return { range: range(to.start - 1, END, to.end, END), text: '' };
+    }
+    return { range: range(1, 1, to.end, END), text: '' };
+  }
+
+  // Insert the source lines before line to.start, or append at the end
+  if (to.start <= targetLineCount) {
+    return { range: range(to.start, 1, to.start, 1), text: `${sourceText}\n` };
+  }
+  return { range: range(targetLineCount, END, targetLineCount, END), text: `\n${sourceText}` };
+}
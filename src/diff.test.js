@@ -1,276 +1,86 @@
-// Unit tests for the diff algorithm
+// Unit tests for the diff, merge and patch algorithms
 // Run with: node src/diff.test.js
 
-// ============================================================================
-// DIFF ALGORITHM (copy from App.jsx for testing)
-// ============================================================================
-
-function computeLCS(left, right) {
-  const m = left.length;
-  const n = right.length;
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      if (left[i - 1] === right[j - 1]) {
-        dp[i][j] = dp[i - 1][j - 1] + 1;
-      } else {
-        dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-      }
-    }
-  }
-
-  const lcs = [];
-  let i = m, j = n;
-  while (i > 0 && j > 0) {
-    if (left[i - 1] === right[j - 1]) {
-      lcs.unshift({ leftIndex: i - 1, rightIndex: j - 1, value: left[i - 1] });
-      i--;
-      j--;
-    } else if (dp[i - 1][j] > dp[i][j - 1]) {
-      i--;
-    } else {
-      j--;
-    }
-  }
-
-  return lcs;
-}
-
-function computeLineDiff(leftLines, rightLines, options = {}) {
-  const { ignoreWhitespace, ignoreCase, ignoreBlankLines } = options;
-
-  const processLine = (line) => {
-    let processed = line;
-    if (ignoreWhitespace) {
-      processed = processed.replace(/\s+/g, ' ').trim();
-    }
-    if (ignoreCase) {
-      processed = processed.toLowerCase();
-    }
-    return processed;
-  };
-
-  let leftFiltered = leftLines;
-  let rightFiltered = rightLines;
-  let leftMapping = leftLines.map((_, i) => i);
-  let rightMapping = rightLines.map((_, i) => i);
-
-  if (ignoreBlankLines) {
-    leftFiltered = [];
-    leftMapping = [];
-    leftLines.forEach((line, i) => {
-      if (line.trim()) {
-        leftFiltered.push(line);
-        leftMapping.push(i);
-      }
-    });
-    rightFiltered = [];
-    rightMapping = [];
-    rightLines.forEach((line, i) => {
-      if (line.trim()) {
-        rightFiltered.push(line);
-        rightMapping.push(i);
-      }
-    });
-  }
-
-  const leftProcessed = leftFiltered.map(processLine);
-  const rightProcessed = rightFiltered.map(processLine);
-  const lcs = computeLCS(leftProcessed, rightProcessed);
-
-  const result = [];
-  let leftIdx = 0;
-  let rightIdx = 0;
-  let lcsIdx = 0;
-
-  while (leftIdx < leftFiltered.length || rightIdx < rightFiltered.length) {
-    if (lcsIdx < lcs.length) {
-      const match = lcs[lcsIdx];
-
-      while (leftIdx < match.leftIndex) {
-        result.push({
-          type: 'deleted',
-          leftLine: leftFiltered[leftIdx],
-          leftLineNum: leftMapping[leftIdx] + 1,
-          rightLine: null,
-          rightLineNum: null,
-        });
-        leftIdx++;
-      }
-
-      while (rightIdx < match.rightIndex) {
-        result.push({
-          type: 'added',
-          leftLine: null,
-          leftLineNum: null,
-          rightLine: rightFiltered[rightIdx],
-          rightLineNum: rightMapping[rightIdx] + 1,
-        });
-        rightIdx++;
-      }
-
-      result.push({
-        type: 'unchanged',
-        leftLine: leftFiltered[leftIdx],
-        leftLineNum: leftMapping[leftIdx] + 1,
-        rightLine: rightFiltered[rightIdx],
-        rightLineNum: rightMapping[rightIdx] + 1,
-      });
-      leftIdx++;
-      rightIdx++;
-      lcsIdx++;
-    } else {
-      while (leftIdx < leftFiltered.length) {
-        result.push({
-          type: 'deleted',
-          leftLine: leftFiltered[leftIdx],
-          leftLineNum: leftMapping[leftIdx] + 1,
-          rightLine: null,
-          rightLineNum: null,
-        });
-        leftIdx++;
-      }
-
-      while (rightIdx < rightFiltered.length) {
-        result.push({
-          type: 'added',
-          leftLine: null,
-          leftLineNum: null,
-          rightLine: rightFiltered[rightIdx],
-          rightLineNum: rightMapping[rightIdx] + 1,
-        });
-        rightIdx++;
-      }
-    }
-  }
-
-  // Merge adjacent delete/add pairs into modified
-  // First, find consecutive groups of deletes followed by adds
-  const merged = [];
-  let i = 0;
-  while (i < result.length) {
-    if (result[i].type === 'deleted') {
-      // Collect all consecutive deletes
-      const deletes = [];
-      while (i < result.length && result[i].type === 'deleted') {
-        deletes.push(result[i]);
-        i++;
-      }
-
-      // Collect all consecutive adds that follow
-      const adds = [];
-      while (i < result.length && result[i].type === 'added') {
-        adds.push(result[i]);
-        i++;
-      }
-
-      // If we have both deletes and adds, merge them as modified
-      if (deletes.length > 0 && adds.length > 0) {
-        const maxLen = Math.max(deletes.length, adds.length);
-        for (let j = 0; j < maxLen; j++) {
-          if (j < deletes.length && j < adds.length) {
-            merged.push({
-              type: 'modified',
-              leftLine: deletes[j].leftLine,
-              leftLineNum: deletes[j].leftLineNum,
-              rightLine: adds[j].rightLine,
-              rightLineNum: adds[j].rightLineNum,
-            });
-          } else if (j < deletes.length) {
-            merged.push(deletes[j]);
-          } else {
-            merged.push(adds[j]);
-          }
-        }
-      } else {
-        // No adds followed, just push the deletes
-        merged.push(...deletes);
-      }
-    } else if (result[i].type === 'added') {
-      // Standalone adds (not preceded by deletes)
-      merged.push(result[i]);
-      i++;
-    } else {
-      // Unchanged lines
-      merged.push(result[i]);
-      i++;
-    }
-  }
-
-  return merged;
-}
-
-// Get line decorations for Monaco editor
-function getLineDecorations(diff, side) {
-  const decorations = [];
-
-  diff.forEach((entry) => {
-    const lineNum = side === 'left' ? entry.leftLineNum : entry.rightLineNum;
-    if (lineNum === null) return;
-
-    let className = '';
-    let glyphClassName = '';
-
-    if (entry.type === 'deleted' && side === 'left') {
-      className = 'diff-line-deleted';
-      glyphClassName = 'diff-glyph-deleted';
-    } else if (entry.type === 'added' && side === 'right') {
-      className = 'diff-line-added';
-      glyphClassName = 'diff-glyph-added';
-    } else if (entry.type === 'modified') {
-      className = 'diff-line-modified';
-      glyphClassName = 'diff-glyph-modified';
-    }
-
-    if (className) {
-      decorations.push({
-        range: { startLineNumber: lineNum, startColumn: 1, endLineNumber: lineNum, endColumn: 1 },
-        options: {
-          isWholeLine: true,
-          className,
-          glyphMarginClassName: glyphClassName,
-        },
-      });
-    }
-  });
-
-  return decorations;
-}
-
-// Compute view zones (grey placeholder lines) for missing code
-function computeViewZones(diff, side) {
-  const zones = [];
-  let currentLineNum = 0;
-  let pendingPlaceholders = 0;
-
-  diff.forEach((entry, index) => {
-    const hasLineOnThisSide = side === 'left' ? entry.leftLineNum !== null : entry.rightLineNum !== null;
-    const hasLineOnOtherSide = side === 'left' ? entry.rightLineNum !== null : entry.leftLineNum !== null;
-
-    if (hasLineOnThisSide) {
-      if (pendingPlaceholders > 0) {
-        zones.push({
-          afterLineNumber: currentLineNum,
-          heightInLines: pendingPlaceholders,
-        });
-        pendingPlaceholders = 0;
-      }
-      currentLineNum = side === 'left' ? entry.leftLineNum : entry.rightLineNum;
-    } else if (hasLineOnOtherSide) {
-      pendingPlaceholders++;
-    }
-  });
-
-  if (pendingPlaceholders > 0) {
-    zones.push({
-      afterLineNumber: currentLineNum,
-      heightInLines: pendingPlaceholders,
-    });
-  }
-
-  return zones;
-}
+import {
+  computeMatches,
+  computeInlineDiff,
+  computeLineDiff,
+  getLineDecorations,
+  getInlineDecorations,
+  computeViewZones,
+  lineSimilarity,
+  computeDiffBlocks,
+  getBlockCopyEdit,
+  computeFormattedDiff,
+  computeUnifiedRows,
+  getUnifiedDecorations,
+  formatUnifiedGutter,
+  computeFolds,
+  foldedLines,
+} from './diff.js';
+import {
+  computeMerge3,
+  renderMergeResult,
+  findConflicts,
+  resolveConflict,
+  getConflictDecorations,
+  parseConflictedFile,
+} from './merge.js';
+import { deflateRawSync, gzipSync } from 'node:zlib';
+import { PieceTreeTextBufferBuilder } from 'monaco-editor/esm/vs/editor/common/model/pieceTreeTextBuffer/pieceTreeTextBufferBuilder.js';
+import {
+  parseUnifiedPatch,
+  applyUnifiedPatch,
+  generateUnifiedPatch,
+  generateMultiFilePatch,
+} from './patch.js';
+import {
+  stripCommonRoot,
+  compareFolders,
+  countByStatus,
+  buildFileTree,
+  toFolderFile,
+} from './folder.js';
+import { listZipEntries, readZip, readTar, readArchive, isArchiveFile } from './archive.js';
+import {
+  isBinaryData,
+  detectFileKind,
+  formatHexDump,
+  computeHexDiff,
+  countDifferentBytes,
+  computePixelDiff,
+  HEX_VIEW_MAX_BYTES,
+} from './binary.js';
+import {
+  decodeText,
+  encodeText,
+  canEncode,
+  detectLineEnding,
+  convertLineEndings,
+  modelLineBreak,
+} from './encoding.js';
+import {
+  locateJsonValues,
+  compareValues,
+  compareStructuredTexts,
+  formatPath,
+  buildChangeTree,
+  getStructuralDecorations,
+} from './structural.js';
+import { createRule, ruleError, addPresetRules, describeRules, BUILTIN_PRESETS } from './rules.js';
+import { parseYaml } from './yaml.js';
+import { parseToml } from './toml.js';
+import { parseDeclarations, compareCode, countSyntaxChanges, describeRenames, getSyntaxDecorations } from './syntax.js';
+import { stripComments, supportsComments, languageFromPath } from './comments.js';
+import { describeSession, sameSessionContent, sortSessions, sessionsBeyond } from './sessions.js';
+import {
+  serializeComparison,
+  parseComparison,
+  isSessionFile,
+  encodeShareFragment,
+  decodeShareFragment,
+} from './share.js';
+import { readSourceParams, fileNameFromUrl, fetchSource } from './sources.js';
 
 // ============================================================================
 // TEST UTILITIES
@@ -303,6 +113,18 @@ function assertDeepEqual(actual, expected, message = '') {
   assertEqual(actual, expected, message);
 }
 
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    testsFailed++;
+  }
+}
+
 // ============================================================================
 // TEST CASES
 // ============================================================================
@@ -343,7 +165,7 @@ test('Simple deletion - one line removed', () => {
 test('Simple modification - one line changed', () => {
   const left = ['line1', 'line2', 'line3'];
   const right = ['line1', 'modified', 'line3'];
-  const diff = computeLineDiff(left, right);
+  const diff = computeLineDiff(left, right, { similarityThreshold: 0 });
 
   assertEqual(diff.length, 3);
   assertEqual(diff[0].type, 'unchanged');
@@ -403,7 +225,8 @@ test('Mixed changes - add, delete, modify', () => {
 test('All lines changed', () => {
   const left = ['A', 'B', 'C'];
   const right = ['X', 'Y', 'Z'];
-  const diff = computeLineDiff(left, right);
+  // Threshold 0 pairs every deleted line with an added line, similar or not
+  const diff = computeLineDiff(left, right, { similarityThreshold: 0 });
 
   // Should be all modified
   assertEqual(diff.length, 3);
@@ -450,7 +273,7 @@ test('Identical content', () => {
 test('Line numbers are correct', () => {
   const left = ['A', 'B', 'C'];
   const right = ['A', 'X', 'C'];
-  const diff = computeLineDiff(left, right);
+  const diff = computeLineDiff(left, right, { similarityThreshold: 0 });
 
   assertEqual(diff[0].leftLineNum, 1);
   assertEqual(diff[0].rightLineNum, 1);
@@ -496,7 +319,7 @@ test('Decorations for right side - added lines marked', () => {
 test('Decorations for modified lines - both sides marked', () => {
   const left = ['A', 'B', 'C'];
   const right = ['A', 'X', 'C'];
-  const diff = computeLineDiff(left, right);
+  const diff = computeLineDiff(left, right, { similarityThreshold: 0 });
   const leftDeco = getLineDecorations(diff, 'left');
   const rightDeco = getLineDecorations(diff, 'right');
 
@@ -757,7 +580,7 @@ test('View zones - additions at beginning', () => {
 test('View zones - no zones for modified lines', () => {
   const left = ['A', 'B', 'C'];
   const right = ['A', 'X', 'C'];
-  const diff = computeLineDiff(left, right);
+  const diff = computeLineDiff(left, right, { similarityThreshold: 0 });
   const leftZones = computeViewZones(diff, 'left');
   const rightZones = computeViewZones(diff, 'right');
 
@@ -816,6 +639,1913 @@ console.log(result);`;
   // Right should have no zones (all left lines either exist on right or are modified)
 });
 
+// ============================================================================
+// MATCHING ENGINE TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('MATCHING ENGINE TESTS');
+console.log('========================================\n');
+
+// Reference LCS length from the classic DP table
+function lcsLength(left, right) {
+  let prev = new Array(right.length + 1).fill(0);
+  for (let i = 1; i <= left.length; i++) {
+    const row = new Array(right.length + 1).fill(0);
+    for (let j = 1; j <= right.length; j++) {
+      row[j] = left[i - 1] === right[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], row[j - 1]);
+    }
+    prev = row;
+  }
+  return prev[right.length];
+}
+
+// Deterministic pseudo-random lines drawn from a small alphabet
+function randomLines(seed, count, alphabet) {
+  let state = seed;
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    lines.push(`line ${state % alphabet}`);
+  }
+  return lines;
+}
+
+function assertValidMatches(left, right, matches) {
+  let lastLeft = -1;
+  let lastRight = -1;
+  matches.forEach(({ leftIndex, rightIndex }) => {
+    if (leftIndex <= lastLeft || rightIndex <= lastRight) {
+      throw new Error(`Matches out of order at ${leftIndex}/${rightIndex}`);
+    }
+    if (left[leftIndex] !== right[rightIndex]) {
+      throw new Error(`Matched lines differ at ${leftIndex}/${rightIndex}`);
+    }
+    lastLeft = leftIndex;
+    lastRight = rightIndex;
+  });
+}
+
+test('Myers finds an optimal LCS on random inputs', () => {
+  for (let seed = 1; seed <= 200; seed++) {
+    const left = randomLines(seed, seed % 40, 5);
+    const right = randomLines(seed * 7 + 3, (seed * 3) % 40, 5);
+    const matches = computeMatches(left, right, 'myers');
+    assertValidMatches(left, right, matches);
+    assertEqual(matches.length, lcsLength(left, right), `seed ${seed}`);
+  }
+});
+
+test('Histogram produces valid matches on random inputs', () => {
+  for (let seed = 1; seed <= 200; seed++) {
+    const left = randomLines(seed, seed % 40, 8);
+    const right = randomLines(seed * 5 + 1, (seed * 7) % 40, 8);
+    assertValidMatches(left, right, computeMatches(left, right, 'histogram'));
+  }
+});
+
+test('Histogram anchors on unique lines instead of repeated braces', () => {
+  const left = ['}', 'function a() {', '  return 1;', '}', 'function b() {', '  return 2;', '}'];
+  const right = ['}', 'function b() {', '  return 2;', '}', 'function a() {', '  return 1;', '}'];
+  const diff = computeLineDiff(left, right, { algorithm: 'histogram' });
+  const unchanged = diff.filter(d => d.type === 'unchanged').map(d => d.leftLine);
+
+  assertEqual(unchanged.includes('function a() {') || unchanged.includes('function b() {'), true);
+  assertEqual(diff.filter(d => d.leftLineNum !== null).length, left.length);
+  assertEqual(diff.filter(d => d.rightLineNum !== null).length, right.length);
+});
+
+test('Algorithms agree on the sample diff entries', () => {
+  const left = ['A', 'B', 'C', 'D'];
+  const right = ['A', 'X', 'C', 'D', 'E'];
+  assertDeepEqual(
+    computeLineDiff(left, right, { algorithm: 'histogram' }),
+    computeLineDiff(left, right, { algorithm: 'myers' })
+  );
+});
+
+test('Large inputs diff quickly', () => {
+  const left = [];
+  for (let i = 0; i < 20000; i++) left.push(`log entry ${i} status=ok`);
+  const right = left.slice();
+  for (let i = 0; i < right.length; i += 500) right[i] = `log entry ${i} status=changed`;
+  right.splice(10000, 0, 'inserted line');
+
+  ['myers', 'histogram'].forEach((algorithm) => {
+    const start = Date.now();
+    const diff = computeLineDiff(left, right, { algorithm });
+    const elapsed = Date.now() - start;
+    console.log(`  ${algorithm}: ${elapsed}ms for ${left.length} lines`);
+
+    assertEqual(diff.filter(d => d.type === 'modified').length, 40);
+    assertEqual(diff.filter(d => d.type === 'added').length, 1);
+    if (elapsed > 2000) throw new Error(`${algorithm} took ${elapsed}ms`);
+  });
+});
+
+// ============================================================================
+// INLINE DIFF TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('INLINE DIFF TESTS');
+console.log('========================================\n');
+
+test('Inline diff - word granularity marks changed words', () => {
+  const inline = computeInlineDiff('return a + b;', 'return a + b + c;');
+
+  assertDeepEqual(inline.left, []);
+  assertDeepEqual(inline.right, [{ start: 12, end: 16 }]);
+});
+
+test('Inline diff - character granularity marks changed characters', () => {
+  const inline = computeInlineDiff('color', 'colour', { granularity: 'char' });
+
+  assertDeepEqual(inline.left, []);
+  assertDeepEqual(inline.right, [{ start: 4, end: 5 }]);
+});
+
+test('Inline diff - whole word replaced on both sides', () => {
+  const inline = computeInlineDiff('const foo = 1;', 'const bar = 1;');
+
+  assertDeepEqual(inline.left, [{ start: 6, end: 9 }]);
+  assertDeepEqual(inline.right, [{ start: 6, end: 9 }]);
+});
+
+test('Inline diff - respects ignore case and whitespace', () => {
+  const inline = computeInlineDiff('Foo  bar', 'foo bar', { ignoreCase: true, ignoreWhitespace: true });
+
+  assertDeepEqual(inline.left, []);
+  assertDeepEqual(inline.right, []);
+});
+
+test('Inline decorations - modified lines get column ranges', () => {
+  const diff = computeLineDiff(['A', 'let x = 1;', 'C'], ['A', 'let x = 2;', 'C']);
+  const leftDeco = getInlineDecorations(diff, 'left');
+  const rightDeco = getInlineDecorations(diff, 'right');
+
+  assertEqual(leftDeco.length, 1);
+  assertEqual(leftDeco[0].range, { startLineNumber: 2, startColumn: 9, endLineNumber: 2, endColumn: 10 });
+  assertEqual(leftDeco[0].options.inlineClassName, 'char-deleted');
+  assertEqual(rightDeco[0].options.inlineClassName, 'char-added');
+});
+
+test('Inline decorations - granularity option is passed through', () => {
+  const left = ['value = 100'];
+  const right = ['value = 101'];
+
+  assertDeepEqual(
+    computeLineDiff(left, right).find(d => d.type === 'modified').inlineChanges.right,
+    [{ start: 8, end: 11 }]
+  );
+  assertDeepEqual(
+    computeLineDiff(left, right, { inlineGranularity: 'char' }).find(d => d.type === 'modified').inlineChanges.right,
+    [{ start: 10, end: 11 }]
+  );
+});
+
+// ============================================================================
+// SIMILARITY PAIRING TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('SIMILARITY PAIRING TESTS');
+console.log('========================================\n');
+
+test('Line similarity - identical, unrelated and edited lines', () => {
+  assertEqual(lineSimilarity('abc', 'abc'), 1);
+  assertEqual(lineSimilarity('', ''), 1);
+  assertEqual(lineSimilarity('abc', 'xyz'), 0);
+  assertEqual(lineSimilarity('color', 'colour') > 0.9, true);
+});
+
+test('Unrelated replacement stays deleted/added', () => {
+  const left = ['keep', 'const total = items.length;', 'keep too'];
+  const right = ['keep', '<div class="header">', 'keep too'];
+  const diff = computeLineDiff(left, right);
+
+  assertEqual(diff.map(d => d.type), ['unchanged', 'deleted', 'added', 'unchanged']);
+});
+
+test('Similar lines shifted inside a block are aligned', () => {
+  const left = ['start', 'function add(a, b) {', '  return a + b;', 'end'];
+  const right = [
+    'start',
+    '// helper for sums',
+    'function add(a, b, c) {',
+    '  return a + b + c;',
+    'end',
+  ];
+  const diff = computeLineDiff(left, right);
+
+  assertEqual(diff.map(d => d.type), ['unchanged', 'added', 'modified', 'modified', 'unchanged']);
+  assertEqual(diff[2].leftLineNum, 2);
+  assertEqual(diff[2].rightLineNum, 3);
+});
+
+test('Similarity pairing keeps view zones aligned', () => {
+  const left = ['start', 'const a = 1;', 'const b = 2;', 'end'];
+  const right = ['start', 'import x from "y";', 'const a = 10;', 'end'];
+  const diff = computeLineDiff(left, right);
+  const leftZones = computeViewZones(diff, 'left');
+  const rightZones = computeViewZones(diff, 'right');
+
+  // Each side plus its placeholders must cover every row of the diff
+  const leftRows = left.length + leftZones.reduce((sum, z) => sum + z.heightInLines, 0);
+  const rightRows = right.length + rightZones.reduce((sum, z) => sum + z.heightInLines, 0);
+  assertEqual(leftRows, diff.length);
+  assertEqual(rightRows, diff.length);
+  assertEqual(diff.find(d => d.type === 'modified').leftLine, 'const a = 1;');
+});
+
+test('Similarity threshold is configurable', () => {
+  const left = ['alpha beta'];
+  const right = ['alpha gamma'];
+
+  assertEqual(computeLineDiff(left, right, { similarityThreshold: 0.5 })[0].type, 'modified');
+  assertEqual(computeLineDiff(left, right, { similarityThreshold: 0.9 })[0].type, 'deleted');
+});
+
+// ============================================================================
+// THREE-WAY MERGE TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('THREE-WAY MERGE TESTS');
+console.log('========================================\n');
+
+test('Merge3 - non-overlapping changes are auto-resolved', () => {
+  const base = ['a', 'b', 'c', 'd', 'e'];
+  const mine = ['a', 'B', 'c', 'd', 'e'];
+  const theirs = ['a', 'b', 'c', 'D', 'e', 'f'];
+  const chunks = computeMerge3(base, mine, theirs);
+
+  assertEqual(chunks.filter(c => c.type === 'conflict').length, 0);
+  assertEqual(renderMergeResult(chunks), 'a\nB\nc\nD\ne\nf');
+  assertEqual(chunks.filter(c => c.type === 'resolved').map(c => c.source), ['mine', 'theirs', 'theirs']);
+});
+
+test('Merge3 - identical change on both sides is not a conflict', () => {
+  const chunks = computeMerge3(['a', 'b', 'c'], ['a', 'x', 'c'], ['a', 'x', 'c']);
+
+  assertEqual(chunks.map(c => c.type), ['stable', 'resolved', 'stable']);
+  assertEqual(chunks[1].source, 'both');
+});
+
+test('Merge3 - overlapping changes produce a conflict with base', () => {
+  const chunks = computeMerge3(['a', 'b', 'c'], ['a', 'mine', 'c'], ['a', 'theirs', 'c']);
+  const conflict = chunks.find(c => c.type === 'conflict');
+
+  assertDeepEqual(conflict, { type: 'conflict', base: ['b'], mine: ['mine'], theirs: ['theirs'] });
+  assertEqual(
+    renderMergeResult(chunks),
+    'a\n<<<<<<< Mine\nmine\n||||||| Base\nb\n=======\ntheirs\n>>>>>>> Theirs\nc'
+  );
+});
+
+test('Merge3 - deletion on one side and edit elsewhere', () => {
+  const chunks = computeMerge3(['a', 'b', 'c', 'd'], ['a', 'c', 'd'], ['a', 'b', 'c', 'D']);
+
+  assertEqual(renderMergeResult(chunks), 'a\nc\nD');
+});
+
+test('Conflicts - found and resolved by choice', () => {
+  const text = renderMergeResult(computeMerge3(['a', 'b', 'c'], ['a', 'x', 'c'], ['a', 'y', 'c']));
+  const conflicts = findConflicts(text);
+
+  assertEqual(conflicts.length, 1);
+  assertEqual(conflicts[0].startLine, 2);
+  assertEqual(conflicts[0].endLine, 8);
+  assertEqual(resolveConflict(text, conflicts[0], 'mine'), 'a\nx\nc');
+  assertEqual(resolveConflict(text, conflicts[0], 'theirs'), 'a\ny\nc');
+  assertEqual(resolveConflict(text, conflicts[0], 'both'), 'a\nx\ny\nc');
+});
+
+test('Conflicts - two-way markers without a base section', () => {
+  const conflicts = findConflicts('<<<<<<< HEAD\nx\n=======\ny\n>>>>>>> branch');
+
+  assertEqual(conflicts.length, 1);
+  assertEqual(conflicts[0].base, null);
+  assertDeepEqual(conflicts[0].mine, ['x']);
+  assertDeepEqual(conflicts[0].theirs, ['y']);
+});
+
+test('Conflict decorations - markers and sections are marked', () => {
+  const conflicts = findConflicts('a\n<<<<<<< Mine\nx\n||||||| Base\nb\n=======\ny\n>>>>>>> Theirs');
+  const classes = getConflictDecorations(conflicts).map(d => `${d.range.startLineNumber}:${d.options.className}`);
+
+  assertEqual(classes, [
+    '2:merge-conflict-marker',
+    '3:merge-conflict-mine',
+    '4:merge-conflict-marker',
+    '5:merge-conflict-base',
+    '6:merge-conflict-marker',
+    '7:merge-conflict-theirs',
+    '8:merge-conflict-marker',
+  ]);
+});
+
+test('Conflicted file - diff3 markers split into mine, base and theirs', () => {
+  const text = [
+    'head',
+    '<<<<<<< HEAD',
+    'ours',
+    '||||||| merged common ancestors',
+    'original',
+    '=======',
+    'theirs',
+    '>>>>>>> feature/x',
+    'tail',
+  ].join('\n');
+  const parsed = parseConflictedFile(text);
+
+  assertEqual(parsed.mine, 'head\nours\ntail');
+  assertEqual(parsed.hasBase, true);
+  assertEqual(parsed.base, 'head\noriginal\ntail');
+  assertEqual(parsed.theirs, 'head\ntheirs\ntail');
+  assertDeepEqual(parsed.labels, { mine: 'HEAD', base: 'merged common ancestors', theirs: 'feature/x' });
+  assertEqual(parsed.conflictCount, 1);
+});
+
+test('Conflicted file - two-way markers have no base', () => {
+  const parsed = parseConflictedFile('a\n<<<<<<< HEAD\nx\n=======\ny\n>>>>>>> b\nc\n<<<<<<< HEAD\n=======\nz\n>>>>>>> b');
+
+  assertEqual(parsed.hasBase, false);
+  assertEqual(parsed.base, 'a\nc');
+  assertEqual(parsed.mine, 'a\nx\nc');
+  assertEqual(parsed.theirs, 'a\ny\nc\nz');
+  assertEqual(parsed.conflictCount, 2);
+});
+
+test('Conflicted file - resolving every block removes all markers', () => {
+  let text = 'a\n<<<<<<< HEAD\nx\n=======\ny\n>>>>>>> b\nc\n<<<<<<< HEAD\nm\n=======\nt\n>>>>>>> b';
+  while (findConflicts(text).length > 0) {
+    text = resolveConflict(text, findConflicts(text)[0], 'theirs');
+  }
+
+  assertEqual(text, 'a\ny\nc\nt');
+});
+
+// ============================================================================
+// DIFF BLOCK TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('DIFF BLOCK TESTS');
+console.log('========================================\n');
+
+// Apply a Monaco-style edit to an array of lines, clamping columns like Monaco
+function applyEdit(lines, { range, text }) {
+  const content = lines.join('\n');
+  const offsetOf = (lineNumber, column) => {
+    let offset = 0;
+    for (let i = 0; i < lineNumber - 1; i++) offset += lines[i].length + 1;
+    return offset + Math.min(column, lines[lineNumber - 1].length + 1) - 1;
+  };
+  const start = offsetOf(range.startLineNumber, range.startColumn);
+  const end = offsetOf(range.endLineNumber, range.endColumn);
+  return (content.slice(0, start) + text + content.slice(end)).split('\n');
+}
+
+test('Diff blocks - contiguous changes are grouped with line ranges', () => {
+  const diff = computeLineDiff(['A', 'B', 'C', 'D', 'E'], ['A', 'B2', 'X', 'C', 'E']);
+  const blocks = computeDiffBlocks(diff);
+
+  assertEqual(blocks.length, 2);
+  assertDeepEqual(blocks[0].left, { start: 2, end: 2 });
+  assertDeepEqual(blocks[0].right, { start: 2, end: 3 });
+  assertDeepEqual(blocks[1].left, { start: 4, end: 4 });
+  assertDeepEqual(blocks[1].right, { start: 5, end: 4 });
+});
+
+test('Block copy - insert, replace and delete in both directions', () => {
+  const left = ['A', 'B', 'C', 'D'];
+  const right = ['X', 'A', 'C', 'D', 'E'];
+  const blocks = computeDiffBlocks(computeLineDiff(left, right));
+
+  // Left -> right applied block by block, last first, so ranges stay valid
+  let target = right;
+  blocks.slice().reverse().forEach((block) => {
+    target = applyEdit(target, getBlockCopyEdit(block, 'right', left, target.length));
+  });
+  assertEqual(target, left);
+
+  let back = left;
+  blocks.slice().reverse().forEach((block) => {
+    back = applyEdit(back, getBlockCopyEdit(block, 'left', right, back.length));
+  });
+  assertEqual(back, right);
+});
+
+test('Block copy - random inputs converge to the source', () => {
+  for (let seed = 1; seed <= 100; seed++) {
+    const left = randomLines(seed, 1 + (seed % 15), 4);
+    let right = randomLines(seed * 11 + 5, 1 + ((seed * 3) % 15), 4);
+    // Copy one block at a time and re-diff, as the UI does
+    for (let step = 0; step < 50; step++) {
+      const blocks = computeDiffBlocks(computeLineDiff(left, right));
+      if (blocks.length === 0) break;
+      right = applyEdit(right, getBlockCopyEdit(blocks[0], 'right', left, right.length));
+    }
+    assertEqual(right, left, `seed ${seed}`);
+  }
+});
+
+// ============================================================================
+// PATCH APPLY TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('PATCH APPLY TESTS');
+console.log('========================================\n');
+
+const SAMPLE_PATCH = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1234567..89abcde 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -2,3 +2,3 @@',
+  ' b',
+  '-c',
+  '+C',
+  ' d',
+  '@@ -8,3 +8,4 @@',
+  ' h',
+  ' i',
+  '+i2',
+  ' j',
+].join('\n');
+
+const SAMPLE_SOURCE = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+
+test('Patch parse - files, hunks and line types', () => {
+  const files = parseUnifiedPatch(SAMPLE_PATCH);
+
+  assertEqual(files.length, 1);
+  assertEqual(files[0].oldFile, 'src/app.js');
+  assertEqual(files[0].newFile, 'src/app.js');
+  assertEqual(files[0].hunks.length, 2);
+  assertEqual(files[0].hunks[0].lines.map(l => l.type).join(''), ' -+ ');
+  assertEqual(files[0].hunks[1].newCount, 4);
+});
+
+test('Patch parse - multiple files and malformed hunks', () => {
+  const text = '--- a/one\n+++ b/one\n@@ -1 +1 @@\n-x\n+y\n--- a/two\n+++ b/two\n@@ -1,2 +1,1 @@\n a\n-b\n';
+  const files = parseUnifiedPatch(text);
+
+  assertEqual(files.map(f => f.newFile), ['one', 'two']);
+
+  let message = '';
+  try {
+    parseUnifiedPatch('--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n');
+  } catch (err) {
+    message = err.message;
+  }
+  assertEqual(message.length > 0, true);
+});
+
+test('Patch apply - exact positions', () => {
+  const { text, results } = applyUnifiedPatch(SAMPLE_SOURCE, parseUnifiedPatch(SAMPLE_PATCH)[0].hunks);
+
+  assertEqual(text, 'a\nb\nC\nd\ne\nf\ng\nh\ni\ni2\nj\n');
+  assertEqual(results.map(r => r.applied), [true, true]);
+  assertEqual(results.map(r => r.offset), [0, 0]);
+});
+
+test('Patch apply - shifted hunks are found with an offset', () => {
+  const source = 'new 1\nnew 2\n' + SAMPLE_SOURCE;
+  const { text, results } = applyUnifiedPatch(source, parseUnifiedPatch(SAMPLE_PATCH)[0].hunks);
+
+  assertEqual(text, 'new 1\nnew 2\na\nb\nC\nd\ne\nf\ng\nh\ni\ni2\nj\n');
+  assertEqual(results[0].offset, 2);
+  assertEqual(results[0].line, 4);
+});
+
+test('Patch apply - fuzz ignores mismatched outer context', () => {
+  const source = 'a\nB!\nc\nd\ne\nf\ng\nh\ni\nj\n';
+  const { text, results } = applyUnifiedPatch(source, parseUnifiedPatch(SAMPLE_PATCH)[0].hunks);
+
+  assertEqual(text, 'a\nB!\nC\nd\ne\nf\ng\nh\ni\ni2\nj\n');
+  assertEqual(results[0].fuzz, 1);
+
+  const strict = applyUnifiedPatch(source, parseUnifiedPatch(SAMPLE_PATCH)[0].hunks, { fuzz: 0 });
+  assertEqual(strict.results[0].applied, false);
+  assertEqual(strict.results[1].applied, true);
+});
+
+test('Patch apply - failed and already applied hunks report a reason', () => {
+  const hunks = parseUnifiedPatch(SAMPLE_PATCH)[0].hunks;
+
+  const missing = applyUnifiedPatch('x\ny\nz\n', hunks);
+  assertEqual(missing.results.every(r => !r.applied), true);
+  assertEqual(missing.results[0].reason, 'Context not found near line 2');
+  assertEqual(missing.text, 'x\ny\nz\n');
+
+  const twice = applyUnifiedPatch(applyUnifiedPatch(SAMPLE_SOURCE, hunks).text, hunks);
+  assertEqual(twice.results[0].reason, 'Changes appear to be applied already');
+});
+
+test('Patch apply - missing newline at end of file', () => {
+  const patch = '--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n';
+  const { text } = applyUnifiedPatch('a\nb', parseUnifiedPatch(patch)[0].hunks);
+
+  assertEqual(text, 'a\nb\n');
+});
+
+test('Patch apply - new file from /dev/null', () => {
+  const patch = '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+one\n+two\n';
+  const files = parseUnifiedPatch(patch);
+
+  assertEqual(files[0].oldFile, '/dev/null');
+  assertEqual(applyUnifiedPatch('', files[0].hunks).text, 'one\ntwo\n');
+});
+
+// ============================================================================
+// PATCH GENERATION TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('PATCH GENERATION TESTS');
+console.log('========================================\n');
+
+test('Patch generation - three lines of context around a change', () => {
+  const left = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+  const right = 'a\nb\nc\nd\nE\nf\ng\nh\n';
+
+  assertEqual(
+    generateUnifiedPatch(left, right, 'a/f', 'b/f'),
+    '--- a/f\n+++ b/f\n@@ -2,7 +2,7 @@\n b\n c\n d\n-e\n+E\n f\n g\n h\n'
+  );
+});
+
+test('Patch generation - distant changes get separate hunks', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+  const changed = lines.slice();
+  changed[1] = 'two';
+  changed[17] = 'eighteen';
+  const patch = generateUnifiedPatch(`${lines.join('\n')}\n`, `${changed.join('\n')}\n`, 'a/f', 'b/f', { contextLines: 2 });
+
+  assertEqual(patch.split('\n').filter(l => l.startsWith('@@')), ['@@ -1,4 +1,4 @@', '@@ -16,5 +16,5 @@']);
+});
+
+test('Patch generation - zero context and empty sides', () => {
+  assertEqual(
+    generateUnifiedPatch('a\nb\nc\n', 'a\nc\n', 'f', 'f', { contextLines: 0 }),
+    '--- f\n+++ f\n@@ -2 +1,0 @@\n-b\n'
+  );
+  assertEqual(generateUnifiedPatch('', 'x\n', 'f', 'f'), '--- f\n+++ f\n@@ -0,0 +1 @@\n+x\n');
+  assertEqual(generateUnifiedPatch('same\n', 'same\n'), '');
+});
+
+test('Patch generation - missing newline at end of file', () => {
+  assertEqual(
+    generateUnifiedPatch('a\nb', 'a\nb\n', 'f', 'f'),
+    '--- f\n+++ f\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n'
+  );
+});
+
+test('Patch generation - ignored differences are left out', () => {
+  const left = 'a  b\nc\n\nd\n';
+  const right = 'A B\nc\nd\nx\n';
+
+  assertEqual(
+    generateUnifiedPatch(left, right, 'f', 'f', { ignoreWhitespace: true, ignoreCase: true, ignoreBlankLines: true, contextLines: 1 }),
+    '--- f\n+++ f\n@@ -4 +3,2 @@\n d\n+x\n'
+  );
+});
+
+test('Patch generation - applies back to the original', () => {
+  for (let seed = 1; seed <= 40; seed++) {
+    const left = randomLines(seed, seed % 30, 4);
+    const right = randomLines(seed * 5 + 1, (seed * 7) % 30, 4);
+    const leftCode = left.length ? `${left.join('\n')}\n` : '';
+    const rightCode = right.length ? `${right.join('\n')}\n` : '';
+    const patch = generateUnifiedPatch(leftCode, rightCode, 'a/f', 'b/f', { contextLines: seed % 4 });
+    if (patch === '') {
+      assertEqual(leftCode, rightCode);
+      continue;
+    }
+
+    const { text, results } = applyUnifiedPatch(leftCode, parseUnifiedPatch(patch)[0].hunks, { fuzz: 0 });
+    assertEqual(results.every(r => r.applied && r.offset === 0), true);
+    assertEqual(text, rightCode);
+  }
+});
+
+// ============================================================================
+// FOLDER COMPARISON TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('FOLDER COMPARISON TESTS');
+console.log('========================================\n');
+
+// Minimal zip writer: local headers, central directory and end record
+// (CRCs are left at zero; the reader does not check them)
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ path, text, deflate }) => {
+    const name = Buffer.from(path);
+    const raw = Buffer.from(text || '');
+    const data = deflate ? deflateRawSync(raw) : raw;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+test('Folder compare - statuses and change counts by path', () => {
+  const left = [
+    { path: 'src/a.js', text: 'one\ntwo\nthree' },
+    { path: 'src/b.js', text: 'same' },
+    { path: 'old.txt', text: 'x\ny\n' },
+  ];
+  const right = [
+    { path: 'src/a.js', text: 'one\nTWO\nthree\nfour' },
+    { path: 'src/b.js', text: 'same' },
+    { path: 'new.txt', text: 'z' },
+  ];
+  const entries = compareFolders(left, right, { similarityThreshold: 0 });
+
+  assertEqual(entries.map(e => [e.path, e.status]), [
+    ['new.txt', 'right-only'],
+    ['old.txt', 'left-only'],
+    ['src/a.js', 'changed'],
+    ['src/b.js', 'identical'],
+  ]);
+  assertEqual(entries[0].added, 1);
+  assertEqual(entries[1].deleted, 2);
+  assertEqual([entries[2].added, entries[2].deleted, entries[2].modified], [1, 0, 1]);
+  assertEqual(countByStatus(entries), { identical: 1, changed: 1, 'left-only': 1, 'right-only': 1 });
+});
+
+test('Folder compare - differences hidden by the options count as identical', () => {
+  const entries = compareFolders([{ path: 'f', text: 'A  b' }], [{ path: 'f', text: 'a b' }], {
+    ignoreWhitespace: true,
+    ignoreCase: true,
+  });
+
+  assertEqual(entries[0].status, 'identical');
+});
+
+test('Folder compare - common top-level folder is stripped', () => {
+  const { root, files } = stripCommonRoot([{ path: 'app-1.2/a.js' }, { path: 'app-1.2/lib/b.js' }]);
+  assertEqual(root, 'app-1.2');
+  assertEqual(files.map(f => f.path), ['a.js', 'lib/b.js']);
+
+  assertEqual(stripCommonRoot([{ path: 'a/x' }, { path: 'b/y' }]).root, '');
+  assertEqual(stripCommonRoot([{ path: 'a/x' }, { path: 'a' }]).root, '');
+});
+
+test('Folder compare - tree nests folders first and marks changed folders', () => {
+  const tree = buildFileTree([
+    { path: 'z.txt', status: 'identical' },
+    { path: 'lib/b.js', status: 'identical' },
+    { path: 'src/a.js', status: 'changed' },
+    { path: 'src/util/c.js', status: 'identical' },
+  ]);
+
+  assertEqual(tree.children.map(n => n.name), ['lib', 'src', 'z.txt']);
+  assertEqual(tree.children.map(n => n.status || n.entry.status), ['identical', 'changed', 'identical']);
+  assertEqual(tree.children[1].children.map(n => n.path), ['src/util', 'src/a.js']);
+  assertEqual(tree.status, 'changed');
+});
+
+test('Folder compare - comments are ignored by each file\'s extension', () => {
+  const left = [
+    { path: 'src/app.py', text: 'x = 1  # one\n' },
+    { path: 'src/main.ts', text: 'y();\n/* old */\n' },
+    { path: 'notes.txt', text: 'a # one\n' },
+  ];
+  const right = [
+    { path: 'src/app.py', text: 'x = 1  # uno\n' },
+    { path: 'src/main.ts', text: 'y();\n' },
+    { path: 'notes.txt', text: 'a # uno\n' },
+  ];
+  const status = (options) => compareFolders(left, right, options).map((entry) => `${entry.path} ${entry.status}`);
+  assertEqual(status({ ignoreComments: true }), ['notes.txt changed', 'src/app.py identical', 'src/main.ts identical']);
+  assertEqual(status({}), ['notes.txt changed', 'src/app.py changed', 'src/main.ts changed']);
+
+  assertEqual(languageFromPath('lib/Widget.TSX'), 'typescript');
+  assertEqual(languageFromPath('Makefile'), null);
+  assertEqual(languageFromPath('.config/settings'), null);
+});
+
+test('Folder compare - multi-file patches strip comments per file language', () => {
+  const files = [
+    { path: 'a.py', leftCode: 'x = 1  # one\n', rightCode: 'x = 1  # uno\n', language: 'python' },
+    { path: 'b.js', leftCode: 'y();  // two\n', rightCode: 'y();  // dos\n', language: 'javascript' },
+    { path: 'c.js', leftCode: 'z();  # three\n', rightCode: 'z();  # tres\n' },
+  ];
+  const patch = generateMultiFilePatch(files, { ignoreComments: true, language: 'javascript' });
+  assertEqual(parseUnifiedPatch(patch).map(f => f.newFile), ['c.js']);
+});
+
+test('Folder compare - multi-file patch adds, deletes and changes files', () => {
+  const patch = generateMultiFilePatch([
+    { path: 'gone.txt', leftCode: 'x\n', rightCode: null },
+    { path: 'new.txt', leftCode: null, rightCode: 'y\n' },
+    { path: 'src/a.js', leftCode: 'a\nb\n', rightCode: 'a\nB\n' },
+    { path: 'same.txt', leftCode: 's\n', rightCode: 's\n' },
+  ]);
+
+  assertEqual(patch, [
+    'diff --git a/gone.txt b/gone.txt',
+    'deleted file mode 100644',
+    '--- a/gone.txt',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-x',
+    'diff --git a/new.txt b/new.txt',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/new.txt',
+    '@@ -0,0 +1 @@',
+    '+y',
+    'diff --git a/src/a.js b/src/a.js',
+    '--- a/src/a.js',
+    '+++ b/src/a.js',
+    '@@ -1,2 +1,2 @@',
+    ' a',
+    '-b',
+    '+B',
+    '',
+  ].join('\n'));
+  assertEqual(parseUnifiedPatch(patch).map(f => f.newFile), ['/dev/null', 'new.txt', 'src/a.js']);
+});
+
+test('Zip - lists file entries and skips directories', () => {
+  const zip = buildZip([
+    { path: 'dist/' },
+    { path: 'dist/a.txt', text: 'hello' },
+    { path: 'dist/b.txt', text: 'world', deflate: true },
+  ]);
+  const entries = listZipEntries(zip);
+
+  assertEqual(entries.map(e => [e.path, e.method, e.size]), [['dist/a.txt', 0, 5], ['dist/b.txt', 8, 5]]);
+  assertEqual(new TextDecoder().decode(entries[0].data), 'hello');
+});
+
+await testAsync('Zip - reads stored and deflated entries', async () => {
+  const text = 'line\n'.repeat(200);
+  const files = await readZip(buildZip([
+    { path: 'a.txt', text: 'stored' },
+    { path: 'b.txt', text, deflate: true },
+  ]));
+
+  assertEqual(files.map(f => new TextDecoder().decode(f.data)), ['stored', text]);
+});
+
+test('Zip - rejects files that are not zip archives', () => {
+  let message = null;
+  try {
+    listZipEntries(new TextEncoder().encode('just some text'));
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Not a zip archive');
+});
+
+// ============================================================================
+// ARCHIVE TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('ARCHIVE TESTS');
+console.log('========================================\n');
+
+// Minimal ustar writer; entries are { name, text, type, prefix }
+function buildTar(entries) {
+  const blocks = [];
+  entries.forEach(({ name, text = '', type = '0', prefix = '' }) => {
+    const data = Buffer.from(text);
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('        ', 148);
+    header.write(type, 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.write(prefix, 345);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  });
+  blocks.push(Buffer.alloc(1024));
+  return new Uint8Array(Buffer.concat(blocks));
+}
+
+test('Tar - reads regular files with prefixes and long names', () => {
+  const longName = `${'deep/'.repeat(30)}file.txt`;
+  const files = readTar(buildTar([
+    { name: 'pkg/', type: '5' },
+    { name: 'pkg/a.txt', text: 'alpha' },
+    { name: 'b.txt', text: 'x'.repeat(600), prefix: 'pkg/lib' },
+    { name: '././@LongLink', text: `${longName}\0`, type: 'L' },
+    { name: longName.slice(0, 99), text: 'long' },
+    { name: 'pkg/link', type: '2' },
+  ]));
+
+  assertEqual(files.map(f => [f.path, f.data.length]), [
+    ['pkg/a.txt', 5],
+    ['pkg/lib/b.txt', 600],
+    [longName, 4],
+  ]);
+  assertEqual(new TextDecoder().decode(files[0].data), 'alpha');
+});
+
+test('Tar - rejects data that is not a tar archive', () => {
+  let message = null;
+  try {
+    readTar(new Uint8Array(1024).fill(65));
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Not a tar archive');
+});
+
+await testAsync('Archive - reads gzipped tar archives', async () => {
+  const tgz = new Uint8Array(gzipSync(buildTar([{ name: 'dist/app.js', text: 'let a = 1;\n' }])));
+  const files = await readArchive('dist-1.2.tar.gz', tgz);
+
+  assertEqual(files.map(f => [f.path, new TextDecoder().decode(f.data)]), [['dist/app.js', 'let a = 1;\n']]);
+});
+
+await testAsync('Archive - a .gz file without a tar inside is a single file', async () => {
+  const gz = new Uint8Array(gzipSync(Buffer.from('line 1\nline 2\n')));
+  const files = await readArchive('logs/server.log.gz', gz);
+  assertEqual(files.map(f => [f.path, new TextDecoder().decode(f.data)]), [['server.log', 'line 1\nline 2\n']]);
+
+  const tarGz = new Uint8Array(gzipSync(buildTar([{ name: 'a.txt', text: 'a\n' }])));
+  assertEqual((await readArchive('bundle.gz', tarGz)).map(f => f.path), ['a.txt']);
+  assertEqual([isArchiveFile('server.log.gz'), isArchiveFile('notes.txt')], [true, false]);
+});
+
+await testAsync('Archive - binary entries are kept as size and hash', async () => {
+  const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+  assertEqual(isBinaryData(png), true);
+  assertEqual(isBinaryData(new TextEncoder().encode('plain text\n')), false);
+
+  const binary = await toFolderFile('logo.png', png);
+  assertEqual([binary.binary, binary.size, binary.hash.length], [true, 12, 64]);
+  assertEqual((await toFolderFile('a.txt', new TextEncoder().encode('hi'))).text, 'hi');
+});
+
+test('Folder compare - binary files compare by size and hash', () => {
+  const image = (hash, size = 10) => ({ path: 'img.png', binary: true, size, hash });
+  const compare = (left, right) => compareFolders(left ? [left] : [], right ? [right] : [])[0];
+
+  assertEqual(compare(image('aa'), image('aa')).status, 'identical');
+  assertEqual(compare(image('aa'), image('bb')).status, 'changed');
+  assertEqual(compare(image('aa'), image('aa', 11)).status, 'changed');
+  assertEqual(compare(image('aa'), { path: 'img.png', text: 'now text' }).status, 'changed');
+
+  const added = compare(null, image('aa'));
+  assertEqual([added.status, added.binary, added.leftSize, added.rightSize, added.added], ['right-only', true, null, 10, 0]);
+});
+
+// ============================================================================
+// BINARY COMPARISON TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('BINARY COMPARISON TESTS');
+console.log('========================================\n');
+
+const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52];
+
+test('Binary - file kind from content', () => {
+  assertEqual(detectFileKind(new Uint8Array(PNG_HEADER)), 'image');
+  assertEqual(detectFileKind(new Uint8Array([0x00, 0x61, 0x73, 0x6d, 1, 0, 0, 0])), 'binary');
+  assertEqual(detectFileKind(new TextEncoder().encode('<svg xmlns="http://www.w3.org/2000/svg"/>')), 'text');
+  // ASCII image signatures only count for binary data
+  assertEqual(detectFileKind(new TextEncoder().encode('BMW models\n')), 'text');
+  assertEqual(isBinaryData(new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 1, 0])), true);
+  assertEqual(detectFileKind(new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 1, 0])), 'image');
+});
+
+test('Binary - hex dump rows in hexdump -C layout', () => {
+  const bytes = new Uint8Array([...PNG_HEADER, 0x41, 0x42]);
+
+  assertEqual(formatHexDump(bytes), [
+    '00000000  89 50 4e 47 0d 0a 1a 0a  00 00 00 0d 49 48 44 52  |.PNG........IHDR|',
+    '00000010  41 42                                             |AB|',
+  ]);
+  assertEqual(formatHexDump(new Uint8Array(HEX_VIEW_MAX_BYTES + 100)).length, HEX_VIEW_MAX_BYTES / 16);
+});
+
+test('Binary - hex diff marks differing bytes in both columns', () => {
+  const left = new Uint8Array([...PNG_HEADER, 1, 2, 3]);
+  const right = new Uint8Array(PNG_HEADER);
+  right[1] = 0x51;
+  right[2] = 0x4f;
+  right[9] = 0xff;
+  const diff = computeHexDiff(left, right);
+
+  assertEqual(diff.map(e => [e.type, e.leftLineNum, e.rightLineNum]), [['modified', 1, 1], ['deleted', 2, null]]);
+  // Bytes 1-2 form one run; byte 9 sits after the wider gap between the halves
+  assertEqual(diff[0].inlineChanges.left, [
+    { start: 13, end: 18 },
+    { start: 38, end: 40 },
+    { start: 62, end: 64 },
+    { start: 70, end: 71 },
+  ]);
+  assertEqual(diff[0].inlineChanges.right, diff[0].inlineChanges.left);
+  assertEqual(diff[0].leftLine.slice(13, 18), '50 4e');
+  assertEqual(diff[0].leftLine.slice(62, 64), 'PN');
+  assertEqual(countDifferentBytes(left, right), 6);
+});
+
+test('Binary - hex diff of a shorter last row', () => {
+  const diff = computeHexDiff(new Uint8Array([1, 2, 3]), new Uint8Array([1, 2]));
+
+  assertEqual(diff[0].type, 'modified');
+  assertEqual(diff[0].inlineChanges.left, [{ start: 16, end: 18 }, { start: 63, end: 64 }]);
+  assertEqual(diff[0].inlineChanges.right, []);
+  assertEqual(computeHexDiff(new Uint8Array([7]), new Uint8Array([7]))[0].type, 'unchanged');
+});
+
+test('Binary - pixel difference overlay', () => {
+  const image = (width, height, pixels) => ({ width, height, data: new Uint8ClampedArray(pixels.flat()) });
+  const left = image(2, 1, [[0, 0, 0, 255], [255, 255, 255, 255]]);
+  const right = image(2, 2, [[0, 0, 0, 255], [250, 255, 255, 255], [1, 1, 1, 255], [1, 1, 1, 255]]);
+
+  const exact = computePixelDiff(left, right);
+  assertEqual([exact.width, exact.height, exact.differentPixels], [2, 2, 3]);
+  assertEqual(Array.from(exact.data.slice(0, 8)), [191, 191, 191, 255, 255, 0, 255, 255]);
+
+  // Within the tolerance only the rows missing from the left image differ
+  assertEqual(computePixelDiff(left, right, 8).differentPixels, 2);
+});
+
+// ============================================================================
+// ENCODING AND LINE ENDING TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('ENCODING AND LINE ENDING TESTS');
+console.log('========================================\n');
+
+test('Encoding - detected from byte order mark or UTF-8 validity', () => {
+  const bytes = (...values) => new Uint8Array(values);
+
+  assertEqual(decodeText(new TextEncoder().encode('café')), { text: 'café', encoding: 'utf-8' });
+  assertEqual(decodeText(bytes(0xef, 0xbb, 0xbf, 0x68, 0x69)), { text: 'hi', encoding: 'utf-8-bom' });
+  assertEqual(decodeText(bytes(0xff, 0xfe, 0x68, 0, 0xe9, 0)), { text: 'hé', encoding: 'utf-16le' });
+  assertEqual(decodeText(bytes(0xfe, 0xff, 0, 0x68, 0, 0xe9)), { text: 'hé', encoding: 'utf-16be' });
+  // 0xe9 on its own is not valid UTF-8
+  assertEqual(decodeText(bytes(0x63, 0x61, 0x66, 0xe9)), { text: 'café', encoding: 'latin1' });
+  assertEqual(decodeText(new Uint8Array(0)), { text: '', encoding: 'utf-8' });
+});
+
+test('Encoding - saving round-trips the original bytes', () => {
+  const files = [
+    new Uint8Array([0xef, 0xbb, 0xbf, 0x61, 0x0d, 0x0a]),
+    new Uint8Array([0xff, 0xfe, 0x61, 0, 0x0a, 0, 0x3d, 0xd8, 0x00, 0xde]),
+    new Uint8Array([0xfe, 0xff, 0, 0x61, 0, 0x0a]),
+    new Uint8Array([0x63, 0x61, 0x66, 0xe9, 0x0a]),
+    new TextEncoder().encode('naïve → ok\n'),
+  ];
+
+  files.forEach((bytes) => {
+    const { text, encoding } = decodeText(bytes);
+    assertEqual([...encodeText(text, encoding)], [...bytes]);
+  });
+});
+
+test('Encoding - UTF-16 with a byte order mark is text, not binary', () => {
+  const utf16 = encodeText('hello\n', 'utf-16le');
+  assertEqual(isBinaryData(utf16), false);
+  assertEqual(detectFileKind(utf16), 'text');
+});
+
+test('Encoding - Latin-1 replaces characters it cannot hold', () => {
+  assertEqual(canEncode('café', 'latin1'), true);
+  assertEqual(canEncode('€5', 'latin1'), false);
+  assertEqual(canEncode('€5', 'utf-16le'), true);
+  assertEqual([...encodeText('€é', 'latin1')], [0x3f, 0xe9]);
+});
+
+test('Line endings - detection', () => {
+  assertEqual(detectLineEnding('a\nb\n'), 'LF');
+  assertEqual(detectLineEnding('a\r\nb\r\n'), 'CRLF');
+  assertEqual(detectLineEnding('a\rb'), 'CR');
+  assertEqual(detectLineEnding('a\r\nb\n'), 'Mixed');
+  assertEqual(detectLineEnding('a'), null);
+});
+
+test('Line endings - conversion', () => {
+  assertEqual(convertLineEndings('a\r\nb\nc\rd', 'LF'), 'a\nb\nc\nd');
+  assertEqual(convertLineEndings('a\nb\r\n', 'CRLF'), 'a\r\nb\r\n');
+  assertEqual(convertLineEndings('a\r\nb', 'CR'), 'a\rb');
+});
+
+test('Line endings - kept through an editor model set to the text\'s line break', () => {
+  // The edit @monaco-editor/react makes when given a new value, on a model
+  // that started out with other text
+  const throughModel = (initial, text) => {
+    const builder = new PieceTreeTextBufferBuilder();
+    builder.acceptChunk(initial);
+    const { textBuffer } = builder.finish().create(1);
+    const all = () => textBuffer.getRangeAt(0, textBuffer.getLength());
+    textBuffer.applyEdits([{ range: all(), text, forceMoveMarkers: true }], false, false);
+    const before = textBuffer.getValueInRange(all(), 0);
+    const lineBreak = modelLineBreak(text);
+    if (lineBreak) textBuffer.setEOL(lineBreak);
+    return [before, textBuffer.getValueInRange(all(), 0)];
+  };
+
+  assertEqual(throughModel('x\ny\n', 'a\r\nb\r\n'), ['a\nb\n', 'a\r\nb\r\n']);
+  assertEqual(throughModel('x\r\ny\r\n', 'a\nb\n'), ['a\r\nb\r\n', 'a\nb\n']);
+  assertEqual(modelLineBreak('a\rb'), null);
+  assertEqual(modelLineBreak('a\r\nb\n'), null);
+  assertEqual(modelLineBreak('a'), null);
+});
+
+test('Line endings - ignored in the line diff when asked', () => {
+  const left = 'one\r\ntwo\r\nthree = 1;\r\n'.split('\n');
+  const right = 'one\ntwo\nthree = 2;\n'.split('\n');
+
+  const strict = computeLineDiff(left, right);
+  assertEqual(strict.filter((line) => line.type === 'unchanged').length, 1);
+
+  const relaxed = computeLineDiff(left, right, { ignoreLineEndings: true });
+  assertEqual(relaxed.map((line) => line.type), ['unchanged', 'unchanged', 'modified', 'unchanged']);
+  // The \r is not an inline change either
+  assertEqual(relaxed[2].inlineChanges, { left: [{ start: 8, end: 9 }], right: [{ start: 8, end: 9 }] });
+});
+
+// ============================================================================
+// STRUCTURAL COMPARISON TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('STRUCTURAL COMPARISON TESTS');
+console.log('========================================\n');
+
+const summarize = (changes) => changes.map((change) => `${change.type} ${change.path}`);
+
+test('Structural - reordered keys and reformatting are not changes', () => {
+  const left = '{"name": "app", "deps": {"a": 1, "b": [1, 2]}}';
+  const right = JSON.stringify({ deps: { b: [1, 2], a: 1 }, name: 'app' }, null, 4);
+  assertEqual(compareStructuredTexts(left, right), []);
+});
+
+test('Structural - added, removed and changed paths with values', () => {
+  const changes = compareValues(
+    { version: '1.0', deps: { a: 1, b: 2 }, 'odd key': true },
+    { version: '1.1', deps: { b: 2, c: 3 } }
+  );
+
+  assertEqual(summarize(changes), ['changed version', 'removed deps.a', 'added deps.c', 'removed ["odd key"]']);
+  assertEqual([changes[0].oldValue, changes[0].newValue], ['1.0', '1.1']);
+  assertEqual(changes[2].newValue, 3);
+});
+
+test('Structural - arrays by index or by an id field', () => {
+  const left = { servers: [{ id: 'web', port: 80 }, { id: 'db', port: 5432 }] };
+  const right = { servers: [{ id: 'db', port: 5433 }, { id: 'web', port: 80 }, { id: 'cache', port: 6379 }] };
+
+  assertEqual(summarize(compareValues(left, right)), [
+    'changed servers[0].id',
+    'changed servers[0].port',
+    'changed servers[1].id',
+    'changed servers[1].port',
+    'added servers[2]',
+  ]);
+  const byId = compareValues(left, right, { arrayKey: 'id' });
+  assertEqual(summarize(byId), ['changed servers[id="db"].port', 'added servers[id="cache"]']);
+  assertEqual([byId[0].leftPath, byId[0].rightPath], [['servers', 1, 'port'], ['servers', 0, 'port']]);
+
+  // Without distinct ids on every element, fall back to the index
+  assertEqual(summarize(compareValues([{ id: 1 }, 2], [2, { id: 1 }], { arrayKey: 'id' })), [
+    'changed [0]',
+    'changed [1]',
+  ]);
+});
+
+test('Structural - type changes replace the whole value', () => {
+  assertEqual(summarize(compareValues({ a: { b: 1 } }, { a: [1] })), ['changed a']);
+  assertEqual(summarize(compareValues([1], { a: 1 })), ['changed (root)']);
+  assertEqual(formatPath(['a', 0, { key: 'name', id: 'x' }, 'my key']), 'a[0][name="x"]["my key"]');
+});
+
+test('Structural - values located by line', () => {
+  const text = '{\n  "a": 1,\n  "b": {\n    "c": [\n      true,\n      "x\\"}"\n    ]\n  }\n}\n';
+  const lines = locateJsonValues(text);
+
+  assertEqual(lines.get('[]'), { start: 1, end: 9 });
+  assertEqual(lines.get('["a"]'), { start: 2, end: 2 });
+  assertEqual(lines.get('["b"]'), { start: 3, end: 8 });
+  assertEqual(lines.get('["b","c",1]'), { start: 6, end: 6 });
+});
+
+test('Structural - changes carry the lines of both sides', () => {
+  const left = '{\n  "a": 1,\n  "b": 2\n}';
+  const right = '{\n  "c": 3,\n  "b": 2,\n  "a": 5\n}';
+  const changes = compareStructuredTexts(left, right);
+
+  assertEqual(summarize(changes), ['changed a', 'added c']);
+  assertEqual([changes[0].leftLines, changes[0].rightLines], [{ start: 2, end: 2 }, { start: 4, end: 4 }]);
+  // An added value reveals its parent on the side that lacks it
+  assertEqual([changes[1].leftLines, changes[1].rightLines], [{ start: 1, end: 4 }, { start: 2, end: 2 }]);
+  assertEqual(getStructuralDecorations(changes, 'left').map((d) => d.range.startLineNumber), [2]);
+  assertEqual(getStructuralDecorations(changes, 'right').map((d) => d.range.startLineNumber), [4, 2]);
+});
+
+test('Structural - invalid JSON names the side', () => {
+  let message = '';
+  try {
+    compareStructuredTexts('{}', '{"a": }');
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message.startsWith('Modified: '), true);
+});
+
+test('Structural - change tree nests by path', () => {
+  const tree = buildChangeTree(compareValues({ a: { b: 1, c: 2 }, d: 1 }, { a: { b: 2 }, d: 2 }));
+  assertEqual(
+    tree.children.map((node) => [node.name, node.children ? node.children.map((child) => child.name) : null]),
+    [['a', ['b', 'c']], ['d', null]]
+  );
+});
+
+// ============================================================================
+// YAML AND TOML TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('YAML AND TOML TESTS');
+console.log('========================================\n');
+
+test('YAML - block and flow collections and scalars', () => {
+  const [doc] = parseYaml([
+    'name: web',
+    'ports:',
+    '- 80',
+    '- "443"',
+    'labels: {app: web, tier: "front end"}',
+    'containers:',
+    '  - name: app',
+    '    args: [--a, "--b=#1"]  # flags',
+    'script: |',
+    '  echo hi',
+    '  # kept',
+    'note: >-',
+    '  one',
+    '  two',
+    'values: [0x1F, 1e3, ~, true, \'it\'\'s\']',
+    'empty:',
+  ].join('\n'));
+
+  assertEqual(doc.value, {
+    name: 'web',
+    ports: [80, '443'],
+    labels: { app: 'web', tier: 'front end' },
+    containers: [{ name: 'app', args: ['--a', '--b=#1'] }],
+    script: 'echo hi\n# kept\n',
+    note: 'one two',
+    values: [31, 1000, null, true, "it's"],
+    empty: null,
+  });
+  assertEqual(doc.locations.get('["containers",0]'), { start: 7, end: 8 });
+  assertEqual(doc.comments.get('["containers",0,"args"]'), 'flags');
+});
+
+test('YAML - anchors, merge keys and multiple documents', () => {
+  const docs = parseYaml([
+    '# first',
+    'base: &base {timeout: 30, retries: 2}',
+    'svc:',
+    '  <<: *base',
+    '  retries: 5',
+    '---',
+    'kind: Service',
+    '...',
+  ].join('\n'));
+
+  assertEqual(docs.map((doc) => doc.value), [
+    { base: { timeout: 30, retries: 2 }, svc: { retries: 5, timeout: 30 } },
+    { kind: 'Service' },
+  ]);
+  assertEqual(docs[0].comments.get('["base"]'), 'first');
+});
+
+test('YAML - errors name the line', () => {
+  let message = '';
+  try {
+    parseYaml('a: 1\n   b: 2\n');
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message.startsWith('Line 2:'), true);
+});
+
+test('TOML - tables, arrays of tables and value forms', () => {
+  const doc = parseToml([
+    '# owner',
+    'title = "A \\"quoted\\" title" # trailing',
+    '[server]',
+    'ports = [ 8000,',
+    '  8001, # second',
+    ']',
+    'limits = { cpu = 1.5, mem.max = 4_096 }',
+    'site."example.com" = true',
+    'started = 1979-05-27T07:32:00Z',
+    "path = 'C:\\dir'",
+    '[[products]]',
+    'name = "Hammer"',
+    '[[products]]',
+    'name = "Nail"',
+    '[products.size]',
+    'w = 0x10',
+  ].join('\n'));
+
+  assertEqual(doc.value, {
+    title: 'A "quoted" title',
+    server: {
+      ports: [8000, 8001],
+      limits: { cpu: 1.5, mem: { max: 4096 } },
+      site: { 'example.com': true },
+      started: '1979-05-27T07:32:00Z',
+      path: 'C:\\dir',
+    },
+    products: [{ name: 'Hammer' }, { name: 'Nail', size: { w: 16 } }],
+  });
+  assertEqual(doc.comments.get('["title"]'), 'owner\ntrailing');
+  assertEqual(doc.locations.get('["server","ports"]'), { start: 4, end: 6 });
+  assertEqual(doc.locations.get('["products",1]'), { start: 13, end: 16 });
+});
+
+test('TOML - duplicate keys are errors', () => {
+  let message = '';
+  try {
+    parseToml('a = 1\na = 2\n');
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Line 2: Duplicate key a');
+});
+
+test('Structural - comment and ordering changes only on request', () => {
+  const left = '# port\nport = 80\nhost = "a"\n';
+  const right = 'host = "a"\n# the port\nport = 80\n';
+
+  assertEqual(compareStructuredTexts(left, right, { format: 'toml' }), []);
+  const changes = compareStructuredTexts(left, right, { format: 'toml', showComments: true, showOrder: true });
+  assertEqual(summarize(changes), ['reordered (root)', 'comment port']);
+  assertEqual([changes[1].oldValue, changes[1].newValue], ['port', 'the port']);
+  assertEqual([changes[1].leftLines, changes[1].rightLines], [{ start: 2, end: 2 }, { start: 3, end: 3 }]);
+});
+
+test('Structural - YAML documents matched by kind and name', () => {
+  const left = [
+    'kind: Deployment', 'metadata: {name: web}', 'spec: {replicas: 2}',
+    '---',
+    'kind: Service', 'metadata: {name: web}',
+  ].join('\n');
+  const right = [
+    'kind: Service', 'metadata: {name: web}',
+    '---',
+    'kind: Deployment', 'metadata: {name: web}', 'spec: {replicas: 3}',
+    '---',
+    'kind: ConfigMap', 'metadata: {name: env, namespace: prod}',
+  ].join('\n');
+
+  const changes = compareStructuredTexts(left, right, { format: 'yaml' });
+  assertEqual(summarize(changes), [
+    'changed Deployment/web: spec.replicas',
+    'added ConfigMap/prod/env',
+  ]);
+  assertEqual([changes[0].leftLines, changes[0].rightLines], [{ start: 3, end: 3 }, { start: 6, end: 6 }]);
+  assertEqual(summarize(compareStructuredTexts(left, right, { format: 'yaml', showOrder: true }))[0], 'reordered (root)');
+
+  // Without kind and name, documents pair up by position
+  assertEqual(summarize(compareStructuredTexts('a: 1\n---\nb: 1', 'a: 1\n---\nb: 2', { format: 'yaml' })), [
+    'changed document 2: b',
+  ]);
+});
+
+// ============================================================================
+// IGNORE RULE TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('IGNORE RULE TESTS');
+console.log('========================================\n');
+
+test('Ignore rules - masks make matching text compare equal', () => {
+  const left = ['12:00:01 started job 1f3a', 'done'];
+  const right = ['13:45:59 started job 1f3a', 'done'];
+  const timeMask = createRule({ name: 'Times', pattern: '\\d{2}:\\d{2}:\\d{2}' });
+
+  assertEqual(computeLineDiff(left, right)[0].type, 'modified');
+  assertEqual(computeLineDiff(left, right, { ignoreRules: [timeMask] })[0].type, 'unchanged');
+  assertEqual(computeLineDiff(left, right, { ignoreRules: [{ ...timeMask, enabled: false }] })[0].type, 'modified');
+});
+
+test('Ignore rules - filters leave matching lines out of the diff', () => {
+  const left = ['a', '// old note', 'b'];
+  const right = ['a', 'b', '// new note'];
+  const comments = createRule({ type: 'filter', pattern: '^\\s*//' });
+
+  const diff = computeLineDiff(left, right, { ignoreRules: [comments] });
+  assertEqual(diff.map((entry) => [entry.type, entry.leftLineNum, entry.rightLineNum]), [
+    ['unchanged', 1, 1],
+    ['unchanged', 3, 2],
+  ]);
+});
+
+test('Ignore rules - invalid patterns are reported and skipped', () => {
+  const broken = createRule({ name: 'Broken', pattern: '(' });
+  assertEqual(ruleError(broken) !== null, true);
+  assertEqual(ruleError(createRule()), 'Empty pattern');
+  assertEqual(computeLineDiff(['a(1)'], ['a(2)'], { ignoreRules: [broken] }), computeLineDiff(['a(1)'], ['a(2)']));
+  assertEqual(describeRules([broken, createRule({ name: 'Off', pattern: 'x', enabled: false })]), [
+    'Broken: Mask matches /(/ (invalid, not applied)',
+  ]);
+});
+
+test('Ignore rules - presets add only the rules not already present', () => {
+  const preset = BUILTIN_PRESETS.find((candidate) => candidate.name === 'Package versions');
+  const once = addPresetRules([], preset);
+  assertEqual(once.map((rule) => [rule.name, rule.type, rule.enabled]), [['Version fields', 'mask', true]]);
+  assertEqual(addPresetRules(once, preset).length, 1);
+
+  const diff = computeLineDiff(['{', '  "version": "1.0.0",', '}'], ['{', '  "version": "1.2.0",', '}'], {
+    ignoreRules: once,
+  });
+  assertEqual(diff.every((entry) => entry.type === 'unchanged'), true);
+});
+
+// ============================================================================
+// FORMATTED COMPARISON TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('FORMATTED COMPARISON TESTS');
+console.log('========================================\n');
+
+test('Formatted diff - formatting-only differences are unchanged original lines', () => {
+  const left = ['const a = {x:1}', 'function f(a,', '  b) { return a+b }', 'call("hi")'];
+  const right = ['const a = { x: 1 };', 'function f(a, b) {', '  return a + b;', '}', "call('hello');"];
+  const leftFormatted = ['const a = { x: 1 };', 'function f(a, b) {', '  return a + b;', '}', "call('hi');", ''];
+  const rightFormatted = ['const a = { x: 1 };', 'function f(a, b) {', '  return a + b;', '}', "call('hello');", ''];
+
+  const diff = computeFormattedDiff(left, right, leftFormatted, rightFormatted);
+  assertEqual(
+    diff.map((entry) => [entry.type, entry.leftLineNum, entry.rightLineNum]),
+    [['unchanged', 1, 1], ['unchanged', 2, 2], ['unchanged', 3, 3], ['modified', 4, 5]]
+  );
+  // The entries carry the original text, and inline changes refer to it
+  assertEqual([diff[3].leftLine, diff[3].rightLine], ['call("hi")', "call('hello');"]);
+  assertEqual(diff[3].inlineChanges.left.length > 0, true);
+});
+
+test('Formatted diff - a change inside a wrapped line marks the original line', () => {
+  const left = ['run(alpha, beta, gamma)', 'done()'];
+  const right = ['run(alpha, beta, delta)', 'done()'];
+  const leftFormatted = ['run(', '  alpha,', '  beta,', '  gamma', ');', 'done();'];
+  const rightFormatted = ['run(', '  alpha,', '  beta,', '  delta', ');', 'done();'];
+
+  const diff = computeFormattedDiff(left, right, leftFormatted, rightFormatted);
+  assertEqual(
+    diff.map((entry) => [entry.type, entry.leftLineNum, entry.rightLineNum]),
+    [['modified', 1, 1], ['unchanged', 2, 2]]
+  );
+});
+
+// ============================================================================
+// MOVED BLOCK TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('MOVED BLOCK TESTS');
+console.log('========================================\n');
+
+const MOVE_LEFT = ['def first():', '    return load(1)', '    # done', '', 'def second():', '    return 2', 'main()'];
+const MOVE_RIGHT = ['def second():', '    return 2', 'main()', '', 'def first():', '    return load(10)', '    # done'];
+
+test('Moves - a deleted block added elsewhere is moved on both sides', () => {
+  const diff = computeLineDiff(MOVE_LEFT, MOVE_RIGHT, { detectMoves: true });
+  const moved = diff.filter((entry) => entry.type === 'moved');
+  assertEqual(
+    moved.map((entry) => [entry.leftLineNum, entry.rightLineNum, entry.counterpartLineNum]),
+    [[1, null, 5], [2, null, 6], [3, null, 7], [null, 5, 1], [null, 6, 2], [null, 7, 3]]
+  );
+  // Moved lines keep their place on one side only, so the editors still line up
+  assertEqual(computeViewZones(diff, 'left'), [{ afterLineNumber: 7, heightInLines: 4 }]);
+});
+
+test('Moves - short runs and lines without words are not moves', () => {
+  const diff = computeLineDiff(['a();', 'b();', 'x', 'y'], ['x', 'y', 'a();', 'b();'], { detectMoves: true });
+  assertEqual(diff.some((entry) => entry.type === 'moved'), false);
+
+  const braces = computeLineDiff(['}', '}', '}', 'x'], ['x', '}', '}', '}'], { detectMoves: true });
+  assertEqual(braces.some((entry) => entry.type === 'moved'), false);
+});
+
+test('Moves - only found when asked for', () => {
+  const diff = computeLineDiff(MOVE_LEFT, MOVE_RIGHT);
+  assertEqual(diff.some((entry) => entry.type === 'moved'), false);
+  assertEqual(diff.filter((entry) => entry.type === 'deleted').length > 0, true);
+});
+
+test('Moves - decorations link to the counterpart line', () => {
+  const diff = computeLineDiff(MOVE_LEFT, MOVE_RIGHT, { detectMoves: true });
+  const [first] = getLineDecorations(diff, 'right').filter((decoration) => decoration.options.className === 'diff-line-moved');
+  assertEqual(first.range.startLineNumber, 5);
+  assertEqual(first.options.glyphMarginClassName, 'diff-glyph-moved');
+  assertEqual(first.options.glyphMarginHoverMessage.value, 'Moved from line 1 (click to reveal)');
+});
+
+test('Moves - patches and folder counts treat moves as lines removed and re-added', () => {
+  const leftCode = `${MOVE_LEFT.join('\n')}\n`;
+  const rightCode = `${MOVE_RIGHT.join('\n')}\n`;
+  const patch = generateUnifiedPatch(leftCode, rightCode, 'a/f', 'b/f');
+  assertEqual(applyUnifiedPatch(leftCode, parseUnifiedPatch(patch)[0].hunks, { fuzz: 0 }).text, rightCode);
+
+  const [entry] = compareFolders([{ path: 'f.py', text: leftCode }], [{ path: 'f.py', text: rightCode }]);
+  assertEqual([entry.status, entry.moved, entry.added, entry.deleted], ['changed', 3, 1, 1]);
+});
+
+// ============================================================================
+// SYNTAX COMPARISON TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('SYNTAX COMPARISON TESTS');
+console.log('========================================\n');
+
+const syntaxSummary = (changes) =>
+  changes.map((change) => `${change.type}${change.moved ? ' (moved)' : ''} ${change.kind} ${change.name}`);
+
+test('Syntax - top-level declarations are named by kind', () => {
+  const declarations = parseDeclarations(
+    [
+      "import React from 'react';",
+      'export function render() {}',
+      'const { a, b: [c] } = obj, d = 1;',
+      'export default class {}',
+      'render();',
+    ].join('\n')
+  );
+  assertEqual(
+    declarations.map(({ kind, label, lines }) => [kind, label, lines.start]),
+    [
+      ['import', 'react', 1],
+      ['export function', 'render', 2],
+      ['const', 'a, c, d', 3],
+      ['export default', 'default', 4],
+      ['statement', 'render();', 5],
+    ]
+  );
+});
+
+test('Syntax - formatting and comments are not changes', () => {
+  const left = 'function f(a, b) {\n  return (a + b) * 2; // twice\n}\n';
+  const right = '/** Doubled sum */\nfunction f(a,b){return (a+b)*2}\n';
+  assertEqual(compareCode(left, right), []);
+});
+
+test('Syntax - moved functions are moves, not deletes and adds', () => {
+  const left = 'function a() { return 1; }\nfunction b() { return 2; }\nfunction c() { return 3; }\n';
+  const right = 'function b() { return 2; }\nfunction c() { return 3; }\nfunction a() { return 1; }\n';
+  const changes = compareCode(left, right);
+  assertEqual(syntaxSummary(changes), ['moved (moved) function a']);
+  assertEqual([changes[0].leftLines, changes[0].rightLines], [{ start: 1, end: 1 }, { start: 3, end: 3 }]);
+  assertEqual(countSyntaxChanges(changes), { moved: 1, renamed: 0, modified: 0, added: 0, removed: 0 });
+});
+
+test('Syntax - renamed declarations and identifiers', () => {
+  const left = 'function fetchUser(id) {\n  return get(id);\n}\nconst limit = 10;\n';
+  const right = 'const limit = 20;\nfunction loadUser(userId) {\n  return get(userId);\n}\nrun();\n';
+  const changes = compareCode(left, right);
+  assertEqual(syntaxSummary(changes), [
+    'modified const limit',
+    'renamed (moved) function loadUser',
+    'added statement run();',
+  ]);
+  assertEqual(changes[1].oldName, 'fetchUser');
+  assertEqual(describeRenames(changes[1].renames), 'fetchUser → loadUser, id → userId');
+
+  const inline = getSyntaxDecorations([changes[1]], 'right').filter((decoration) => decoration.options.inlineClassName);
+  assertEqual(inline[0].range, { startLineNumber: 2, startColumn: 10, endLineNumber: 2, endColumn: 18 });
+});
+
+test('Syntax - TypeScript and parse errors', () => {
+  const changes = compareCode('interface A { x: number }\n', 'interface A { x: string }\n', { language: 'typescript' });
+  assertEqual(syntaxSummary(changes), ['modified interface A']);
+
+  let message = '';
+  try {
+    compareCode('ok();', 'function (', {});
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'Modified: Unexpected token (1:10)');
+});
+
+// ============================================================================
+// COMMENT STRIPPING TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('COMMENT STRIPPING TESTS');
+console.log('========================================\n');
+
+test('Comments - line and block comments are stripped, strings are kept', () => {
+  assertEqual(
+    stripComments(['const url = "http://x"; // home', 'f(/* a */ 1); /* open', 'still comment', 'end */ g();'], 'javascript'),
+    ['const url = "http://x";', 'f( 1);', '', ' g();']
+  );
+  assertEqual(stripComments(['a { color: red; } /* note */', 'b // not a comment'], 'css'), [
+    'a { color: red; }',
+    'b // not a comment',
+  ]);
+  assertEqual(stripComments(['<p>x</p><!-- a', 'b --><p>y</p>'], 'html'), ['<p>x</p>', '<p>y</p>']);
+});
+
+test('Comments - language specific strings and markers', () => {
+  assertEqual(stripComments(['s = """', '# inside', '"""  # after', "t = '#' # c"], 'python'), [
+    's = """',
+    '# inside',
+    '"""',
+    "t = '#'",
+  ]);
+  assertEqual(stripComments(["msg: it's here # note", 'url: a#b', 'q: "x # y" # z', '# whole'], 'yaml'), [
+    "msg: it's here",
+    'url: a#b',
+    'q: "x # y"',
+    '',
+  ]);
+  assertEqual(stripComments(["fn f<'a>(x: &'a str) {} // c", '/* a /* b */ still */ x'], 'rust'), [
+    "fn f<'a>(x: &'a str) {}",
+    ' x',
+  ]);
+  assertEqual(stripComments(['x = 1; // c\r'], 'go'), ['x = 1;\r']);
+  assertEqual(supportsComments('cpp'), true);
+  assertEqual(supportsComments('markdown'), false);
+  assertEqual(stripComments(['# title'], 'markdown'), ['# title']);
+});
+
+test('Comments - lines differing only in comments compare unchanged', () => {
+  const left = ['/**', ' * Adds numbers', ' */', 'function add(a, b) {', '  return a + b; // sum', '}'];
+  const right = ['function add(a, b) {', '  // keep it simple', '  return a + b;', '}', 'add(1, 2);'];
+  const diff = computeLineDiff(left, right, { ignoreComments: true, language: 'javascript' });
+
+  assertEqual(diff.map((entry) => [entry.type, entry.leftLineNum, entry.rightLineNum]), [
+    ['unchanged', 4, 1],
+    ['unchanged', 5, 3],
+    ['unchanged', 6, 4],
+    ['added', null, 5],
+  ]);
+  assertEqual(diff[1].leftLine, '  return a + b; // sum');
+  assertEqual(computeLineDiff(left, right, { ignoreComments: true }).length > diff.length, true);
+});
+
+// ============================================================================
+// UNIFIED VIEW TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('UNIFIED VIEW TESTS');
+console.log('========================================\n');
+
+test('Unified view - old lines of a change come before the new ones', () => {
+  const diff = computeLineDiff(['a', 'b', 'c', 'd'], ['a', 'B', 'x', 'd', 'e']);
+  const rows = computeUnifiedRows(diff);
+
+  assertEqual(rows.map((row) => [row.text, row.side, row.leftLineNum, row.rightLineNum]), [
+    ['a', null, 1, 1],
+    ['b', 'left', 2, null],
+    ['c', 'left', 3, null],
+    ['B', 'right', null, 2],
+    ['x', 'right', null, 3],
+    ['d', null, 4, 4],
+    ['e', 'right', null, 5],
+  ]);
+  assertEqual(rows.every((row) => diff[row.diffIndex].type === row.type), true);
+});
+
+test('Unified view - decorations and gutter', () => {
+  const diff = computeLineDiff(['keep', 'const value = 1;\r'], ['keep', 'const value = 2;\r']);
+  const rows = computeUnifiedRows(diff);
+  const decorations = getUnifiedDecorations(rows, diff);
+
+  assertEqual(rows.map((row) => row.text), ['keep', 'const value = 1;', 'const value = 2;']);
+  assertEqual(
+    decorations.filter((d) => d.options.isWholeLine).map((d) => [d.range.startLineNumber, d.options.className, d.options.lineNumberClassName]),
+    [
+      [2, 'diff-line-modified', 'diff-number-deleted'],
+      [3, 'diff-line-modified', 'diff-number-added'],
+    ]
+  );
+  assertEqual(decorations.filter((d) => d.options.inlineClassName).map((d) => [d.range.startLineNumber, d.options.inlineClassName]), [
+    [2, 'char-deleted'],
+    [3, 'char-added'],
+  ]);
+  assertEqual(formatUnifiedGutter(rows[0], 2).replace(/\u00a0/g, '.'), '.1..1..');
+  assertEqual(formatUnifiedGutter(rows[1], 2).replace(/\u00a0/g, '.'), '.2....-');
+  assertEqual(formatUnifiedGutter(rows[2], 2).replace(/\u00a0/g, '.'), '....2.+');
+});
+
+test('Unified view - moved lines keep their counterpart', () => {
+  const diff = computeLineDiff(MOVE_LEFT, MOVE_RIGHT, { detectMoves: true });
+  const moved = computeUnifiedRows(diff).filter((row) => row.type === 'moved');
+
+  assertEqual(moved.map((row) => [row.side, row.leftLineNum, row.rightLineNum, row.counterpartLineNum]), [
+    ['left', 1, null, 5],
+    ['left', 2, null, 6],
+    ['left', 3, null, 7],
+    ['right', null, 5, 1],
+    ['right', null, 6, 2],
+    ['right', null, 7, 3],
+  ]);
+});
+
+// ============================================================================
+// FOLDING TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('FOLDING TESTS');
+console.log('========================================\n');
+
+const numberedLines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`);
+
+test('Folding - long unchanged runs fold down to the context lines', () => {
+  const left = numberedLines(40);
+  const right = [...left];
+  right[19] = 'changed';
+  const diff = computeLineDiff(left, right);
+
+  assertEqual(computeFolds(diff, 3), [
+    { key: '1:1', startIndex: 0, endIndex: 15 },
+    { key: '21:21', startIndex: 24, endIndex: 40 },
+  ]);
+  assertEqual(foldedLines(diff, computeFolds(diff, 3)[1]), {
+    key: '21:21',
+    count: 17,
+    left: { start: 24, end: 40 },
+    right: { start: 24, end: 40 },
+  });
+  // Short runs stay, and a context of 0 still keeps the lines next to a change
+  assertEqual(computeFolds(diff, 18), []);
+  assertEqual(computeFolds(diff, 0)[0], { key: '1:1', startIndex: 0, endIndex: 17 });
+});
+
+test('Folding - both sides fold the same lines around added and deleted ones', () => {
+  const left = numberedLines(30);
+  const right = [...left.slice(0, 10), 'new 1', 'new 2', ...left.slice(10, 25)];
+  const diff = computeLineDiff(left, right);
+  const ranges = computeFolds(diff, 2).map((fold) => foldedLines(diff, fold));
+
+  assertEqual(ranges.map(({ count, left: l, right: r }) => [count, l, r]), [
+    [8, { start: 1, end: 8 }, { start: 1, end: 8 }],
+    [11, { start: 13, end: 23 }, { start: 15, end: 25 }],
+  ]);
+});
+
+test('Folding - expanding shows lines at either end until too few are left', () => {
+  const left = numberedLines(100);
+  const right = [...left, 'tail'];
+  const diff = computeLineDiff(left, right);
+  const [fold] = computeFolds(diff, 3);
+
+  assertEqual(foldedLines(diff, fold).count, 97);
+  assertEqual(foldedLines(diff, fold, { top: 20, bottom: 0 }).left, { start: 21, end: 97 });
+  assertEqual(foldedLines(diff, fold, { top: 20, bottom: 20 }).left, { start: 21, end: 77 });
+  assertEqual(foldedLines(diff, fold, { top: 60, bottom: 35 }), null);
+  assertEqual(foldedLines(diff, fold, { top: Infinity, bottom: 0 }), null);
+});
+
+// ============================================================================
+// SESSION TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('SESSION TESTS');
+console.log('========================================\n');
+
+const sessionWith = (fields) => ({
+  id: 'session-1',
+  name: '',
+  updatedAt: 0,
+  left: { text: '', name: '', encoding: 'utf-8' },
+  right: { text: '', name: '', encoding: 'utf-8' },
+  options: {},
+  diffIndex: -1,
+  ...fields,
+});
+
+test('Sessions - names come from the user, the files or the first line', () => {
+  assertEqual(describeSession(sessionWith({ name: 'Release notes' })), 'Release notes');
+  assertEqual(
+    describeSession(sessionWith({ left: { text: 'a', name: 'old.js' }, right: { text: 'b', name: 'new.js' } })),
+    'old.js ↔ new.js'
+  );
+  assertEqual(describeSession(sessionWith({ left: { text: '\n  // header\ncode', name: '' } })), '// header');
+  assertEqual(describeSession(sessionWith({ left: { text: 'x'.repeat(80), name: '' } })).length, 60);
+  assertEqual(describeSession(sessionWith({})), 'Empty comparison');
+});
+
+test('Sessions - content comparison and pruning', () => {
+  const saved = sessionWith({ left: { text: 'a', name: '' }, diffIndex: 2 });
+  assertEqual(sameSessionContent(saved, { ...saved, id: 'other', name: 'Renamed', updatedAt: 5 }), true);
+  assertEqual(sameSessionContent(saved, { ...saved, diffIndex: 3 }), false);
+
+  const sessions = [3, 9, 1, 7].map((updatedAt) => sessionWith({ id: `s${updatedAt}`, updatedAt }));
+  assertEqual(sortSessions(sessions).map(({ id }) => id), ['s9', 's7', 's3', 's1']);
+  assertEqual(sessionsBeyond(sessions, 2).map(({ id }) => id), ['s3', 's1']);
+  assertEqual(sessionsBeyond(sessions).length, 0);
+});
+
+// ============================================================================
+// SHARE TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('SHARE TESTS');
+console.log('========================================\n');
+
+const SHARED = {
+  left: { text: 'const a = 1;\n// ünïcode ✓', name: 'a.js', encoding: 'utf-8' },
+  right: { text: 'const a = 2;\n'.repeat(200), name: '', encoding: 'utf-16le' },
+  options: { ignoreWhitespace: true, contextLines: 5 },
+  diffIndex: 3,
+};
+
+await testAsync('Share - links round-trip the comparison through the fragment', async () => {
+  const fragment = await encodeShareFragment(SHARED);
+  assertEqual(fragment.startsWith('#share='), true);
+  assertEqual(/^#share=[A-Za-z0-9_-]+$/.test(fragment), true);
+  // Deflate makes repetitive text much shorter than the text itself
+  assertEqual(fragment.length < SHARED.right.text.length / 4, true);
+  assertEqual(await decodeShareFragment(fragment), SHARED);
+  assertEqual(await decodeShareFragment('#L12'), null);
+  assertEqual(await decodeShareFragment(''), null);
+});
+
+await testAsync('Share - damaged links are reported', async () => {
+  const fragment = await encodeShareFragment(SHARED);
+  let message = null;
+  try {
+    await decodeShareFragment(fragment.slice(0, fragment.length / 2));
+  } catch (error) {
+    message = error.message;
+  }
+  assertEqual(message, 'The shared link is damaged or incomplete');
+});
+
+test('Share - session files', () => {
+  assertEqual(parseComparison(serializeComparison(SHARED)), SHARED);
+  assertEqual(isSessionFile('Review.WEBMERGE.json'), true);
+  assertEqual(isSessionFile('package.json'), false);
+  assertEqual(parseComparison('{"format":"webmerge-session","version":1,"left":{"text":"x"}}'), {
+    left: { text: 'x', name: '', encoding: 'utf-8' },
+    right: { text: '', name: '', encoding: 'utf-8' },
+    options: {},
+    diffIndex: -1,
+  });
+
+  const errorOf = (json) => {
+    try {
+      parseComparison(json);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  assertEqual(errorOf('{"name":"webmerge"}'), 'Not a WebMerge session');
+  assertEqual(errorOf('not json'), 'Not a WebMerge session: invalid JSON');
+  assertEqual(errorOf('{"format":"webmerge-session","version":99}'), 'This session was saved by a newer version of WebMerge');
+});
+
+test('Share - unknown encodings and odd names fall back to the defaults', () => {
+  const json = JSON.stringify({
+    format: 'webmerge-session',
+    version: 1,
+    left: { text: 'a', name: 'a.txt', encoding: { id: 'utf-8' } },
+    right: { text: 'b', name: 42, encoding: 'ebcdic' },
+  });
+  const { left, right } = parseComparison(json);
+  assertEqual([left.name, left.encoding, right.name, right.encoding], ['a.txt', 'utf-8', '', 'utf-8']);
+  assertEqual(parseComparison(serializeComparison(SHARED)).right.encoding, 'utf-16le');
+});
+
+test('Share - only known, valid options are opened', () => {
+  const rule = { id: 'rule-1', name: 'Dates', type: 'mask', pattern: '\\d+', enabled: true };
+  const options = {
+    ignoreCase: true,
+    ignoreWhitespace: 'yes',
+    algorithm: 'histogram',
+    inlineGranularity: 'line',
+    similarityThreshold: 2,
+    contextLines: 7,
+    unknownOption: true,
+    ignoreRules: [rule, { ...rule, id: 'rule-2', pattern: '(' }, { ...rule, type: 'eval' }, null, { ...rule, extra: 1 }],
+  };
+  const json = serializeComparison({ ...SHARED, options });
+  assertEqual(parseComparison(json).options, {
+    ignoreCase: true,
+    algorithm: 'histogram',
+    contextLines: 7,
+    ignoreRules: [rule, rule],
+  });
+  assertEqual(parseComparison(serializeComparison({ ...SHARED, options: { ignoreRules: null } })).options, {});
+  assertEqual(parseComparison(serializeComparison({ ...SHARED, options: { contextLines: 2.5 } })).options, {});
+});
+
+// ============================================================================
+// SOURCES TESTS
+// ============================================================================
+
+console.log('\n========================================');
+console.log('SOURCES TESTS');
+console.log('========================================\n');
+
+test('Sources - left and right URLs from the query string', () => {
+  assertEqual(
+    readSourceParams('?left=http%3A%2F%2Flocalhost%3A3000%2Fa.js&right=https://example.com/b.js'),
+    { left: 'http://localhost:3000/a.js', right: 'https://example.com/b.js' }
+  );
+  assertEqual(readSourceParams('?right=b.txt&left='), { right: 'b.txt' });
+  assertEqual(readSourceParams(''), {});
+});
+
+test('Sources - file names from URLs', () => {
+  assertEqual(fileNameFromUrl('https://raw.githubusercontent.com/o/r/main/src/app.js'), 'app.js');
+  assertEqual(fileNameFromUrl('http://localhost:3000/docs/My%20Notes.md?raw=1'), 'My Notes.md');
+  assertEqual(fileNameFromUrl('http://localhost:3000/config/'), 'config');
+  assertEqual(fileNameFromUrl('https://example.com/'), 'example.com');
+});
+
+await testAsync('Sources - fetching reports why a URL could not be loaded', async () => {
+  const errorOf = async (url, respond) => {
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (resource) => respond(resource);
+    try {
+      await fetchSource(url, 'http://localhost:5173/');
+      return null;
+    } catch (error) {
+      return error.message;
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+  };
+  assertEqual(await errorOf('http://[bad', () => new Response('')), 'Not a valid URL');
+  assertEqual(
+    await errorOf('/missing.txt', () => new Response('', { status: 404, statusText: 'Not Found' })),
+    'The server answered 404 Not Found'
+  );
+  assertEqual(
+    await errorOf('https://example.com/a.txt', () => Promise.reject(new TypeError('Failed to fetch'))),
+    'The server could not be reached or does not allow requests from this page'
+  );
+
+  // Relative URLs are resolved against the page
+  let requested = null;
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (resource) => {
+    requested = String(resource);
+    return new Response('hello\n');
+  };
+  try {
+    const file = await fetchSource(' src/main.js ', 'http://localhost:5173/app/');
+    assertEqual(requested, 'http://localhost:5173/app/src/main.js');
+    assertEqual(file.name, 'main.js');
+    assertEqual(await file.text(), 'hello\n');
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
 // ============================================================================
 // SUMMARY
 // ============================================================================
@@ -0,0 +1,109 @@
+// Diff worker: runs the line diff (plus hex diffs, three-way merges, folder
+// comparisons, structural comparisons and syntax-aware code comparisons) off
+// the main thread, deriving the editor decorations and view zones as well.
+// Every request carries an id that is echoed back so the UI can ignore
+// results for inputs that have since changed.
+
+import {
+  computeLineDiff,
+  computeFormattedDiff,
+  getLineDecorations,
+  getInlineDecorations,
+  computeViewZones,
+} from './diff.js';
+import { computeMerge3, renderMergeResult } from './merge.js';
+import { compareFolders } from './folder.js';
+import { computeHexDiff } from './binary.js';
+import { compareStructuredTexts, getStructuralDecorations } from './structural.js';
+import { compareCode, getSyntaxDecorations } from './syntax.js';
+
+// A diff together with the editor decorations and view zones it needs
+function withDecorations(diff) {
+  return {
+    diff,
+    leftDecorations: [...getLineDecorations(diff, 'left'), ...getInlineDecorations(diff, 'left')],
+    rightDecorations: [...getLineDecorations(diff, 'right'), ...getInlineDecorations(diff, 'right')],
+    leftViewZones: computeViewZones(diff, 'left'),
+    rightViewZones: computeViewZones(diff, 'right'),
+  };
+}
+
+// With leftFormatted and rightFormatted (the texts as prettier formats them),
+// the diff is that of the formatted texts, reported on the original lines
+function runDiff({ leftCode, rightCode, leftFormatted, rightFormatted, options: viewOptions }) {
+  const options = { ...viewOptions, detectMoves: true };
+  const leftLines = leftCode.split('\n');
+  const rightLines = rightCode.split('\n');
+  if (leftFormatted === undefined) return withDecorations(computeLineDiff(leftLines, rightLines, options));
+  return withDecorations(
+    computeFormattedDiff(leftLines, rightLines, leftFormatted.split('\n'), rightFormatted.split('\n'), options)
+  );
+}
+
+function runHexDiff({ leftBytes, rightBytes }) {
+  return withDecorations(computeHexDiff(leftBytes, rightBytes));
+}
+
+function runMerge({ baseCode, mineCode, theirsCode, options }) {
+  const chunks = computeMerge3(baseCode.split('\n'), mineCode.split('\n'), theirsCode.split('\n'), options);
+  return {
+    chunks,
+    text: renderMergeResult(chunks),
+    conflictCount: chunks.filter((chunk) => chunk.type === 'conflict').length,
+  };
+}
+
+function runFolderCompare({ leftFiles, rightFiles, options }) {
+  return { entries: compareFolders(leftFiles, rightFiles, options) };
+}
+
+// Text that does not parse is an expected state while editing, so it comes
+// back as parseError alongside an empty result rather than as a failure
+function runStructuralDiff({ leftCode, rightCode, options }) {
+  try {
+    const changes = compareStructuredTexts(leftCode, rightCode, options);
+    return {
+      changes,
+      leftDecorations: getStructuralDecorations(changes, 'left'),
+      rightDecorations: getStructuralDecorations(changes, 'right'),
+      parseError: null,
+    };
+  } catch (error) {
+    return { changes: [], leftDecorations: [], rightDecorations: [], parseError: error.message };
+  }
+}
+
+// Code that does not parse comes back as parseError, as for structural diffs
+function runSyntaxDiff({ leftCode, rightCode, options }) {
+  try {
+    const changes = compareCode(leftCode, rightCode, options);
+    return {
+      changes,
+      leftDecorations: getSyntaxDecorations(changes, 'left'),
+      rightDecorations: getSyntaxDecorations(changes, 'right'),
+      parseError: null,
+    };
+  } catch (error) {
+    return { changes: [], leftDecorations: [], rightDecorations: [], parseError: error.message };
+  }
+}
+
+const RUNNERS = {
+  diff: runDiff,
+  hex: runHexDiff,
+  merge: runMerge,
+  folders: runFolderCompare,
+  structural: runStructuralDiff,
+  syntax: runSyntaxDiff,
+};
+
+self.onmessage = (e) => {
+  const { id, kind } = e.data;
+
+  try {
+    const result = RUNNERS[kind](e.data);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
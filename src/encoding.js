@@ -0,0 +1,133 @@
+// Text encodings and line endings of opened files. Files are decoded with the
+// encoding detected from their bytes and encoded the same way when saved, so
+// a UTF-16 or Latin-1 file round-trips unchanged. Line endings stay in the
+// text as they were read. A Monaco model rewrites every line break put into
+// it to its own, so each editor's model is given the text's line break (see
+// modelLineBreak); text with mixed endings comes back with the model's.
+
+export const DEFAULT_ENCODING = 'utf-8';
+
+export const ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'utf-8-bom', label: 'UTF-8 BOM' },
+  { id: 'utf-16le', label: 'UTF-16 LE' },
+  { id: 'utf-16be', label: 'UTF-16 BE' },
+  { id: 'latin1', label: 'Latin-1' },
+];
+
+export const LINE_ENDINGS = { LF: '\n', CRLF: '\r\n', CR: '\r' };
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8-bom', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] },
+];
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+// The encoding announced by a byte order mark, or null without one
+export function detectBom(bytes) {
+  const match = BYTE_ORDER_MARKS.find((bom) => bom.bytes.every((byte, i) => bytes[i] === byte));
+  return match ? match.encoding : null;
+}
+
+function decodeLatin1(bytes) {
+  let text = '';
+  // Chunked so that fromCharCode never gets more arguments than it accepts
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+// Decode a file's bytes as { text, encoding }. A byte order mark decides the
+// encoding; otherwise the bytes are UTF-8 if they are valid UTF-8 and
+// Latin-1 if not. The byte order mark is not part of the text.
+export function decodeText(bytes) {
+  const bom = detectBom(bytes);
+  if (bom) {
+    const label = bom === 'utf-8-bom' ? 'utf-8' : bom;
+    return { text: new TextDecoder(label).decode(bytes), encoding: bom };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch {
+    return { text: decodeLatin1(bytes), encoding: 'latin1' };
+  }
+}
+
+// Whether every character of the text exists in the encoding. Only Latin-1
+// is limited; the others cover all of Unicode.
+export function canEncode(text, encoding) {
+  return encoding !== 'latin1' || !/[^\u0000-\u00ff]/.test(text);
+}
+
+function encodeUtf16(text, littleEndian) {
+  const bytes = new Uint8Array(2 + text.length * 2);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 0xfeff, littleEndian);
+  for (let i = 0; i < text.length; i++) {
+    view.setUint16(2 + i * 2, text.charCodeAt(i), littleEndian);
+  }
+  return bytes;
+}
+
+// Encode text for saving, with a byte order mark where the encoding has one.
+// Characters Latin-1 cannot hold are written as '?'.
+export function encodeText(text, encoding = DEFAULT_ENCODING) {
+  switch (encoding) {
+    case 'utf-8-bom': {
+      const body = new TextEncoder().encode(text);
+      const bytes = new Uint8Array(body.length + 3);
+      bytes.set([0xef, 0xbb, 0xbf]);
+      bytes.set(body, 3);
+      return bytes;
+    }
+    case 'utf-16le':
+      return encodeUtf16(text, true);
+    case 'utf-16be':
+      return encodeUtf16(text, false);
+    case 'latin1':
+      return Uint8Array.from(text, (char) => (char.charCodeAt(0) > 0xff ? 0x3f : char.charCodeAt(0)));
+    default:
+      return new TextEncoder().encode(text);
+  }
+}
+
+export function encodingLabel(encoding) {
+  const match = ENCODINGS.find((entry) => entry.id === encoding);
+  return match ? match.label : encoding;
+}
+
+// ============================================================================
+// LINE ENDINGS
+// ============================================================================
+
+// 'LF', 'CRLF' or 'CR' when the text uses one kind of line ending, 'Mixed'
+// when it uses several and null when it has no line breaks at all
+export function detectLineEnding(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const counts = {
+    LF: (text.match(/\n/g) || []).length - crlf,
+    CRLF: crlf,
+    CR: (text.match(/\r/g) || []).length - crlf,
+  };
+  const used = Object.keys(counts).filter((eol) => counts[eol] > 0);
+  if (used.length === 0) return null;
+  return used.length === 1 ? used[0] : 'Mixed';
+}
+
+// Rewrite every line break as the given kind ('LF', 'CRLF' or 'CR')
+export function convertLineEndings(text, eol) {
+  return text.replace(/\r\n|\r|\n/g, LINE_ENDINGS[eol]);
+}
+
+// The line break an editor model must use to give the text back as it is:
+// '\n' or '\r\n', or null when the text has none or several kinds, or CR
+// alone, which Monaco models cannot use
+export function modelLineBreak(text) {
+  const ending = detectLineEnding(text);
+  return ending === 'LF' || ending === 'CRLF' ? LINE_ENDINGS[ending] : null;
+}
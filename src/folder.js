@@ -0,0 +1,233 @@
+// Folder comparison: reads two trees of files (dropped folders, folder
+// pickers or zip/tar archives), pairs the files by relative path and
+// summarises each pair for the folder tree view. Text files are compared line
+// by line, binary files by size and SHA-256 hash.
+
+import { computeLineDiff } from './diff.js';
+import { languageFromPath } from './comments.js';
+import { isArchiveFile, readArchive } from './archive.js';
+import { isBinaryData } from './binary.js';
+import { decodeText } from './encoding.js';
+
+// Entries that are never worth comparing
+const IGNORED_NAMES = new Set(['.git', '.DS_Store', '__MACOSX', 'Thumbs.db']);
+
+const lineCount = (text) => (text === '' ? 0 : text.replace(/\n$/, '').split('\n').length);
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+// Drop the top-level folder when every path starts with the same one, so that
+// app-1.2/src/a.js and app-1.3/src/a.js pair up. Returns { root, files }.
+export function stripCommonRoot(files) {
+  const roots = new Set(files.map((file) => file.path.split('/')[0]));
+  const [root] = roots;
+  if (roots.size !== 1 || files.some((file) => !file.path.includes('/'))) {
+    return { root: '', files };
+  }
+  return {
+    root,
+    files: files.map((file) => ({ ...file, path: file.path.slice(root.length + 1) })),
+  };
+}
+
+const byteSize = (file) => {
+  if (!file) return null;
+  return file.binary ? file.size : new TextEncoder().encode(file.text).length;
+};
+
+// Compare a binary file with the file at the same path on the other side
+function compareBinary(entry, leftFile, rightFile) {
+  const same = leftFile && rightFile && leftFile.binary && rightFile.binary &&
+    leftFile.size === rightFile.size && leftFile.hash === rightFile.hash;
+  return {
+    ...entry,
+    status: same ? 'identical' : entry.status,
+    binary: true,
+    leftSize: byteSize(leftFile),
+    rightSize: byteSize(rightFile),
+  };
+}
+
+// Compare two file lists by path. Files are { path, text } or, for binary
+// files, { path, binary: true, size, hash }. Each result is
+// { path, status, added, deleted, modified } where status is 'identical',
+// 'changed', 'left-only' or 'right-only' and the counts come from the line
+// diff under the given options. Binary results have no line counts but are
+// marked binary, with leftSize and rightSize. Results are sorted by path.
+export function compareFolders(leftFiles, rightFiles, options = {}) {
+  const left = new Map(leftFiles.map((file) => [file.path, file]));
+  const right = new Map(rightFiles.map((file) => [file.path, file]));
+  const paths = [...new Set([...left.keys(), ...right.keys()])].sort();
+
+  return paths.map((path) => {
+    const leftFile = left.get(path);
+    const rightFile = right.get(path);
+    const entry = { path, status: 'changed', added: 0, deleted: 0, modified: 0, moved: 0 };
+
+    if (!leftFile) entry.status = 'right-only';
+    if (!rightFile) entry.status = 'left-only';
+    if ((leftFile && leftFile.binary) || (rightFile && rightFile.binary)) {
+      return compareBinary(entry, leftFile, rightFile);
+    }
+
+    if (!leftFile) return { ...entry, added: lineCount(rightFile.text) };
+    if (!rightFile) return { ...entry, deleted: lineCount(leftFile.text) };
+
+    const leftText = leftFile.text;
+    const rightText = rightFile.text;
+    entry.status = 'identical';
+    if (leftText === rightText) return entry;
+
+    // The tree shows moved lines; a moved line has an entry on each side but
+    // counts once. Comments are ignored as the file's extension writes them.
+    const diffOptions = { ...options, language: languageFromPath(path), detectMoves: true };
+    computeLineDiff(leftText.split('\n'), rightText.split('\n'), diffOptions).forEach((line) => {
+      if (line.type !== 'unchanged' && (line.type !== 'moved' || line.leftLineNum !== null)) entry[line.type]++;
+    });
+    if (entry.added + entry.deleted + entry.modified + entry.moved > 0) entry.status = 'changed';
+    return entry;
+  });
+}
+
+// Number of files per status
+export function countByStatus(entries) {
+  const counts = { identical: 0, changed: 0, 'left-only': 0, 'right-only': 0 };
+  entries.forEach((entry) => counts[entry.status]++);
+  return counts;
+}
+
+// Nest comparison entries into folders for display:
+// { name, path, children } for folders and { name, path, entry } for files.
+// A folder's status is 'identical' only when everything below it is.
+// Folders come before files, each sorted by name.
+export function buildFileTree(entries) {
+  const root = { name: '', path: '', status: 'identical', children: [] };
+
+  entries.forEach((entry) => {
+    const parts = entry.path.split('/');
+    let folder = root;
+    parts.slice(0, -1).forEach((name, depth) => {
+      let child = folder.children.find((node) => node.children && node.name === name);
+      if (!child) {
+        child = { name, path: parts.slice(0, depth + 1).join('/'), status: 'identical', children: [] };
+        folder.children.push(child);
+      }
+      folder = child;
+    });
+    folder.children.push({ name: parts[parts.length - 1], path: entry.path, entry });
+  });
+
+  const finish = (folder) => {
+    folder.children.sort((a, b) => {
+      if (!a.children !== !b.children) return a.children ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+    folder.children.forEach((node) => {
+      const status = node.children ? finish(node) : node.entry.status;
+      if (status !== 'identical') folder.status = 'changed';
+    });
+    return folder.status;
+  };
+  finish(root);
+
+  return root;
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+const isIgnoredPath = (path) => path.split('/').some((name) => IGNORED_NAMES.has(name));
+
+async function sha256(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return [...digest].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// A folder file from its contents: decoded text with the encoding it was
+// read in, or size and hash if binary
+export async function toFolderFile(path, bytes) {
+  if (isBinaryData(bytes)) {
+    return { path, binary: true, size: bytes.length, hash: await sha256(bytes) };
+  }
+  return { path, ...decodeText(bytes) };
+}
+
+// All files below a FileSystemDirectoryEntry, as [{ path, file }]
+async function readDirectoryEntry(entry, prefix) {
+  if (IGNORED_NAMES.has(entry.name)) return [];
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ path: prefix + entry.name, file }];
+  }
+
+  // readEntries returns the children in batches until it returns none
+  const reader = entry.createReader();
+  const children = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    children.push(...batch);
+  }
+
+  const nested = await Promise.all(
+    children.map((child) => readDirectoryEntry(child, `${prefix}${entry.name}/`))
+  );
+  return nested.flat();
+}
+
+// Whether a drop holds a folder, several files or an archive rather than
+// a single file to open in an editor
+export function isFolderDrop(dataTransfer) {
+  const hasDirectory = [...(dataTransfer.items || [])].some((item) => {
+    const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+    return entry !== null && entry.isDirectory;
+  });
+  const files = [...dataTransfer.files];
+  return hasDirectory || files.length > 1 || files.some((file) => isArchiveFile(file.name));
+}
+
+// Collect the files of a drop: folders are walked recursively, plain files
+// keep their names. The entries must be taken before the first await, while
+// the DataTransfer is still readable.
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return [...dataTransfer.files].map((file) => ({ path: file.name, file }));
+  }
+
+  const nested = await Promise.all(entries.map((entry) => readDirectoryEntry(entry, '')));
+  return nested.flat();
+}
+
+// Files chosen with <input type="file" webkitdirectory>
+export function collectInputFiles(fileList) {
+  return [...fileList].map((file) => ({ path: file.webkitRelativePath || file.name, file }));
+}
+
+// Load a picked folder (or a single archive) as { name, files }, with files
+// as described for compareFolders and the common top-level folder stripped
+export async function loadFolder(picked) {
+  let name;
+  let files;
+
+  if (picked.length === 1 && isArchiveFile(picked[0].file.name)) {
+    name = picked[0].file.name;
+    const entries = await readArchive(name, new Uint8Array(await picked[0].file.arrayBuffer()));
+    files = await Promise.all(entries.map((entry) => toFolderFile(entry.path, entry.data)));
+  } else {
+    files = await Promise.all(
+      picked.map(async ({ path, file }) => toFolderFile(path, new Uint8Array(await file.arrayBuffer())))
+    );
+  }
+
+  const stripped = stripCommonRoot(files.filter((file) => !isIgnoredPath(file.path)));
+  return {
+    name: name || stripped.root || `${stripped.files.length} files`,
+    files: stripped.files,
+  };
+}
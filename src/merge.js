@@ -0,0 +1,246 @@
+// Three-way merge (diff3) built on the line matcher of diff.js, plus helpers for the
+// conflict markers it writes into the merge result
+
+import { computeMatches } from './diff.js';
+
+export const CONFLICT_MARKERS = {
+  start: '<<<<<<<',
+  base: '|||||||',
+  separator: '=======',
+  end: '>>>>>>>',
+};
+
+const DEFAULT_LABELS = { mine: 'Mine', base: 'Base', theirs: 'Theirs' };
+
+// ============================================================================
+// MERGE ENGINE
+// ============================================================================
+
+// Map each base line index to the line it is unchanged as on the other side.
+// Only the matched lines matter here, so the merge does without the pairing,
+// inline changes and moves of a full diff.
+function unchangedMapping(baseLines, otherLines, algorithm) {
+  const mapping = new Map();
+  computeMatches(baseLines, otherLines, algorithm).forEach(({ leftIndex, rightIndex }) => {
+    mapping.set(leftIndex, rightIndex);
+  });
+  return mapping;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+// Classify one unstable region the way diff3 does
+function mergeRegion(base, mine, theirs) {
+  if (sameLines(mine, base)) return { type: 'resolved', source: 'theirs', lines: theirs };
+  if (sameLines(theirs, base)) return { type: 'resolved', source: 'mine', lines: mine };
+  if (sameLines(mine, theirs)) return { type: 'resolved', source: 'both', lines: mine };
+  return { type: 'conflict', base, mine, theirs };
+}
+
+// Merge mine and theirs against their common base. Returns an ordered list of
+// chunks: { type: 'stable', lines }, { type: 'resolved', source, lines } where
+// source is 'mine', 'theirs' or 'both' (the same change on both sides), and
+// { type: 'conflict', base, mine, theirs } for overlapping changes.
+export function computeMerge3(baseLines, mineLines, theirsLines, options = {}) {
+  // Line matching for a merge is always exact; the ignore options only make
+  // sense for viewing a diff
+  const mineMap = unchangedMapping(baseLines, mineLines, options.algorithm);
+  const theirsMap = unchangedMapping(baseLines, theirsLines, options.algorithm);
+
+  const chunks = [];
+  const pushChunk = (chunk) => {
+    const last = chunks[chunks.length - 1];
+    if (chunk.type !== 'conflict' && chunk.lines.length === 0) return;
+    if (chunk.type === 'stable' && last && last.type === 'stable') {
+      last.lines.push(...chunk.lines);
+    } else {
+      chunks.push(chunk);
+    }
+  };
+
+  let o = 0;
+  let a = 0;
+  let b = 0;
+
+  while (o < baseLines.length || a < mineLines.length || b < theirsLines.length) {
+    // Base line that is still in place on both sides
+    if (o < baseLines.length && mineMap.get(o) === a && theirsMap.get(o) === b) {
+      pushChunk({ type: 'stable', lines: [baseLines[o]] });
+      o++;
+      a++;
+      b++;
+      continue;
+    }
+
+    // Find the next base line that is unchanged on both sides
+    let next = o;
+    while (
+      next < baseLines.length &&
+      !(mineMap.has(next) && theirsMap.has(next) && mineMap.get(next) >= a && theirsMap.get(next) >= b)
+    ) {
+      next++;
+    }
+
+    const mineEnd = next < baseLines.length ? mineMap.get(next) : mineLines.length;
+    const theirsEnd = next < baseLines.length ? theirsMap.get(next) : theirsLines.length;
+
+    pushChunk(mergeRegion(
+      baseLines.slice(o, next),
+      mineLines.slice(a, mineEnd),
+      theirsLines.slice(b, theirsEnd)
+    ));
+
+    o = next;
+    a = mineEnd;
+    b = theirsEnd;
+  }
+
+  return chunks;
+}
+
+// Render merge chunks as text, writing diff3-style markers for conflicts
+export function renderMergeResult(chunks, labels = DEFAULT_LABELS) {
+  const lines = [];
+  chunks.forEach((chunk) => {
+    if (chunk.type === 'conflict') {
+      lines.push(`${CONFLICT_MARKERS.start} ${labels.mine}`);
+      lines.push(...chunk.mine);
+      lines.push(`${CONFLICT_MARKERS.base} ${labels.base}`);
+      lines.push(...chunk.base);
+      lines.push(CONFLICT_MARKERS.separator);
+      lines.push(...chunk.theirs);
+      lines.push(`${CONFLICT_MARKERS.end} ${labels.theirs}`);
+    } else {
+      lines.push(...chunk.lines);
+    }
+  });
+  return lines.join('\n');
+}
+
+// ============================================================================
+// CONFLICT MARKERS
+// ============================================================================
+
+const isMarker = (line, marker) => line === marker || line.startsWith(`${marker} `);
+
+// Find the conflict blocks in a text. Line numbers are 1-based and inclusive;
+// base is null when the block has no ||||||| section.
+export function findConflicts(text) {
+  const lines = text.split('\n');
+  const conflicts = [];
+  let current = null;
+  let section = null;
+
+  lines.forEach((line, index) => {
+    const lineNum = index + 1;
+    if (isMarker(line, CONFLICT_MARKERS.start)) {
+      current = { startLine: lineNum, mine: [], base: null, theirs: [] };
+      section = 'mine';
+    } else if (!current) {
+      return;
+    } else if (section === 'mine' && isMarker(line, CONFLICT_MARKERS.base)) {
+      current.base = [];
+      current.baseLine = lineNum;
+      section = 'base';
+    } else if (section !== 'theirs' && line === CONFLICT_MARKERS.separator) {
+      current.separatorLine = lineNum;
+      section = 'theirs';
+    } else if (section === 'theirs' && isMarker(line, CONFLICT_MARKERS.end)) {
+      current.endLine = lineNum;
+      conflicts.push(current);
+      current = null;
+      section = null;
+    } else {
+      current[section].push(line);
+    }
+  });
+
+  return conflicts;
+}
+
+// Split a file containing conflict markers back into its sides. Text outside
+// the conflict blocks is shared by all sides. hasBase is false when no block
+// has a ||||||| section; base then holds only the shared text. Labels are
+// taken from the first block's markers.
+export function parseConflictedFile(text) {
+  const lines = text.split('\n');
+  const conflicts = findConflicts(text);
+  const hasBase = conflicts.some((conflict) => conflict.base !== null);
+  const sides = { mine: [], base: [], theirs: [] };
+  const labels = { mine: '', base: '', theirs: '' };
+  const labelOf = (line) => line.slice(CONFLICT_MARKERS.start.length).trim();
+
+  if (conflicts.length > 0) {
+    const first = conflicts[0];
+    labels.mine = labelOf(lines[first.startLine - 1]);
+    labels.theirs = labelOf(lines[first.endLine - 1]);
+    if (first.baseLine) labels.base = labelOf(lines[first.baseLine - 1]);
+  }
+
+  let pos = 0;
+  conflicts.forEach((conflict) => {
+    const shared = lines.slice(pos, conflict.startLine - 1);
+    sides.mine.push(...shared, ...conflict.mine);
+    sides.base.push(...shared, ...(conflict.base || []));
+    sides.theirs.push(...shared, ...conflict.theirs);
+    pos = conflict.endLine;
+  });
+  const rest = lines.slice(pos);
+  sides.mine.push(...rest);
+  sides.base.push(...rest);
+  sides.theirs.push(...rest);
+
+  return {
+    mine: sides.mine.join('\n'),
+    base: sides.base.join('\n'),
+    hasBase,
+    theirs: sides.theirs.join('\n'),
+    labels,
+    conflictCount: conflicts.length,
+  };
+}
+
+// Replace a conflict block with the chosen side: 'mine', 'theirs' or 'both'
+export function resolveConflict(text, conflict, choice) {
+  const lines = text.split('\n');
+  const replacement =
+    choice === 'mine' ? conflict.mine :
+    choice === 'theirs' ? conflict.theirs :
+    [...conflict.mine, ...conflict.theirs];
+
+  lines.splice(conflict.startLine - 1, conflict.endLine - conflict.startLine + 1, ...replacement);
+  return lines.join('\n');
+}
+
+// Whole-line Monaco decorations for the conflict blocks in the merge result
+export function getConflictDecorations(conflicts) {
+  const decorations = [];
+  const decorate = (lineNum, className) => {
+    decorations.push({
+      range: { startLineNumber: lineNum, startColumn: 1, endLineNumber: lineNum, endColumn: 1 },
+      options: {
+        isWholeLine: true,
+        className,
+        glyphMarginClassName: 'merge-glyph-conflict',
+      },
+    });
+  };
+
+  conflicts.forEach((conflict) => {
+    const mineEnd = conflict.baseLine || conflict.separatorLine;
+    for (let line = conflict.startLine; line <= conflict.endLine; line++) {
+      if (line === conflict.startLine || line === conflict.baseLine ||
+          line === conflict.separatorLine || line === conflict.endLine) {
+        decorate(line, 'merge-conflict-marker');
+      } else if (line < mineEnd) {
+        decorate(line, 'merge-conflict-mine');
+      } else if (line < conflict.separatorLine) {
+        decorate(line, 'merge-conflict-base');
+      } else {
+        decorate(line, 'merge-conflict-theirs');
+      }
+    }
+  });
+
+  return decorations;
+}
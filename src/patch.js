@@ -0,0 +1,385 @@
+// Unified diff (patch) generation, parsing and application
+
+import { computeLineDiff } from './diff.js';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const NO_NEWLINE = '\\ No newline at end of file';
+
+// Default number of context lines that may be ignored at each end of a hunk
+export const DEFAULT_PATCH_FUZZ = 2;
+// Default number of unchanged lines shown around each change (diff -U)
+export const DEFAULT_CONTEXT_LINES = 3;
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+// Split file content into lines, noting whether the last line lacks a line break
+function splitFileLines(code) {
+  if (code === '') return { lines: [], noNewline: false };
+  const endsWithNewline = code.endsWith('\n');
+  return {
+    lines: (endsWithNewline ? code.slice(0, -1) : code).split('\n'),
+    noNewline: !endsWithNewline,
+  };
+}
+
+// Turn diff entries into one op per line of either file:
+// { type: ' ' | '-' | '+', leftIndex, rightIndex, ignorable }.
+// Lines the diff skipped (ignored blank lines) are filled back in and marked
+// ignorable: they are shown inside a hunk but never start one.
+function diffToOps(diff, leftCount, rightCount) {
+  const ops = [];
+  let l = 0;
+  let r = 0;
+
+  const fillGap = (leftEnd, rightEnd) => {
+    while (l < leftEnd && r < rightEnd) {
+      ops.push({ type: ' ', leftIndex: l++, rightIndex: r++, ignorable: true });
+    }
+    while (l < leftEnd) ops.push({ type: '-', leftIndex: l++, rightIndex: null, ignorable: true });
+    while (r < rightEnd) ops.push({ type: '+', leftIndex: null, rightIndex: r++, ignorable: true });
+  };
+
+  diff.forEach((entry) => {
+    const leftIndex = entry.leftLineNum === null ? null : entry.leftLineNum - 1;
+    const rightIndex = entry.rightLineNum === null ? null : entry.rightLineNum - 1;
+    fillGap(leftIndex === null ? l : leftIndex, rightIndex === null ? r : rightIndex);
+
+    if (entry.type === 'unchanged') {
+      ops.push({ type: ' ', leftIndex, rightIndex, ignorable: false });
+    } else {
+      if (leftIndex !== null) ops.push({ type: '-', leftIndex, rightIndex: null, ignorable: false });
+      if (rightIndex !== null) ops.push({ type: '+', leftIndex: null, rightIndex, ignorable: false });
+    }
+    if (leftIndex !== null) l = leftIndex + 1;
+    if (rightIndex !== null) r = rightIndex + 1;
+  });
+  fillGap(leftCount, rightCount);
+
+  return ops;
+}
+
+// Generate a unified diff that `git apply` and `patch -p0` accept. options
+// holds the diff options (ignoreWhitespace etc.) and contextLines (-U).
+// Context lines are taken from the left file; changes hidden by the diff
+// options are left out. Returns '' when there is nothing to patch.
+export function generateUnifiedPatch(
+  leftCode,
+  rightCode,
+  leftFileName = 'original',
+  rightFileName = 'modified',
+  options = {}
+) {
+  const { contextLines = DEFAULT_CONTEXT_LINES, ...diffOptions } = options;
+  const context = Math.max(0, contextLines);
+  const left = splitFileLines(leftCode);
+  const right = splitFileLines(rightCode);
+  const diff = computeLineDiff(left.lines, right.lines, diffOptions);
+  const lastLeft = left.lines.length - 1;
+  const lastRight = right.lines.length - 1;
+
+  // A context line must also agree on its line break; when only one side's
+  // last line lacks one, that line changes
+  const ops = [];
+  diffToOps(diff, left.lines.length, right.lines.length).forEach((op) => {
+    const leftMissing = op.leftIndex === lastLeft && left.noNewline;
+    const rightMissing = op.rightIndex === lastRight && right.noNewline;
+    if (op.type === ' ' && leftMissing !== rightMissing) {
+      ops.push({ type: '-', leftIndex: op.leftIndex, rightIndex: null, ignorable: false });
+      ops.push({ type: '+', leftIndex: null, rightIndex: op.rightIndex, ignorable: false });
+    } else {
+      ops.push(op);
+    }
+  });
+
+  // Line positions before each op, for the hunk headers
+  const leftBefore = [];
+  const rightBefore = [];
+  let leftPos = 0;
+  let rightPos = 0;
+  ops.forEach((op) => {
+    leftBefore.push(leftPos);
+    rightBefore.push(rightPos);
+    if (op.type !== '+') leftPos++;
+    if (op.type !== '-') rightPos++;
+  });
+
+  // Walk from a change until `context` unchanged lines separate it from any
+  // other change; patch(1) expects the same context before and after
+  const reach = (i, step) => {
+    let j = i;
+    let seen = 0;
+    while (seen < context && j + step >= 0 && j + step < ops.length) {
+      j += step;
+      seen = ops[j].type === ' ' ? seen + 1 : 0;
+    }
+    return j;
+  };
+
+  // Windows of context around each change; windows closer than 2 * context
+  // lines apart share a hunk
+  const ranges = [];
+  ops.forEach((op, i) => {
+    if (op.type === ' ' || op.ignorable) return;
+    const start = reach(i, -1);
+    const end = reach(i, 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  if (ranges.length === 0) return '';
+
+  const formatRange = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+  const output = [`--- ${leftFileName}`, `+++ ${rightFileName}`];
+
+  ranges.forEach(({ start, end }) => {
+    const hunkOps = ops.slice(start, end + 1);
+    const oldCount = hunkOps.filter((op) => op.type !== '+').length;
+    const newCount = hunkOps.filter((op) => op.type !== '-').length;
+    // An empty side is addressed by the line before it
+    const oldStart = oldCount > 0 ? leftBefore[start] + 1 : leftBefore[start];
+    const newStart = newCount > 0 ? rightBefore[start] + 1 : rightBefore[start];
+    output.push(`@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`);
+
+    const emit = (op) => {
+      if (op.type === '+') {
+        output.push(`+${right.lines[op.rightIndex]}`);
+        if (op.rightIndex === lastRight && right.noNewline) output.push(NO_NEWLINE);
+      } else {
+        output.push(`${op.type}${left.lines[op.leftIndex]}`);
+        if (op.leftIndex === lastLeft && left.noNewline) output.push(NO_NEWLINE);
+      }
+    };
+
+    // Within each run of changes, list the removals before the additions
+    let i = 0;
+    while (i < hunkOps.length) {
+      if (hunkOps[i].type === ' ') {
+        emit(hunkOps[i++]);
+        continue;
+      }
+      const run = [];
+      while (i < hunkOps.length && hunkOps[i].type !== ' ') run.push(hunkOps[i++]);
+      run.filter((op) => op.type === '-').forEach(emit);
+      run.filter((op) => op.type === '+').forEach(emit);
+    }
+  });
+
+  return `${output.join('\n')}\n`;
+}
+
+// Generate one git-style patch covering several files. Each file is
+// { path, leftCode, rightCode, language } with null for the side it is
+// missing from and language, when given, replacing the options' language for
+// that file; files without changes are left out. A file that only exists on
+// one side is added or deleted whole, whatever the diff options.
+export function generateMultiFilePatch(files, options = {}) {
+  const { contextLines } = options;
+
+  return files.map(({ path, leftCode, rightCode, language = options.language }) => {
+    const oneSided = leftCode === null || rightCode === null;
+    const body = generateUnifiedPatch(
+      leftCode ?? '',
+      rightCode ?? '',
+      leftCode === null ? '/dev/null' : `a/${path}`,
+      rightCode === null ? '/dev/null' : `b/${path}`,
+      oneSided ? { contextLines } : { ...options, language }
+    );
+    if (body === '') return '';
+
+    const header = [`diff --git a/${path} b/${path}`];
+    if (leftCode === null) header.push('new file mode 100644');
+    if (rightCode === null) header.push('deleted file mode 100644');
+    return `${header.join('\n')}\n${body}`;
+  }).join('');
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Strip the a/ b/ prefixes git adds and any trailing timestamp
+function cleanFileName(name) {
+  const path = name.split('\t')[0].trim();
+  if (path === '/dev/null') return path;
+  return path.replace(/^[ab]\//, '');
+}
+
+// Parse a unified diff into files and hunks. Each hunk records its header
+// numbers and its lines as { type: ' ' | '-' | '+', text }; oldNoNewline and
+// newNoNewline are set when the last line of that side has no line break.
+export function parseUnifiedPatch(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+  let lastType = null;
+
+  const startFile = (oldFile = '', newFile = '') => {
+    file = { oldFile, newFile, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  lines.forEach((line, index) => {
+    // Inside a hunk the line counts decide what belongs to it
+    if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+      const type = line[0] === undefined ? ' ' : line[0];
+      if (type === ' ' || type === '-' || type === '+') {
+        hunk.lines.push({ type, text: line.slice(1) });
+        if (type !== '+') oldRemaining--;
+        if (type !== '-') newRemaining--;
+        lastType = type;
+        return;
+      }
+      if (line !== NO_NEWLINE) {
+        throw new Error(`Line ${index + 1}: hunk ended early, expected ${oldRemaining} more original and ${newRemaining} more modified lines`);
+      }
+    }
+
+    if (line === NO_NEWLINE && hunk) {
+      if (lastType !== '+') hunk.oldNoNewline = true;
+      if (lastType !== '-') hunk.newNoNewline = true;
+    } else if (line.startsWith('diff --git ')) {
+      startFile();
+    } else if (line.startsWith('--- ')) {
+      if (!file || file.hunks.length > 0 || file.oldFile) startFile();
+      file.oldFile = cleanFileName(line.slice(4));
+    } else if (line.startsWith('+++ ') && file) {
+      file.newFile = cleanFileName(line.slice(4));
+    } else if (line.startsWith('@@')) {
+      const match = HUNK_HEADER.exec(line);
+      if (!match) throw new Error(`Line ${index + 1}: malformed hunk header "${line}"`);
+      if (!file) startFile();
+      hunk = {
+        oldStart: Number(match[1]),
+        oldCount: match[2] === undefined ? 1 : Number(match[2]),
+        newStart: Number(match[3]),
+        newCount: match[4] === undefined ? 1 : Number(match[4]),
+        lines: [],
+        oldNoNewline: false,
+        newNoNewline: false,
+      };
+      file.hunks.push(hunk);
+      oldRemaining = hunk.oldCount;
+      newRemaining = hunk.newCount;
+      lastType = null;
+    }
+  });
+
+  if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+    throw new Error('Patch ends in the middle of a hunk');
+  }
+
+  return files.filter((f) => f.hunks.length > 0);
+}
+
+// ============================================================================
+// APPLYING
+// ============================================================================
+
+const linesEqual = (lines, pos, pattern) => pattern.every((line, i) => lines[pos + i] === line);
+
+// Find pattern in lines at or after minPos, trying the positions closest to
+// the expected one first. Returns -1 when it does not occur.
+function findNearest(lines, pattern, expected, minPos) {
+  const maxPos = lines.length - pattern.length;
+  if (maxPos < minPos) return -1;
+  const start = Math.min(Math.max(expected, minPos), maxPos);
+
+  for (let distance = 0; ; distance++) {
+    const before = start - distance;
+    const after = start + distance;
+    if (before < minPos && after > maxPos) return -1;
+    if (after <= maxPos && linesEqual(lines, after, pattern)) return after;
+    if (distance > 0 && before >= minPos && linesEqual(lines, before, pattern)) return before;
+  }
+}
+
+// Leading and trailing context lines of a hunk
+function contextLength(hunkLines, fromEnd) {
+  let count = 0;
+  const ordered = fromEnd ? [...hunkLines].reverse() : hunkLines;
+  while (count < ordered.length && ordered[count].type === ' ') count++;
+  return count;
+}
+
+// Apply the hunks of one file to text, like `patch`: each hunk is looked for
+// near its stated position (shifted by the hunks before it), then anywhere
+// after the previous hunk, and finally with up to `fuzz` context lines
+// ignored at each end. Returns the patched text and one result per hunk:
+// { applied, line, offset, fuzz } or { applied: false, reason }.
+export function applyUnifiedPatch(text, hunks, { fuzz = DEFAULT_PATCH_FUZZ } = {}) {
+  // Lines added to an empty file get a final line break unless marked otherwise
+  let endsWithNewline = text === '' || text.endsWith('\n');
+  const lines = text === '' ? [] : (endsWithNewline ? text.slice(0, -1) : text).split('\n');
+  const results = [];
+  let delta = 0;
+  let minPos = 0;
+
+  hunks.forEach((hunk) => {
+    const leading = contextLength(hunk.lines, false);
+    const trailing = contextLength(hunk.lines, true);
+    let applied = null;
+
+    for (let level = 0; level <= fuzz && !applied; level++) {
+      const skipStart = Math.min(level, leading);
+      const skipEnd = Math.min(level, trailing);
+      if (level > 0 && skipStart === 0 && skipEnd === 0) break;
+
+      const body = hunk.lines.slice(skipStart, hunk.lines.length - skipEnd);
+      const oldLines = body.filter((l) => l.type !== '+').map((l) => l.text);
+      const newLines = body.filter((l) => l.type !== '-').map((l) => l.text);
+      // Fuzz must leave something to anchor on
+      if (oldLines.length === 0 && hunk.oldCount > 0) break;
+      // A hunk with no original lines (oldCount 0) inserts after line oldStart
+      const expected = (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + skipStart + delta;
+      const pos = findNearest(lines, oldLines, expected, minPos);
+
+      if (pos !== -1) {
+        lines.splice(pos, oldLines.length, ...newLines);
+        applied = {
+          applied: true,
+          line: pos - skipStart + 1,
+          offset: pos - expected,
+          fuzz: level,
+        };
+        delta += newLines.length - oldLines.length;
+        minPos = pos + newLines.length;
+
+        // The last line of the file decides whether it ends with a line break
+        if (pos + newLines.length === lines.length && skipEnd === 0) {
+          if (hunk.newNoNewline) endsWithNewline = false;
+          else if (hunk.oldNoNewline) endsWithNewline = true;
+        }
+      }
+    }
+
+    if (applied) {
+      results.push(applied);
+      return;
+    }
+
+    const newLines = hunk.lines.filter((l) => l.type !== '-').map((l) => l.text);
+    const alreadyApplied = newLines.length > 0 && findNearest(lines, newLines, hunk.newStart - 1, 0) !== -1;
+    results.push({
+      applied: false,
+      reason: alreadyApplied
+        ? 'Changes appear to be applied already'
+        : `Context not found near line ${hunk.oldStart}`,
+    });
+  });
+
+  const patched = lines.join('\n');
+  return {
+    text: endsWithNewline && lines.length > 0 ? `${patched}\n` : patched,
+    results,
+  };
+}
@@ -0,0 +1,93 @@
+// Ignore rules: user-defined regular expressions for differences that do not
+// matter. A 'mask' rule replaces what it matches with the same placeholder on
+// both sides, so lines that only differ in, say, a timestamp compare equal; a
+// 'filter' rule leaves the lines it matches out of the diff, as ignored blank
+// lines are. Rules are plain data ({ id, name, type, pattern, enabled }) so
+// they travel with the diff options to the worker.
+
+export const RULE_TYPES = [
+  { id: 'mask', label: 'Mask matches' },
+  { id: 'filter', label: 'Ignore lines' },
+];
+
+// What masked text is replaced with before lines are compared
+const MASK = '…';
+
+export const BUILTIN_PRESETS = [
+  {
+    name: 'Timestamps and IDs',
+    rules: [
+      { name: 'ISO timestamps', type: 'mask', pattern: '\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?' },
+      { name: 'Times of day', type: 'mask', pattern: '\\b\\d{1,2}:\\d{2}:\\d{2}(\\.\\d+)?\\b' },
+      { name: 'UUIDs', type: 'mask', pattern: '\\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\\b' },
+      { name: 'Hex addresses', type: 'mask', pattern: '\\b0x[0-9a-fA-F]+\\b' },
+    ],
+  },
+  {
+    name: 'Package versions',
+    rules: [{ name: 'Version fields', type: 'mask', pattern: '"version"\\s*:\\s*".*?"' }],
+  },
+  {
+    name: 'Comment lines',
+    rules: [{ name: 'Comment lines', type: 'filter', pattern: '^\\s*(//|#|/\\*|\\*|<!--)' }],
+  },
+  {
+    name: 'Debug logging',
+    rules: [{ name: 'Debug and trace lines', type: 'filter', pattern: '\\b(DEBUG|TRACE)\\b' }],
+  },
+];
+
+let createdRules = 0;
+
+// A new rule, enabled, with the given fields
+export function createRule(fields = {}) {
+  createdRules++;
+  return { id: `rule-${Date.now()}-${createdRules}`, name: '', type: 'mask', pattern: '', enabled: true, ...fields };
+}
+
+// Why a rule cannot be used, or null when it can
+export function ruleError(rule) {
+  if (!rule.pattern) return 'Empty pattern';
+  try {
+    new RegExp(rule.pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// The enabled, valid rules as regular expressions: { masks, filters }
+export function compileIgnoreRules(rules = []) {
+  const usable = rules.filter((rule) => rule.enabled && !ruleError(rule));
+  return {
+    masks: usable.filter((rule) => rule.type === 'mask').map((rule) => new RegExp(rule.pattern, 'g')),
+    filters: usable.filter((rule) => rule.type === 'filter').map((rule) => new RegExp(rule.pattern)),
+  };
+}
+
+export function applyMasks(line, masks) {
+  return masks.reduce((text, mask) => text.replace(mask, MASK), line);
+}
+
+export function isFilteredLine(line, filters) {
+  return filters.some((filter) => filter.test(line));
+}
+
+// Add a preset's rules to a rule list as new rules, skipping any the list
+// already has
+export function addPresetRules(rules, preset) {
+  const added = preset.rules
+    .filter((rule) => !rules.some((existing) => existing.type === rule.type && existing.pattern === rule.pattern))
+    .map(({ name, type, pattern }) => createRule({ name, type, pattern }));
+  return [...rules, ...added];
+}
+
+// One line per enabled rule, for reports
+export function describeRules(rules = []) {
+  return rules
+    .filter((rule) => rule.enabled)
+    .map((rule) => {
+      const type = RULE_TYPES.find((candidate) => candidate.id === rule.type).label;
+      return `${rule.name || 'Unnamed rule'}: ${type} /${rule.pattern}/${ruleError(rule) ? ' (invalid, not applied)' : ''}`;
+    });
+}
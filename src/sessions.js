@@ -0,0 +1,110 @@
+// Saved comparisons: the texts, file names, options and diff position of a
+// comparison, kept in IndexedDB so they survive a reload. Sessions are plain
+// data, { id, name, updatedAt, left, right, options, diffIndex } with left and
+// right as { text, name, encoding }; an empty name means the user has not
+// named the session and describeSession supplies one.
+
+const DB_NAME = 'webmerge';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+// Only this many sessions are kept, the most recently saved ones
+export const MAX_SESSIONS = 20;
+
+const NAME_LENGTH = 60;
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+let createdSessions = 0;
+
+export function createSessionId() {
+  createdSessions++;
+  return `session-${Date.now()}-${createdSessions}`;
+}
+
+// The name of a session: the one it was given, else its file names, else its
+// first non-blank line
+export function describeSession(session) {
+  if (session.name) return session.name;
+  const fileNames = [session.left.name, session.right.name].filter(Boolean);
+  if (fileNames.length > 0) return fileNames.join(' ↔ ');
+
+  const firstLine = `${session.left.text}\n${session.right.text}`.split('\n').find((line) => line.trim());
+  if (!firstLine) return 'Empty comparison';
+  const text = firstLine.trim();
+  return text.length > NAME_LENGTH ? `${text.slice(0, NAME_LENGTH - 1)}…` : text;
+}
+
+// Whether two sessions hold the same comparison, whatever their ids and names
+export function sameSessionContent(a, b) {
+  const content = ({ left, right, options, diffIndex }) => JSON.stringify([left, right, options, diffIndex]);
+  return content(a) === content(b);
+}
+
+// Most recently saved first
+export function sortSessions(sessions) {
+  return [...sessions].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// The sessions that do not fit in the most recent max
+export function sessionsBeyond(sessions, max = MAX_SESSIONS) {
+  return sortSessions(sessions).slice(max);
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+function promised(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let database = null;
+
+function openDatabase() {
+  if (!database) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    database = promised(request);
+  }
+  return database;
+}
+
+// Run one request against the sessions store
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  return promised(makeRequest(db.transaction(STORE, mode).objectStore(STORE)));
+}
+
+export async function listSessions() {
+  return sortSessions(await withStore('readonly', (store) => store.getAll()));
+}
+
+export function loadSession(id) {
+  return withStore('readonly', (store) => store.get(id));
+}
+
+export function deleteSession(id) {
+  return withStore('readwrite', (store) => store.delete(id));
+}
+
+export function deleteAllSessions() {
+  return withStore('readwrite', (store) => store.clear());
+}
+
+// Add or replace a session, then drop the ones beyond MAX_SESSIONS
+export async function saveSession(session) {
+  await withStore('readwrite', (store) => store.put(session));
+  const stale = sessionsBeyond(await listSessions());
+  await Promise.all(stale.map(({ id }) => deleteSession(id)));
+}
+
+export async function renameSession(id, name) {
+  const session = await loadSession(id);
+  if (session) await withStore('readwrite', (store) => store.put({ ...session, name }));
+}
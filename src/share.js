@@ -0,0 +1,152 @@
+// Shareable comparisons. A comparison is the content of a saved session
+// (sessions.js): { left, right, options, diffIndex } with left and right as
+// { text, name, encoding }. It is shared either as a link, deflated and
+// base64url-encoded into the URL fragment so it never reaches a server, or as
+// a self-contained .webmerge.json file that can be dropped back in.
+
+import { RULE_TYPES, ruleError } from './rules.js';
+import { ENCODINGS, DEFAULT_ENCODING } from './encoding.js';
+
+const FORMAT = 'webmerge-session';
+const VERSION = 1;
+
+// The fragment of a share link is this followed by the encoded comparison
+const FRAGMENT_PREFIX = '#share=';
+
+export const SESSION_FILE_EXTENSION = '.webmerge.json';
+
+// Links longer than this get cut off by some browsers and chat apps
+export const SHARE_LINK_WARN_LENGTH = 8000;
+
+// Bytes per String.fromCharCode call, to stay clear of argument limits
+const BASE64_CHUNK = 0x8000;
+
+const isBoolean = (value) => typeof value === 'boolean';
+const isNumberIn = (min, max) => (value) => typeof value === 'number' && value >= min && value <= max;
+
+// The diff options a comparison may carry, each with the check its value must
+// pass; the ranges are those of the options panel
+const OPTION_CHECKS = {
+  ignoreWhitespace: isBoolean,
+  ignoreCase: isBoolean,
+  ignoreBlankLines: isBoolean,
+  ignoreLineEndings: isBoolean,
+  ignoreComments: isBoolean,
+  compareFormatted: isBoolean,
+  showOnlyChanges: isBoolean,
+  algorithm: (value) => value === 'myers' || value === 'histogram',
+  inlineGranularity: (value) => value === 'word' || value === 'char',
+  similarityThreshold: isNumberIn(0, 1),
+  contextLines: (value) => Number.isInteger(value) && isNumberIn(0, 99)(value),
+};
+
+const isIgnoreRule = (rule) =>
+  Boolean(rule) &&
+  typeof rule.id === 'string' &&
+  typeof rule.name === 'string' &&
+  RULE_TYPES.some(({ id }) => id === rule.type) &&
+  typeof rule.pattern === 'string' &&
+  isBoolean(rule.enabled) &&
+  !ruleError(rule);
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+async function transform(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// ============================================================================
+// COMPARISONS
+// ============================================================================
+
+// The comparison as the JSON document of a .webmerge.json file
+export function serializeComparison({ left, right, options, diffIndex }) {
+  return JSON.stringify({ format: FORMAT, version: VERSION, left, right, options, diffIndex }, null, 2);
+}
+
+// The options of a comparison that are known and valid; the others are left
+// out so they keep their current values when it is opened. Ignore rules keep
+// only their own fields, and those that are malformed or invalid are dropped.
+function readOptions(options) {
+  if (!options || typeof options !== 'object') return {};
+  const known = Object.keys(OPTION_CHECKS)
+    .filter((key) => OPTION_CHECKS[key](options[key]))
+    .map((key) => [key, options[key]]);
+  if (Array.isArray(options.ignoreRules)) {
+    const rules = options.ignoreRules
+      .filter(isIgnoreRule)
+      .map(({ id, name, type, pattern, enabled }) => ({ id, name, type, pattern, enabled }));
+    known.push(['ignoreRules', rules]);
+  }
+  return Object.fromEntries(known);
+}
+
+// The comparison in a .webmerge.json document or share link. Throws when the
+// text is not one.
+export function parseComparison(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('Not a WebMerge session: invalid JSON');
+  }
+  if (!data || data.format !== FORMAT) throw new Error('Not a WebMerge session');
+  if (data.version > VERSION) throw new Error('This session was saved by a newer version of WebMerge');
+
+  // An encoding this version does not know falls back to the default
+  const encoding = (value) => (ENCODINGS.some(({ id }) => id === value) ? value : DEFAULT_ENCODING);
+  const side = (value) => ({
+    text: String(value?.text ?? ''),
+    name: typeof value?.name === 'string' ? value.name : '',
+    encoding: encoding(value?.encoding),
+  });
+  return {
+    left: side(data.left),
+    right: side(data.right),
+    options: readOptions(data.options),
+    diffIndex: Number.isInteger(data.diffIndex) ? data.diffIndex : -1,
+  };
+}
+
+export function isSessionFile(fileName) {
+  return fileName.toLowerCase().endsWith(SESSION_FILE_EXTENSION);
+}
+
+// The URL fragment (starting with #) that carries the comparison
+export async function encodeShareFragment(comparison) {
+  const compact = JSON.stringify(JSON.parse(serializeComparison(comparison)));
+  const bytes = await transform(new TextEncoder().encode(compact), new CompressionStream('deflate-raw'));
+  return `${FRAGMENT_PREFIX}${toBase64Url(bytes)}`;
+}
+
+// The comparison in a URL fragment, or null when the fragment is not a share
+// link. Throws when it is one but cannot be read.
+export async function decodeShareFragment(fragment) {
+  if (!fragment.startsWith(FRAGMENT_PREFIX)) return null;
+  let json;
+  try {
+    const compressed = fromBase64Url(fragment.slice(FRAGMENT_PREFIX.length));
+    const bytes = await transform(compressed, new DecompressionStream('deflate-raw'));
+    json = new TextDecoder().decode(bytes);
+  } catch {
+    throw new Error('The shared link is damaged or incomplete');
+  }
+  return parseComparison(json);
+}
@@ -0,0 +1,47 @@
+// Texts loaded from elsewhere than the keyboard or a dropped file: URLs, such
+// as a local dev server or a raw file on a git host, and the ?left=<url> and
+// ?right=<url> query parameters that let other tools link to a comparison of
+// two of them.
+
+// The panes that can be given a URL in the query string
+const SOURCE_PARAMS = ['left', 'right'];
+
+// The URLs given in a query string, as { left, right } with the missing ones left out
+export function readSourceParams(search) {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(SOURCE_PARAMS.filter((side) => params.get(side)).map((side) => [side, params.get(side)]));
+}
+
+// A file name for a URL: the last segment of its path, else its host
+export function fileNameFromUrl(url) {
+  try {
+    const { pathname, hostname } = new URL(url);
+    const segment = pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment) : hostname;
+  } catch {
+    return url;
+  }
+}
+
+// The contents of a URL, relative ones taken from baseUrl, as a File named
+// after it. Throws with a reason fit to show in the pane; browsers do not say
+// why a request failed, so a network error names the likely causes.
+export async function fetchSource(url, baseUrl) {
+  let resolved;
+  try {
+    resolved = new URL(url.trim(), baseUrl);
+  } catch {
+    throw new Error('Not a valid URL');
+  }
+
+  let response;
+  try {
+    response = await fetch(resolved);
+  } catch {
+    throw new Error('The server could not be reached or does not allow requests from this page');
+  }
+  if (!response.ok) {
+    throw new Error(`The server answered ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+  }
+  return new File([await response.blob()], fileNameFromUrl(resolved.href));
+}
@@ -0,0 +1,425 @@
+// Structural comparison of data files (JSON, YAML and TOML). Both sides are
+// parsed and compared value by value: objects by key, arrays by index or by an
+// id field, so reordered keys, reformatting and comments are not changes
+// unless asked for. Every change carries its path and the lines it spans in
+// each text, for the change tree and the editors.
+
+import { parseYaml } from './yaml.js';
+import { parseToml } from './toml.js';
+
+export const STRUCTURAL_FORMATS = [
+  { id: 'json', label: 'JSON' },
+  { id: 'yaml', label: 'YAML' },
+  { id: 'toml', label: 'TOML' },
+];
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+const WHITESPACE = /[ \t\r\n]*/y;
+const LITERAL = /[^\s,\]}]+/y;
+
+// The lines of every value in a JSON text, as a Map from pathKey(path) to
+// { start, end }. A member's value starts on the line of its key. The text
+// must already be known to be valid JSON.
+export function locateJsonValues(text) {
+  const locations = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    WHITESPACE.lastIndex = pos;
+    const spaces = WHITESPACE.exec(text)[0];
+    for (let i = 0; i < spaces.length; i++) {
+      if (spaces[i] === '\n') line++;
+    }
+    pos += spaces.length;
+  };
+
+  // Strings cannot span lines, so they never move the line count
+  const readString = () => {
+    const start = pos;
+    pos++;
+    while (text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (path, startLine) => {
+    skipWhitespace();
+    const start = startLine || line;
+    const open = text[pos];
+
+    if (open === '{' || open === '[') {
+      pos++;
+      skipWhitespace();
+      for (let index = 0; text[pos] !== (open === '{' ? '}' : ']'); index++) {
+        skipWhitespace();
+        if (open === '{') {
+          const keyLine = line;
+          const key = readString();
+          skipWhitespace();
+          pos++; // :
+          readValue([...path, key], keyLine);
+        } else {
+          readValue([...path, index]);
+        }
+        skipWhitespace();
+        if (text[pos] === ',') pos++;
+      }
+      pos++;
+    } else if (open === '"') {
+      readString();
+    } else {
+      LITERAL.lastIndex = pos;
+      pos += LITERAL.exec(text)[0].length;
+    }
+
+    locations.set(pathKey(path), { start, end: line });
+  };
+
+  readValue([]);
+  return locations;
+}
+
+// JSON has no comments and a single document
+const parseJson = (text) => [{ value: JSON.parse(text), locations: locateJsonValues(text), comments: new Map() }];
+
+// Each parser returns the documents of a text as [{ value, locations, comments }]
+const PARSERS = {
+  json: parseJson,
+  yaml: parseYaml,
+  toml: (text) => [parseToml(text)],
+};
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+export const pathKey = (path) => JSON.stringify(path);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+const isIdentifier = (key) => /^[A-Za-z_$][\w$]*$/.test(key);
+
+const isDocument = (segment) => typeof segment === 'object' && segment.document !== undefined;
+
+// One step of a display path: .key, ["odd key"], [3], [id="a"], or the name
+// of a document in a multi-document stream
+function formatSegment(segment, first) {
+  if (typeof segment === 'number') return `[${segment}]`;
+  if (isDocument(segment)) return segment.document;
+  if (typeof segment === 'object') return `[${segment.key}=${JSON.stringify(segment.id)}]`;
+  if (isIdentifier(segment)) return first ? segment : `.${segment}`;
+  return `[${JSON.stringify(segment)}]`;
+}
+
+// A display path such as servers[id="web"].ports[0], or
+// Deployment/web: spec.replicas inside a document; the root is '(root)'
+export function formatPath(segments) {
+  if (segments.length === 0) return '(root)';
+  return segments
+    .map((segment, i) => {
+      const text = formatSegment(segment, i === 0 || isDocument(segments[i - 1]));
+      return isDocument(segment) && i < segments.length - 1 ? `${text}: ` : text;
+    })
+    .join('');
+}
+
+// The id of every element when the array can be matched by that field: all
+// elements are objects whose ids are distinct strings or numbers
+function arrayIds(array, arrayKey) {
+  if (!arrayKey) return null;
+  const ids = array.map((item) => (isObject(item) ? item[arrayKey] : undefined));
+  const valid = ids.every((id) => typeof id === 'string' || typeof id === 'number');
+  return valid && new Set(ids).size === ids.length ? ids : null;
+}
+
+function deepEqual(left, right) {
+  if (Object.is(left, right) || left === right) return true;
+  if (!isContainer(left) || !isContainer(right) || Array.isArray(left) !== Array.isArray(right)) {
+    return false;
+  }
+  const leftKeys = Object.keys(left);
+  const rightKeys = Object.keys(right);
+  return leftKeys.length === rightKeys.length &&
+    leftKeys.every((key) => Object.prototype.hasOwnProperty.call(right, key) && deepEqual(left[key], right[key]));
+}
+
+const sameOrder = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+// Compare two parsed values. Returns changes as
+// { type, segments, path, leftPath, rightPath, oldValue, newValue } where
+// type is 'added', 'removed' or 'changed', segments make up the display path
+// and leftPath/rightPath locate the value in each document. An added value's
+// leftPath is its parent (and a removed value's rightPath), so both editors
+// can still reveal where it belongs. Array elements are matched by index, or
+// by options.arrayKey when every element of both arrays has a distinct one.
+//
+// With options.showOrder, keys (and id-matched elements) in a different order
+// are a 'reordered' change listing both orders. With options.comments
+// ({ left, right } maps from pathKey to comment text), different comments on
+// a value are a 'comment' change.
+export function compareValues(left, right, options = {}) {
+  const { arrayKey = '', showOrder = false, comments = null } = options;
+  const changes = [];
+
+  const report = (type, segments, leftPath, rightPath, oldValue, newValue) => {
+    changes.push({ type, segments, path: formatPath(segments), leftPath, rightPath, oldValue, newValue });
+  };
+
+  const commentAt = (map, path) => map.get(pathKey(path)) || '';
+
+  const walk = (l, r, segments, leftPath, rightPath) => {
+    if (comments) {
+      const before = commentAt(comments.left, leftPath);
+      const after = commentAt(comments.right, rightPath);
+      if (before !== after) report('comment', segments, leftPath, rightPath, before, after);
+    }
+    // Equal values can still differ in order or comments further down
+    if (!showOrder && !comments && deepEqual(l, r)) return;
+
+    if (isObject(l) && isObject(r)) {
+      const keys = [...new Set([...Object.keys(l), ...Object.keys(r)])];
+      if (showOrder) {
+        const leftOrder = Object.keys(l).filter((key) => Object.prototype.hasOwnProperty.call(r, key));
+        const rightOrder = Object.keys(r).filter((key) => Object.prototype.hasOwnProperty.call(l, key));
+        if (!sameOrder(leftOrder, rightOrder)) report('reordered', segments, leftPath, rightPath, leftOrder, rightOrder);
+      }
+      keys.forEach((key) => {
+        const inLeft = Object.prototype.hasOwnProperty.call(l, key);
+        const inRight = Object.prototype.hasOwnProperty.call(r, key);
+        const child = [...segments, key];
+        if (!inLeft) report('added', child, leftPath, [...rightPath, key], undefined, r[key]);
+        else if (!inRight) report('removed', child, [...leftPath, key], rightPath, l[key], undefined);
+        else walk(l[key], r[key], child, [...leftPath, key], [...rightPath, key]);
+      });
+      return;
+    }
+
+    if (Array.isArray(l) && Array.isArray(r)) {
+      const leftIds = arrayIds(l, arrayKey);
+      const rightIds = arrayIds(r, arrayKey);
+
+      if (leftIds && rightIds) {
+        const rightIndex = new Map(rightIds.map((id, i) => [id, i]));
+        if (showOrder) {
+          const leftOrder = leftIds.filter((id) => rightIndex.has(id));
+          const rightOrder = rightIds.filter((id) => leftIds.includes(id));
+          if (!sameOrder(leftOrder, rightOrder)) report('reordered', segments, leftPath, rightPath, leftOrder, rightOrder);
+        }
+        leftIds.forEach((id, i) => {
+          const child = [...segments, { key: arrayKey, id }];
+          if (!rightIndex.has(id)) {
+            report('removed', child, [...leftPath, i], rightPath, l[i], undefined);
+          } else {
+            const j = rightIndex.get(id);
+            walk(l[i], r[j], child, [...leftPath, i], [...rightPath, j]);
+          }
+        });
+        const leftSet = new Set(leftIds);
+        rightIds.forEach((id, j) => {
+          if (!leftSet.has(id)) {
+            report('added', [...segments, { key: arrayKey, id }], leftPath, [...rightPath, j], undefined, r[j]);
+          }
+        });
+        return;
+      }
+
+      for (let i = 0; i < Math.max(l.length, r.length); i++) {
+        const child = [...segments, i];
+        if (i >= l.length) report('added', child, leftPath, [...rightPath, i], undefined, r[i]);
+        else if (i >= r.length) report('removed', child, [...leftPath, i], rightPath, l[i], undefined);
+        else walk(l[i], r[i], child, [...leftPath, i], [...rightPath, i]);
+      }
+      return;
+    }
+
+    if (!deepEqual(l, r)) report('changed', segments, leftPath, rightPath, l, r);
+  };
+
+  walk(left, right, [], [], []);
+  return changes;
+}
+
+// The lines of a value, or of the closest enclosing value that has some
+// (values inside flow collections and merged keys have none of their own)
+function locate(locations, path) {
+  if (!path) return null;
+  for (let length = path.length; length >= 0; length--) {
+    const lines = locations.get(pathKey(path.slice(0, length)));
+    if (lines) return lines;
+  }
+  return null;
+}
+
+// Kubernetes-style identity of a document: kind and metadata.name, with the
+// namespace in between when there is one
+function documentId(value) {
+  if (!isObject(value) || !isObject(value.metadata)) return null;
+  const { kind, metadata } = value;
+  if (typeof kind !== 'string' || typeof metadata.name !== 'string') return null;
+  return [kind, metadata.namespace, metadata.name].filter(Boolean).join('/');
+}
+
+const distinctIds = (ids) => ids.every((id) => id !== null) && new Set(ids).size === ids.length;
+
+// Compare two parsed documents, prefixing the paths with prefix and
+// attaching each side's lines
+function compareDocumentPair(left, right, prefix, options) {
+  const comments = options.showComments ? { left: left.comments, right: right.comments } : null;
+  return compareValues(left.value, right.value, { ...options, comments }).map((change) => {
+    const segments = [...prefix, ...change.segments];
+    return {
+      ...change,
+      segments,
+      path: formatPath(segments),
+      leftLines: locate(left.locations, change.leftPath),
+      rightLines: locate(right.locations, change.rightPath),
+    };
+  });
+}
+
+// Compare two streams of parsed documents. Single documents compare directly;
+// in multi-document streams (YAML ---) documents are matched by kind and
+// metadata.name when they all have them, by position otherwise.
+export function compareDocuments(leftDocs, rightDocs, options = {}) {
+  if (leftDocs.length === 1 && rightDocs.length === 1) {
+    return compareDocumentPair(leftDocs[0], rightDocs[0], [], options);
+  }
+
+  const leftIds = leftDocs.map((doc) => documentId(doc.value));
+  const rightIds = rightDocs.map((doc) => documentId(doc.value));
+  const byId = distinctIds(leftIds) && distinctIds(rightIds);
+  const label = (ids, i) => (byId ? ids[i] : `document ${i + 1}`);
+  const matchOf = (i) => (byId ? rightIds.indexOf(leftIds[i]) : i < rightDocs.length ? i : -1);
+  const changes = [];
+
+  if (byId && options.showOrder) {
+    const leftOrder = leftIds.filter((id) => rightIds.includes(id));
+    const rightOrder = rightIds.filter((id) => leftIds.includes(id));
+    if (!sameOrder(leftOrder, rightOrder)) {
+      changes.push({
+        type: 'reordered', segments: [], path: formatPath([]), leftPath: null, rightPath: null,
+        oldValue: leftOrder, newValue: rightOrder, leftLines: null, rightLines: null,
+      });
+    }
+  }
+
+  const matched = new Set();
+  leftDocs.forEach((doc, i) => {
+    const j = matchOf(i);
+    const segments = [{ document: label(leftIds, i) }];
+    if (j === -1) {
+      changes.push({
+        type: 'removed', segments, path: formatPath(segments), leftPath: [], rightPath: null,
+        oldValue: doc.value, newValue: undefined, leftLines: locate(doc.locations, []), rightLines: null,
+      });
+      return;
+    }
+    matched.add(j);
+    changes.push(...compareDocumentPair(doc, rightDocs[j], segments, options));
+  });
+  rightDocs.forEach((doc, j) => {
+    if (matched.has(j)) return;
+    const segments = [{ document: label(rightIds, j) }];
+    changes.push({
+      type: 'added', segments, path: formatPath(segments), leftPath: null, rightPath: [],
+      oldValue: undefined, newValue: doc.value, leftLines: null, rightLines: locate(doc.locations, []),
+    });
+  });
+
+  return changes;
+}
+
+// Parse and compare two texts in options.format ('json', 'yaml' or 'toml').
+// Returns the changes of compareValues with the lines of each side attached
+// as leftLines/rightLines ({ start, end }). Comment and order changes are
+// left out unless options.showComments or options.showOrder is set. Throws
+// with the side named when either text does not parse.
+export function compareStructuredTexts(leftText, rightText, options = {}) {
+  const parse = PARSERS[options.format || 'json'];
+  const parseSide = (text, label) => {
+    try {
+      return parse(text);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  };
+
+  return compareDocuments(parseSide(leftText, 'Original'), parseSide(rightText, 'Modified'), options);
+}
+
+// Number of changes of each type
+export function countChanges(changes) {
+  const counts = { added: 0, removed: 0, changed: 0, reordered: 0, comment: 0 };
+  changes.forEach((change) => counts[change.type]++);
+  return counts;
+}
+
+// ============================================================================
+// PRESENTATION
+// ============================================================================
+
+const PREVIEW_LENGTH = 60;
+
+// A value shortened to one line for the change tree
+export function previewValue(value) {
+  const text = value === undefined ? '' : JSON.stringify(value);
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+}
+
+// Nest changes by their display path: { name, key, children } for the
+// containers along the way and { name, key, change } for the changes, each
+// named by its last path step. A change to the root itself is a single
+// top-level node.
+export function buildChangeTree(changes) {
+  const root = { name: '', key: '', children: [] };
+
+  changes.forEach((change) => {
+    let node = root;
+    change.segments.slice(0, -1).forEach((segment, depth) => {
+      const key = pathKey(change.segments.slice(0, depth + 1));
+      let child = node.children.find((candidate) => candidate.key === key);
+      if (!child) {
+        child = { name: formatSegment(segment, true), key, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+    const last = change.segments[change.segments.length - 1];
+    node.children.push({
+      name: last === undefined ? '(root)' : formatSegment(last, true),
+      key: pathKey(change.segments),
+      change,
+    });
+  });
+
+  return root;
+}
+
+const STRUCTURAL_CLASSES = {
+  added: { className: 'diff-line-added', glyphMarginClassName: 'diff-glyph-added' },
+  removed: { className: 'diff-line-deleted', glyphMarginClassName: 'diff-glyph-deleted' },
+  changed: { className: 'diff-line-modified', glyphMarginClassName: 'diff-glyph-modified' },
+};
+
+// Whole-line decorations over the lines of each change: removed values on
+// the left, added values on the right and everything else on both sides
+export function getStructuralDecorations(changes, side) {
+  const hidden = side === 'left' ? 'added' : 'removed';
+  const decorations = [];
+
+  changes.forEach((change) => {
+    const lines = side === 'left' ? change.leftLines : change.rightLines;
+    if (!lines || change.type === hidden) return;
+    decorations.push({
+      range: { startLineNumber: lines.start, startColumn: 1, endLineNumber: lines.end, endColumn: 1 },
+      options: { isWholeLine: true, ...(STRUCTURAL_CLASSES[change.type] || STRUCTURAL_CLASSES.changed) },
+    });
+  });
+
+  return decorations;
+}
@@ -0,0 +1,311 @@
+// Syntax-aware comparison of JavaScript and TypeScript. Both sides are parsed
+// with the parsers prettier bundles for formatting, and their top-level
+// declarations are matched by name and by shape instead of line by line, so a
+// function that moved lower in the file is reported as moved and one whose
+// identifiers were renamed as renamed. Whitespace, quotes, parentheses and
+// comments are not part of the AST and so never count as differences.
+
+import { parsers } from 'prettier/plugins/babel';
+
+// AST properties that describe how the code was written rather than what it
+// is: positions, raw literal text and comments
+const LAYOUT_KEYS = new Set([
+  'start',
+  'end',
+  'loc',
+  'range',
+  'extra',
+  'comments',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+  'errors',
+  'tokens',
+]);
+
+const PREVIEW_LENGTH = 40;
+
+// ============================================================================
+// DECLARATIONS
+// ============================================================================
+
+// The babel-ts parser reads TypeScript into the same AST shape as babel
+function parseProgram(text, language) {
+  const parser = language === 'typescript' ? parsers['babel-ts'] : parsers.babel;
+  return parser.parse(text, {}).program.body;
+}
+
+// The AST without its layout as a string. With rename set, every identifier
+// is replaced by the order in which its name first appears, so two
+// declarations that only differ in their names come out the same.
+function serialize(node, rename) {
+  return JSON.stringify(node, (key, value) => {
+    if (LAYOUT_KEYS.has(key)) return undefined;
+    if (rename && value && value.type === 'Identifier') return { ...value, name: rename(value.name) };
+    return value;
+  });
+}
+
+function shapeOf(node) {
+  const names = new Map();
+  return serialize(node, (name) => {
+    if (!names.has(name)) names.set(name, names.size);
+    return names.get(name);
+  });
+}
+
+// Identifier names bound by a declaration pattern such as { a, b: [c] }
+function patternNames(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap((property) => patternNames(property.value || property.argument));
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(patternNames);
+    case 'AssignmentPattern':
+      return patternNames(pattern.left);
+    case 'RestElement':
+      return patternNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+// { name, kind } of a top-level statement; statements that declare nothing
+// (such as calls) have a null name
+function describeStatement(node) {
+  const idName = node.id ? node.id.name ?? node.id.value : null;
+
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'TSDeclareFunction':
+      return { name: idName, kind: 'function' };
+    case 'ClassDeclaration':
+      return { name: idName, kind: 'class' };
+    case 'VariableDeclaration':
+      return { name: node.declarations.flatMap((declarator) => patternNames(declarator.id)).join(', '), kind: node.kind };
+    case 'TSInterfaceDeclaration':
+      return { name: idName, kind: 'interface' };
+    case 'TSTypeAliasDeclaration':
+      return { name: idName, kind: 'type' };
+    case 'TSEnumDeclaration':
+      return { name: idName, kind: 'enum' };
+    case 'TSModuleDeclaration':
+      return { name: idName, kind: 'namespace' };
+    case 'ImportDeclaration':
+      return { name: node.source.value, kind: 'import' };
+    case 'ExportNamedDeclaration':
+      if (node.declaration) {
+        const inner = describeStatement(node.declaration);
+        return { name: inner.name, kind: `export ${inner.kind}` };
+      }
+      return { name: null, kind: 'export' };
+    case 'ExportDefaultDeclaration':
+      return { name: 'default', kind: 'export default' };
+    default:
+      return { name: null, kind: 'statement' };
+  }
+}
+
+// The top-level declarations of a program with what is needed to match them:
+// signature (the AST), shape (the AST with names left out) and source text
+export function parseDeclarations(text, language) {
+  return parseProgram(text, language).map((node, index) => {
+    const source = text.slice(node.start, node.end);
+    const { name, kind } = describeStatement(node);
+    const firstLine = source.split('\n')[0].trim();
+    return {
+      index,
+      node,
+      name: name || null,
+      kind,
+      label: name || (firstLine.length > PREVIEW_LENGTH ? `${firstLine.slice(0, PREVIEW_LENGTH - 1)}…` : firstLine),
+      lines: { start: node.loc.start.line, end: node.loc.end.line },
+      source,
+      signature: serialize(node),
+      shape: shapeOf(node),
+    };
+  });
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+// Every identifier that differs between two declarations of the same shape,
+// with where it is on each side
+function collectRenames(left, right, renames = []) {
+  if (!left || typeof left !== 'object') return renames;
+  if (left.type === 'Identifier' && left.name !== right.name) {
+    renames.push({
+      from: left.name,
+      to: right.name,
+      left: { line: left.loc.start.line, column: left.loc.start.column },
+      right: { line: right.loc.start.line, column: right.loc.start.column },
+    });
+  }
+  Object.keys(left).forEach((key) => {
+    if (!LAYOUT_KEYS.has(key)) collectRenames(left[key], right[key], renames);
+  });
+  return renames;
+}
+
+// Indices (into pairs) of a longest run of pairs whose right positions
+// increase along with their left positions; every other pair has moved
+function inOrderPairs(pairs) {
+  const tails = [];
+  const previous = [];
+  pairs.forEach((pair, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[tails[mid]].right.index < pair.right.index) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const kept = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) kept.add(i);
+  return kept;
+}
+
+// Pair up the declarations of both sides: identical ones first, then ones with
+// the same name, then ones with the same shape under another name. Returns
+// the changes as { type, kind, name, oldName, moved, leftLines, rightLines,
+// renames }, where type is 'moved' for a declaration that only moved,
+// 'renamed' when only identifiers differ, 'modified', 'added' or 'removed',
+// and moved is also set on renamed and modified declarations that moved.
+// Declarations that only differ in formatting are not changes.
+export function compareDeclarations(left, right) {
+  const pairs = [];
+  const pairedRight = new Set();
+  const pairedLeft = new Set();
+
+  const pairBy = (matches) => {
+    left.forEach((leftDecl) => {
+      if (pairedLeft.has(leftDecl.index)) return;
+      const rightDecl = right.find((candidate) => !pairedRight.has(candidate.index) && matches(leftDecl, candidate));
+      if (!rightDecl) return;
+      pairedLeft.add(leftDecl.index);
+      pairedRight.add(rightDecl.index);
+      pairs.push({ left: leftDecl, right: rightDecl });
+    });
+  };
+
+  pairBy((a, b) => a.signature === b.signature);
+  pairBy((a, b) => a.name !== null && a.name === b.name);
+  pairBy((a, b) => a.shape === b.shape);
+
+  pairs.sort((a, b) => a.left.index - b.left.index);
+  const kept = inOrderPairs(pairs);
+
+  const changes = [];
+  pairs.forEach((pair, i) => {
+    const moved = !kept.has(i);
+    let type;
+    if (pair.left.signature === pair.right.signature) type = 'moved';
+    else if (pair.left.shape === pair.right.shape) type = 'renamed';
+    else type = 'modified';
+    if (type === 'moved' && !moved) return;
+
+    changes.push({
+      type,
+      kind: pair.right.kind,
+      name: pair.right.label,
+      oldName: pair.left.label !== pair.right.label ? pair.left.label : null,
+      moved,
+      leftLines: pair.left.lines,
+      rightLines: pair.right.lines,
+      renames: type === 'renamed' ? collectRenames(pair.left.node, pair.right.node) : [],
+    });
+  });
+
+  left
+    .filter((decl) => !pairedLeft.has(decl.index))
+    .forEach((decl) => changes.push({ ...unpaired('removed', decl), leftLines: decl.lines, rightLines: null }));
+  right
+    .filter((decl) => !pairedRight.has(decl.index))
+    .forEach((decl) => changes.push({ ...unpaired('added', decl), leftLines: null, rightLines: decl.lines }));
+
+  const position = (change) => (change.rightLines || change.leftLines).start;
+  return changes.sort((a, b) => position(a) - position(b));
+}
+
+function unpaired(type, decl) {
+  return { type, kind: decl.kind, name: decl.label, oldName: null, moved: false, renames: [] };
+}
+
+// Compare two JavaScript (language 'babel') or TypeScript ('typescript')
+// sources declaration by declaration. Throws with the side named when either
+// does not parse.
+export function compareCode(leftText, rightText, options = {}) {
+  const parseSide = (text, label) => {
+    try {
+      return parseDeclarations(text, options.language);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message.split('\n')[0]}`);
+    }
+  };
+
+  return compareDeclarations(parseSide(leftText, 'Original'), parseSide(rightText, 'Modified'));
+}
+
+// Number of changes of each type; moved counts every declaration that moved,
+// including renamed and modified ones
+export function countSyntaxChanges(changes) {
+  const counts = { moved: 0, renamed: 0, modified: 0, added: 0, removed: 0 };
+  changes.forEach((change) => {
+    if (change.type !== 'moved') counts[change.type]++;
+    if (change.moved) counts.moved++;
+  });
+  return counts;
+}
+
+// The distinct renames of a change as "old → new" pairs
+export function describeRenames(renames) {
+  return [...new Set(renames.map(({ from, to }) => `${from} → ${to}`))].join(', ');
+}
+
+// ============================================================================
+// PRESENTATION
+// ============================================================================
+
+const SYNTAX_CLASSES = {
+  added: { className: 'diff-line-added', glyphMarginClassName: 'diff-glyph-added' },
+  removed: { className: 'diff-line-deleted', glyphMarginClassName: 'diff-glyph-deleted' },
+  modified: { className: 'diff-line-modified', glyphMarginClassName: 'diff-glyph-modified' },
+  moved: { className: 'diff-line-moved', glyphMarginClassName: 'diff-glyph-moved' },
+  renamed: { glyphMarginClassName: 'diff-glyph-modified' },
+};
+
+// Whole-line decorations over each changed declaration (removed ones on the
+// left, added ones on the right) and an inline highlight on each renamed
+// identifier
+export function getSyntaxDecorations(changes, side) {
+  const decorations = [];
+
+  changes.forEach((change) => {
+    const lines = side === 'left' ? change.leftLines : change.rightLines;
+    if (!lines) return;
+    decorations.push({
+      range: { startLineNumber: lines.start, startColumn: 1, endLineNumber: lines.end, endColumn: 1 },
+      options: { isWholeLine: true, ...SYNTAX_CLASSES[change.type] },
+    });
+
+    change.renames.forEach((rename) => {
+      const { line, column } = rename[side];
+      const length = (side === 'left' ? rename.from : rename.to).length;
+      decorations.push({
+        range: { startLineNumber: line, startColumn: column + 1, endLineNumber: line, endColumn: column + 1 + length },
+        options: { inlineClassName: 'char-modified' },
+      });
+    });
+  });
+
+  return decorations;
+}
@@ -0,0 +1,295 @@
+// TOML reader for structural comparison: TOML 1.0 documents with tables,
+// arrays of tables, dotted keys, inline tables and every string and number
+// form. Dates and times are kept as their text. Besides the value it records
+// the lines of every table and key and the comments around them, keyed like
+// structural.js's pathKey (JSON.stringify of the path).
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+
+const BARE_KEY = /[A-Za-z0-9_-]+/y;
+const DATE_TIME = /\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y;
+const NUMBER = /[+-]?(?:inf|nan)|0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?/y;
+
+const pathKey = (path) => JSON.stringify(path);
+
+// Keys such as __proto__ must become plain properties
+function setKey(object, key, value) {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const isTable = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A line-ending backslash in a multi-line basic string trims the line break
+// and the whitespace after it
+function unescapeBasic(body) {
+  return body.replace(/\\(?:[ \t]*\r?\n\s*|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (escape) => {
+    if (/^\\[ \t\r\n]/.test(escape)) return '';
+    if (escape.length > 2) return String.fromCodePoint(parseInt(escape.slice(2), 16));
+    return ESCAPES[escape[1]] ?? escape;
+  });
+}
+
+function parseNumber(text) {
+  const digits = text.replace(/_/g, '');
+  if (/^[+-]?inf$/.test(digits)) return digits[0] === '-' ? -Infinity : Infinity;
+  if (/^[+-]?nan$/.test(digits)) return NaN;
+  if (/^0x/.test(digits)) return parseInt(digits.slice(2), 16);
+  if (/^0o/.test(digits)) return parseInt(digits.slice(2), 8);
+  if (/^0b/.test(digits)) return parseInt(digits.slice(2), 2);
+  return Number(digits);
+}
+
+// Parse a TOML document into { value, locations, comments }. A key or table
+// header gets the comment lines above it and the comment after it on its
+// line; comments after the last key belong to the root.
+export function parseToml(text) {
+  const root = {};
+  const locations = new Map();
+  const comments = new Map();
+  let pos = 0;
+  let line = 1;
+  let table = root;
+  let tablePath = [];
+  let pendingComments = [];
+
+  const fail = (message) => {
+    throw new Error(`Line ${line}: ${message}`);
+  };
+
+  const skipSpaces = () => {
+    while (text[pos] === ' ' || text[pos] === '\t' || (text[pos] === '\r' && text[pos + 1] === '\n')) pos++;
+  };
+
+  const readComment = () => {
+    const end = text.indexOf('\n', pos);
+    const comment = text.slice(pos + 1, end === -1 ? text.length : end).trim();
+    pos = end === -1 ? text.length : end;
+    return comment;
+  };
+
+  // Whitespace, newlines and comments, as allowed inside arrays
+  const skipAll = () => {
+    for (;;) {
+      skipSpaces();
+      if (text[pos] === '\n') {
+        pos++;
+        line++;
+      } else if (text[pos] === '#') {
+        readComment();
+      } else {
+        return;
+      }
+    }
+  };
+
+  // Stretch the locations of a path and every table above it to this line
+  const extend = (path, start) => {
+    path.forEach((_, i) => {
+      const key = pathKey(path.slice(0, i + 1));
+      const location = locations.get(key);
+      if (location) location.end = line;
+      else locations.set(key, { start, end: line });
+    });
+  };
+
+  const attachComments = (path) => {
+    skipSpaces();
+    const trailing = text[pos] === '#' ? [readComment()] : [];
+    const all = [...pendingComments, ...trailing];
+    if (all.length > 0) comments.set(pathKey(path), all.join('\n'));
+    pendingComments = [];
+  };
+
+  const readString = () => {
+    const quote = text[pos];
+    const multiline = text.startsWith(quote.repeat(3), pos);
+    if (multiline) {
+      let end = text.indexOf(quote.repeat(3), pos + 3);
+      if (end === -1) fail('Unclosed multi-line string');
+      // Up to two quotes right before the closing delimiter belong to the string
+      while (text[end + 3] === quote && end - pos < text.length) end++;
+      let body = text.slice(pos + 3, end);
+      line += (body.match(/\n/g) || []).length;
+      pos = end + 3;
+      body = body.replace(/^\r?\n/, '');
+      return quote === '"' ? unescapeBasic(body) : body;
+    }
+
+    let end = pos + 1;
+    while (end < text.length && text[end] !== quote && text[end] !== '\n') {
+      end += quote === '"' && text[end] === '\\' ? 2 : 1;
+    }
+    if (text[end] !== quote) fail('Unclosed string');
+    const body = text.slice(pos + 1, end);
+    pos = end + 1;
+    return quote === '"' ? unescapeBasic(body) : body;
+  };
+
+  const readKey = () => {
+    const keys = [];
+    for (;;) {
+      skipSpaces();
+      if (text[pos] === '"' || text[pos] === "'") {
+        keys.push(readString());
+      } else {
+        BARE_KEY.lastIndex = pos;
+        const match = BARE_KEY.exec(text);
+        if (!match) fail(`Expected a key, found ${text[pos] === '\n' ? 'the end of the line' : text[pos] || 'the end'}`);
+        keys.push(match[0]);
+        pos += match[0].length;
+      }
+      skipSpaces();
+      if (text[pos] !== '.') return keys;
+      pos++;
+    }
+  };
+
+  const readValue = () => {
+    const ch = text[pos];
+
+    if (ch === '"' || ch === "'") return readString();
+
+    if (ch === '[') {
+      pos++;
+      const items = [];
+      for (skipAll(); text[pos] !== ']'; skipAll()) {
+        if (pos >= text.length) fail('Unclosed array');
+        items.push(readValue());
+        skipAll();
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== ']') fail(`Expected , or ] in array, found ${text[pos]}`);
+      }
+      pos++;
+      return items;
+    }
+
+    if (ch === '{') {
+      pos++;
+      const inline = {};
+      for (skipSpaces(); text[pos] !== '}'; skipSpaces()) {
+        const keys = readKey();
+        if (text[pos] !== '=') fail('Expected = in inline table');
+        pos++;
+        skipSpaces();
+        assign(inline, keys, readValue());
+        skipSpaces();
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== '}') fail(`Expected , or } in inline table, found ${text[pos] || 'the end'}`);
+      }
+      pos++;
+      return inline;
+    }
+
+    if (text.startsWith('true', pos)) {
+      pos += 4;
+      return true;
+    }
+    if (text.startsWith('false', pos)) {
+      pos += 5;
+      return false;
+    }
+
+    DATE_TIME.lastIndex = pos;
+    const date = DATE_TIME.exec(text);
+    if (date) {
+      pos += date[0].length;
+      return date[0];
+    }
+
+    NUMBER.lastIndex = pos;
+    const number = NUMBER.exec(text);
+    if (number) {
+      pos += number[0].length;
+      return parseNumber(number[0]);
+    }
+
+    return fail(`Invalid value starting with ${ch === '\n' ? 'the end of the line' : ch || 'the end'}`);
+  };
+
+  // Set a dotted key below a table, creating the tables along the way
+  function assign(target, keys, value) {
+    let current = target;
+    keys.slice(0, -1).forEach((key) => {
+      if (!has(current, key)) setKey(current, key, {});
+      if (!isTable(current[key])) fail(`${key} is not a table`);
+      current = current[key];
+    });
+    const last = keys[keys.length - 1];
+    if (has(current, last)) fail(`Duplicate key ${last}`);
+    setKey(current, last, value);
+  }
+
+  // Walk to a table header's table; arrays of tables continue in their last
+  // table. Returns the table and its path with array indices.
+  const openTable = (keys, arrayOfTables) => {
+    let current = root;
+    const path = [];
+    keys.forEach((key, i) => {
+      const last = i === keys.length - 1;
+      if (last && arrayOfTables) {
+        if (!has(current, key)) setKey(current, key, []);
+        if (!Array.isArray(current[key])) fail(`${key} is not an array of tables`);
+        current[key].push({});
+        path.push(key, current[key].length - 1);
+        current = current[key][current[key].length - 1];
+        return;
+      }
+      if (!has(current, key)) setKey(current, key, {});
+      const next = current[key];
+      if (Array.isArray(next) && next.length > 0 && isTable(next[next.length - 1])) {
+        path.push(key, next.length - 1);
+        current = next[next.length - 1];
+      } else if (isTable(next)) {
+        path.push(key);
+        current = next;
+      } else {
+        fail(`${key} is not a table`);
+      }
+    });
+    return { table: current, path };
+  };
+
+  while (pos < text.length) {
+    skipSpaces();
+    const ch = text[pos];
+
+    if (ch === '\n') {
+      pos++;
+      line++;
+      continue;
+    }
+    if (ch === '#') {
+      pendingComments.push(readComment());
+      continue;
+    }
+    if (ch === undefined) break;
+
+    const start = line;
+    if (ch === '[') {
+      const arrayOfTables = text[pos + 1] === '[';
+      pos += arrayOfTables ? 2 : 1;
+      const keys = readKey();
+      if (!text.startsWith(arrayOfTables ? ']]' : ']', pos)) fail('Unclosed table header');
+      pos += arrayOfTables ? 2 : 1;
+      ({ table, path: tablePath } = openTable(keys, arrayOfTables));
+      extend(tablePath, start);
+      attachComments(tablePath);
+    } else {
+      const keys = readKey();
+      if (text[pos] !== '=') fail(`Expected = after ${keys.join('.')}`);
+      pos++;
+      skipSpaces();
+      assign(table, keys, readValue());
+      extend([...tablePath, ...keys], start);
+      attachComments([...tablePath, ...keys]);
+    }
+
+    skipSpaces();
+    if (pos < text.length && text[pos] !== '\n') fail(`Unexpected ${text[pos]} after value`);
+  }
+
+  if (pendingComments.length > 0) comments.set(pathKey([]), pendingComments.join('\n'));
+  locations.set(pathKey([]), { start: 1, end: line });
+  return { value: root, locations, comments };
+}
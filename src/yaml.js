@@ -0,0 +1,489 @@
+// YAML reader for structural comparison. It covers what configuration files
+// use: block and flow mappings and sequences, plain, quoted and block
+// scalars, anchors, aliases and merge keys, and multi-document streams. Tags
+// are accepted and ignored. Besides each document's value it records the
+// lines of every value and the comments around it, keyed like
+// structural.js's pathKey (JSON.stringify of the path).
+
+const DOCUMENT_START = /^---(?:\s|$)/;
+const DOCUMENT_END = /^\.\.\.(?:\s|$)/;
+
+const ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029',
+};
+
+const pathKey = (path) => JSON.stringify(path);
+
+// Keys such as __proto__ must become plain properties
+function setKey(object, key, value) {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+// ============================================================================
+// SCALARS
+// ============================================================================
+
+// Plain scalars by the YAML 1.2 core schema
+function resolvePlain(text) {
+  if (/^(?:~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?[0-9]+$/.test(text)) return parseInt(text, 10);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return parseFloat(text);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+function unescapeDouble(body) {
+  return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (_, code) =>
+    code.length > 1 ? String.fromCodePoint(parseInt(code.slice(1), 16)) : (ESCAPES[code] ?? code)
+  );
+}
+
+// The quoted scalar starting at text[pos] as { value, end }, or null when it
+// is not closed in this text
+function readQuoted(text, pos) {
+  const quote = text[pos];
+  for (let i = pos + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+        continue;
+      }
+      const body = text.slice(pos + 1, i);
+      return { value: quote === '"' ? unescapeDouble(body) : body.replace(/''/g, "'"), end: i + 1 };
+    }
+  }
+  return null;
+}
+
+// Split off a trailing comment: a # at the start or after whitespace, outside
+// quoted scalars
+function splitComment(text) {
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s[{,:-]/.test(text[i - 1]))) {
+      const quoted = readQuoted(text, i);
+      if (!quoted) break;
+      i = quoted.end - 1;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return { content: text.slice(0, i).trimEnd(), comment: text.slice(i + 1).trim() };
+    }
+  }
+  return { content: text.trimEnd(), comment: null };
+}
+
+// Leading anchor (&name) and tag (!tag) of a node, in either order
+function readProperties(text) {
+  let anchor = null;
+  let rest = text;
+  for (;;) {
+    const match = /^([&!])(\S*)(?:\s+|$)/.exec(rest);
+    if (!match) return { anchor, rest };
+    if (match[1] === '&') anchor = match[2];
+    rest = rest.slice(match[0].length);
+  }
+}
+
+const isSequenceItem = (content) => content === '-' || content.startsWith('- ');
+
+// A block mapping entry "key: rest" as { key, rest }, or null for anything
+// else. Keys are plain or quoted.
+function splitMappingEntry(content) {
+  if (content[0] === '"' || content[0] === "'") {
+    const quoted = readQuoted(content, 0);
+    const after = quoted && /^\s*:(?:\s|$)/.exec(content.slice(quoted.end));
+    if (!after) return null;
+    return { key: quoted.value, rest: content.slice(quoted.end + after[0].length).trim() };
+  }
+  if (/^[?:,[\]{}#&*!|>%@`"']/.test(content) && !/^[?:]\S/.test(content)) return null;
+  const match = /:(?:\s|$)/.exec(content);
+  if (!match) return null;
+  return { key: content.slice(0, match.index).trim(), rest: content.slice(match.index + match[0].length).trim() };
+}
+
+// How far a flow collection is from being closed: 0 once balanced
+function flowDepth(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"' || text[i] === "'") {
+      const quoted = readQuoted(text, i);
+      if (!quoted) return depth + 1;
+      i = quoted.end - 1;
+    } else if (text[i] === '[' || text[i] === '{') {
+      depth++;
+    } else if (text[i] === ']' || text[i] === '}') {
+      depth--;
+    }
+  }
+  return depth;
+}
+
+// Parse a complete flow collection or scalar such as {a: 1, b: [x, "y"]}
+function parseFlow(text, anchors) {
+  let pos = 0;
+  const fail = (message) => {
+    throw new Error(message);
+  };
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const readValue = (isKey) => {
+    skipSpace();
+    const props = readProperties(text.slice(pos));
+    pos = text.length - props.rest.length;
+    let value;
+
+    if (text[pos] === '[') {
+      pos++;
+      value = [];
+      for (skipSpace(); text[pos] !== ']'; skipSpace()) {
+        if (pos >= text.length) fail('Unclosed [ in flow sequence');
+        value.push(readValue(false));
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== ']') fail(`Expected , or ] in flow sequence, found ${text[pos] || 'the end'}`);
+      }
+      pos++;
+    } else if (text[pos] === '{') {
+      pos++;
+      value = {};
+      for (skipSpace(); text[pos] !== '}'; skipSpace()) {
+        if (pos >= text.length) fail('Unclosed { in flow mapping');
+        const key = String(readValue(true));
+        skipSpace();
+        let entry = null;
+        if (text[pos] === ':') {
+          pos++;
+          entry = readValue(false);
+          skipSpace();
+        }
+        setKey(value, key, entry);
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== '}') fail(`Expected , or } in flow mapping, found ${text[pos] || 'the end'}`);
+      }
+      pos++;
+    } else if (text[pos] === '"' || text[pos] === "'") {
+      const quoted = readQuoted(text, pos);
+      if (!quoted) fail('Unclosed quoted scalar');
+      value = quoted.value;
+      pos = quoted.end;
+    } else if (text[pos] === '*') {
+      const name = /^\*([^\s,[\]{}]+)/.exec(text.slice(pos))[1];
+      if (!anchors.has(name)) fail(`Unknown alias *${name}`);
+      value = anchors.get(name);
+      pos += name.length + 1;
+    } else {
+      const start = pos;
+      while (
+        pos < text.length &&
+        !/[,[\]{}]/.test(text[pos]) &&
+        !(text[pos] === ':' && (isKey || /[\s,[\]{}]/.test(text[pos + 1] || ' ')))
+      ) {
+        pos++;
+      }
+      value = resolvePlain(text.slice(start, pos).trim());
+    }
+
+    if (props.anchor) anchors.set(props.anchor, value);
+    return value;
+  };
+
+  const value = readValue(false);
+  skipSpace();
+  if (pos < text.length) fail(`Unexpected ${text[pos]} after flow value`);
+  return value;
+}
+
+// ============================================================================
+// DOCUMENTS
+// ============================================================================
+
+// Fold the lines of a > block scalar: line breaks between ordinary lines
+// become spaces, empty lines and more-indented lines keep theirs
+function foldLines(lines) {
+  let text = '';
+  let previousNormal = false;
+  let breaks = 0;
+  lines.forEach((line, i) => {
+    if (line === '') {
+      breaks++;
+      return;
+    }
+    const normal = !/^\s/.test(line);
+    if (i - breaks > 0) {
+      if (breaks > 0) text += '\n'.repeat(normal && previousNormal ? breaks : breaks + 1);
+      else text += normal && previousNormal ? ' ' : '\n';
+    } else {
+      text += '\n'.repeat(breaks);
+    }
+    text += line;
+    previousNormal = normal;
+    breaks = 0;
+  });
+  return text;
+}
+
+// Parse one document's lines ({ number, raw, indent, content, comment }) into
+// { value, locations, comments }
+function parseDocument(lines) {
+  const locations = new Map();
+  const comments = new Map();
+  const anchors = new Map();
+
+  const fail = (line, message) => {
+    throw new Error(`Line ${line.number}: ${message}`);
+  };
+
+  const nextContent = (from) => {
+    let i = from;
+    while (i < lines.length && lines[i].content === '') i++;
+    return i;
+  };
+
+  const lastLineNumber = (first, next) => {
+    for (let i = next - 1; i > first; i--) {
+      if (lines[i].content !== '') return lines[i].number;
+    }
+    return lines[first].number;
+  };
+
+  // The comment lines in [from, to) and the trailing comment of line `to`
+  const recordComments = (path, from, to) => {
+    const text = lines
+      .slice(from, to + 1)
+      .filter((line) => line.comment !== null)
+      .map((line) => line.comment);
+    if (text.length > 0) comments.set(pathKey(path), text.join('\n'));
+  };
+
+  // A | or > block scalar whose header is on line k
+  const parseBlockScalar = (k, header, parentIndent) => {
+    const match = /^([|>])([1-9]?)([-+]?)([1-9]?)$/.exec(header);
+    if (!match) fail(lines[k], `Invalid block scalar header ${header}`);
+    const explicit = match[2] || match[4];
+    let blockIndent = explicit ? Math.max(parentIndent, 0) + Number(explicit) : null;
+    const body = [];
+    let i = k + 1;
+
+    for (; i < lines.length; i++) {
+      const { raw } = lines[i];
+      if (raw.trim() === '') {
+        body.push('');
+        continue;
+      }
+      const indent = raw.length - raw.trimStart().length;
+      if (blockIndent === null) blockIndent = indent;
+      if (indent < blockIndent || indent <= parentIndent) break;
+      body.push(raw.slice(blockIndent));
+    }
+
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+    // Blank lines after the scalar are not part of it
+    i -= trailing;
+
+    let value = match[1] === '|' ? body.join('\n') : foldLines(body);
+    if (match[3] === '+') value += '\n'.repeat(trailing + (body.length > 0 ? 1 : 0));
+    else if (match[3] !== '-' && body.length > 0) value += '\n';
+    return { value, next: i };
+  };
+
+  // The value that follows "key:" or "- " on line k
+  const parseInlineValue = (k, text, parentIndent, path, sameIndentSequence) => {
+    const { anchor, rest } = readProperties(text);
+    let result;
+
+    if (rest === '') {
+      const m = nextContent(k + 1);
+      const nested = m < lines.length && (
+        lines[m].indent > parentIndent ||
+        (sameIndentSequence && lines[m].indent === parentIndent && isSequenceItem(lines[m].content))
+      );
+      result = nested ? parseBlock(k + 1, parentIndent, path) : { value: null, next: k + 1 };
+    } else if (rest[0] === '|' || rest[0] === '>') {
+      result = parseBlockScalar(k, rest, parentIndent);
+    } else if (rest[0] === '*') {
+      if (!anchors.has(rest.slice(1))) fail(lines[k], `Unknown alias ${rest}`);
+      result = { value: anchors.get(rest.slice(1)), next: k + 1 };
+    } else if (rest[0] === '[' || rest[0] === '{') {
+      // Flow collections may continue over the following lines
+      let flow = rest;
+      let next = k + 1;
+      while (flowDepth(flow) > 0 && next < lines.length) {
+        flow += ` ${lines[next].content}`;
+        next++;
+      }
+      try {
+        result = { value: parseFlow(flow, anchors), next };
+      } catch (error) {
+        fail(lines[k], error.message);
+      }
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      // Quoted scalars may continue over the following lines
+      let quoted = rest;
+      let next = k + 1;
+      while (!readQuoted(quoted, 0) && next < lines.length) {
+        quoted += ` ${lines[next].raw.trim()}`;
+        next++;
+      }
+      const read = readQuoted(quoted, 0);
+      if (!read) fail(lines[k], 'Unclosed quoted scalar');
+      result = { value: read.value, next };
+    } else {
+      // Plain scalars continue on more-indented lines, folded with spaces
+      let plain = rest;
+      let next = k + 1;
+      for (let m = nextContent(next); m < lines.length && lines[m].indent > parentIndent; m = nextContent(next)) {
+        if (splitMappingEntry(lines[m].content) || isSequenceItem(lines[m].content)) break;
+        plain += ` ${lines[m].content}`;
+        next = m + 1;
+      }
+      result = { value: resolvePlain(plain), next };
+    }
+
+    if (anchor) anchors.set(anchor, result.value);
+    return result;
+  };
+
+  const parseMapping = (from, indent, path) => {
+    const mapping = {};
+    const merges = [];
+    let i = from;
+
+    for (;;) {
+      const k = nextContent(i);
+      if (k >= lines.length || lines[k].indent < indent) break;
+      if (lines[k].indent > indent) fail(lines[k], 'Bad indentation of a mapping entry');
+      const entry = splitMappingEntry(lines[k].content);
+      if (!entry) {
+        if (isSequenceItem(lines[k].content)) break;
+        fail(lines[k], `Expected a mapping entry, found ${lines[k].content}`);
+      }
+
+      const keyPath = [...path, entry.key];
+      recordComments(keyPath, i, k);
+      const { value, next } = parseInlineValue(k, entry.rest, indent, keyPath, true);
+      if (entry.key === '<<') {
+        merges.push(...(Array.isArray(value) ? value : [value]));
+      } else {
+        setKey(mapping, entry.key, value);
+        locations.set(pathKey(keyPath), { start: lines[k].number, end: lastLineNumber(k, next) });
+      }
+      i = next;
+    }
+
+    // Merged keys never override the mapping's own
+    merges.forEach((merged) => {
+      if (merged === null || typeof merged !== 'object') return;
+      Object.keys(merged).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(mapping, key)) setKey(mapping, key, merged[key]);
+      });
+    });
+    return { value: mapping, next: i };
+  };
+
+  const parseSequence = (from, indent, path) => {
+    const items = [];
+    let i = from;
+
+    for (;;) {
+      const k = nextContent(i);
+      if (k >= lines.length || lines[k].indent !== indent || !isSequenceItem(lines[k].content)) break;
+
+      const itemPath = [...path, items.length];
+      recordComments(itemPath, i, k);
+      const rest = lines[k].content.slice(1).trimStart();
+      let result;
+      if (isSequenceItem(rest) || splitMappingEntry(rest)) {
+        // A collection that starts on the dash's line: read it as if its
+        // first line began at its own column
+        const column = indent + lines[k].content.length - rest.length;
+        lines[k] = { ...lines[k], indent: column, content: rest, comment: null };
+        result = parseBlock(k, indent, itemPath);
+      } else {
+        result = parseInlineValue(k, rest, indent, itemPath, false);
+      }
+      items.push(result.value);
+      locations.set(pathKey(itemPath), { start: lines[k].number, end: lastLineNumber(k, result.next) });
+      i = result.next;
+    }
+
+    return { value: items, next: i };
+  };
+
+  // The block node starting at the first content line from `from`, indented
+  // deeper than its parent (or a sequence at the parent's indentation)
+  function parseBlock(from, parentIndent, path) {
+    const k = nextContent(from);
+    const { content, indent } = lines[k];
+    if (isSequenceItem(content)) return parseSequence(from, indent, path);
+    if (splitMappingEntry(content)) return parseMapping(from, indent, path);
+    return parseInlineValue(k, content, parentIndent, path, false);
+  }
+
+  const first = nextContent(0);
+  if (first >= lines.length) {
+    recordComments([], 0, lines.length);
+    return { value: null, locations, comments };
+  }
+
+  const { value, next } = parseBlock(0, -1, []);
+  const extra = nextContent(next);
+  if (extra < lines.length) fail(lines[extra], `Unexpected ${lines[extra].content}`);
+  locations.set(pathKey([]), { start: lines[first].number, end: lastLineNumber(first, next) });
+  // Comments after the last value belong to the document
+  recordComments([], next, lines.length);
+  return { value, locations, comments };
+}
+
+// Parse a YAML stream into its documents, each { value, locations, comments }.
+// Comments before a document's first value belong to that value; comments
+// after the last one belong to the document root.
+export function parseYaml(text) {
+  const segments = [[]];
+  text.split('\n').forEach((rawLine, i) => {
+    const raw = rawLine.replace(/\r$/, '');
+    const indent = raw.length - raw.trimStart().length;
+    const { content, comment } = splitComment(raw.slice(indent));
+    const line = { number: i + 1, raw, indent, content, comment };
+
+    if (indent === 0 && DOCUMENT_START.test(content)) {
+      segments.push([]);
+      const rest = content.slice(3).trim();
+      if (rest) segments[segments.length - 1].push({ ...line, content: rest });
+    } else if (indent === 0 && DOCUMENT_END.test(content)) {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(line);
+    }
+  });
+
+  // Stretches without content (before the first ---, between ... and ---)
+  // are not documents; their comments move on to the next document
+  const documents = [];
+  let carried = [];
+  segments.forEach((segment) => {
+    const lines = [...carried, ...segment];
+    if (lines.some((line) => line.content !== '')) {
+      documents.push(lines);
+      carried = [];
+    } else {
+      carried = lines;
+    }
+  });
+  if (documents.length === 0) documents.push(carried);
+  else documents[documents.length - 1].push(...carried);
+
+  return documents.map(parseDocument);
+}